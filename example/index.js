@@ -1,10 +1,10 @@
 import Web3 from 'web3';
 import { AergoClient } from '@herajs/client';
-import { ethToAergo as eta } from 'eth-merkle-bridge-js';
-import { bridgeEthAbi } from "../test/fixtures/bridgeEthAbi";
-import { erc20Abi } from "../test/fixtures/erc20Abi";
+import { ethToAergo as eta, abi, anchorWatcher, receipts } from 'eth-merkle-bridge-js';
 import { BigNumber } from "bignumber.js";
 
+const { bridgeEthAbi, erc20Abi } = abi;
+
 const { AccountRef } = require('./unfreeze_service_pb.js');
 const { UnfreezeServiceClient } = require('./unfreeze_service_grpc_web_pb.js');
 
@@ -103,29 +103,46 @@ document.getElementById("unfreeze").onclick = async () => {
         'SEND_TX', 'AERGO_SEND_TX_RESULT', builtTx);
     console.log('AERGO_SEND_TX_RESULT', tx);
 
-    setTimeout(async () => {
-        const receipt = await hera.getTransactionReceipt(tx.hash)
+    let status;
+    try {
+        const receipt = await receipts.waitForAergoReceipt(hera, tx.hash);
         console.log("UNFREEZE RECEIPT:", receipt);
-        let info = document.createElement('div');
-        info.innerHTML += "Unfreeze status: " + receipt.status;
-        document.getElementById('info').appendChild(info);
-    }, 2000)
+        status = receipt.status;
+    } catch (err) {
+        status = err.message;
+    }
+    let info = document.createElement('div');
+    info.innerHTML += "Unfreeze status: " + status;
+    document.getElementById('info').appendChild(info);
 }
 
+let unfreezableWatcher = null;
 document.getElementById("unfreezable").onclick = async () => {
     const receiverAergoAddr = document.getElementById("receiver").value;
     let blockoWeb3 = new Web3("http://localhost:8545");
-    let status = await eta.unfreezable(
-        blockoWeb3, hera, bridgeEthAddr, bridgeAergoAddr,
-        receiverAergoAddr, aergoErc20Addr
+    if (unfreezableWatcher !== null) {
+        unfreezableWatcher.stop();
+    }
+    // display the balances each time they change until the receiver changes
+    unfreezableWatcher = anchorWatcher.watchEthToAergo(
+        hera, bridgeAergoAddr,
+        () => eta.unfreezable(
+            blockoWeb3, hera, bridgeEthAddr, bridgeAergoAddr,
+            receiverAergoAddr, aergoErc20Addr
+        )
     );
-    console.log(status);
-    let withdrawable = document.createElement('div');
-    let pending = document.createElement('div');
-    withdrawable.innerHTML += "Unfreezable now: " + BigNumber(status[0]).dividedBy(10**18).toString();
-    pending.innerHTML += "Pending new bridge anchor: " + BigNumber(status[1]).dividedBy(10**18).toString();
-    document.getElementById('info').appendChild(withdrawable);
-    document.getElementById('info').appendChild(pending);
+    const display = (status) => {
+        console.log(status);
+        let withdrawable = document.createElement('div');
+        let pending = document.createElement('div');
+        withdrawable.innerHTML += "Unfreezable now: " + BigNumber(status.withdrawable).dividedBy(10**18).toString();
+        pending.innerHTML += "Pending new bridge anchor: " + BigNumber(status.pending).dividedBy(10**18).toString();
+        document.getElementById('info').appendChild(withdrawable);
+        document.getElementById('info').appendChild(pending);
+    };
+    unfreezableWatcher.on('pending', display);
+    unfreezableWatcher.on('withdrawable', display);
+    unfreezableWatcher.on('error', console.error);
 }
 
 document.getElementById("unfreeze_service").onclick = async () => {
@@ -883,5 +883,87 @@ export let bridgeEthAbi =
 		],
 		"name": "newTFinalEvent",
 		"type": "event"
+	},
+	{
+		"constant": false,
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "token",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "receiver",
+				"type": "string"
+			}
+		],
+		"name": "lockERC721",
+		"outputs": [
+			{
+				"internalType": "bool",
+				"name": "",
+				"type": "bool"
+			}
+		],
+		"payable": false,
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"constant": false,
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "receiver",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "blockNum",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "token",
+				"type": "address"
+			},
+			{
+				"internalType": "bytes32[]",
+				"name": "mp",
+				"type": "bytes32[]"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "bitmap",
+				"type": "bytes32"
+			},
+			{
+				"internalType": "uint8",
+				"name": "leafHeight",
+				"type": "uint8"
+			}
+		],
+		"name": "unlockERC721",
+		"outputs": [
+			{
+				"internalType": "bool",
+				"name": "",
+				"type": "bool"
+			}
+		],
+		"payable": false,
+		"stateMutability": "nonpayable",
+		"type": "function"
 	}
-];
\ No newline at end of file
+];
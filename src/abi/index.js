@@ -0,0 +1,5 @@
+export { bridgeEthAbi } from './bridgeEthAbi';
+export { erc20Abi } from './erc20Abi';
+export { mintedErc20Abi } from './mintedErc20Abi';
+export { erc721Abi } from './erc721Abi';
+export { erc20PermitAbi } from './erc20PermitAbi';
@@ -1,4 +1,4 @@
-export let bridgeFromAbi = 
+export let mintedErc20Abi = 
 [
 	{
 		"constant": false,
@@ -0,0 +1,213 @@
+import { Amount } from '@herajs/client';
+import bs58check from "bs58check";
+import sha256 from 'hash.js/lib/hash/sha/256';
+import { BigNumber } from "bignumber.js";
+
+
+/* Aergo sparse Merkle tree proof verification */
+/* =========================================== */
+
+// hash of an empty subtree in the aergo trie
+const DEFAULT_NODE = Buffer.from([0]);
+
+
+/**
+ * Sha256 hash of the concatenated buffers
+ * @param {...Buffer} buffers Bytes to hash
+ * @return {Buffer} Hash
+ */
+export function hash(...buffers) {
+    const h = sha256();
+    for (const buffer of buffers) {
+        h.update(Array.from(buffer));
+    }
+    return Buffer.from(h.digest());
+}
+
+/**
+ * Check if the bit at index i is set, starting from the most significant bit
+ * @param {Buffer} bits Bytes to read
+ * @param {number} i Bit index
+ * @return {boolean} True if the bit is set
+ */
+export function bitIsSet(bits, i) {
+    return (bits[Math.floor(i / 8)] & (1 << (7 - i % 8))) !== 0;
+}
+
+function leafHash(trieKey, valueHash, height) {
+    return hash(trieKey, valueHash, Buffer.from([(256 - height) % 256]));
+}
+
+/**
+ * Compute the root of a trie from a compressed inclusion proof
+ * (same algorithm as verifyMp in the EthMerkleBridge contract)
+ * @param {Buffer} trieKey Hashed key of the leaf
+ * @param {Buffer} valueHash Hash of the value stored at trieKey
+ * @param {Array} auditPath Non default sibling nodes from leaf to root
+ * @param {Buffer} bitmap Bits set for non default siblings, starting at the leaf
+ * @param {number} height Depth of the leaf in the trie
+ * @return {Buffer} Root hash
+ */
+export function computeRootCompressed(trieKey, valueHash, auditPath, bitmap, height) {
+    let node = leafHash(trieKey, valueHash, height);
+    let proofIndex = 0;
+    for (let i = height; i > 0; i--) {
+        let sibling = DEFAULT_NODE;
+        if (bitIsSet(bitmap, height - i)) {
+            if (proofIndex >= auditPath.length) {
+                throw new Error("Invalid merkle proof: audit path too short");
+            }
+            sibling = Buffer.from(auditPath[proofIndex]);
+            proofIndex += 1;
+        }
+        node = bitIsSet(trieKey, i - 1) ? hash(sibling, node) : hash(node, sibling);
+    }
+    if (proofIndex !== auditPath.length) {
+        throw new Error("Invalid merkle proof: audit path too long");
+    }
+    return node;
+}
+
+/**
+ * Compute the root of a trie from a non compressed inclusion proof
+ * @param {Buffer} trieKey Hashed key of the leaf
+ * @param {Buffer} valueHash Hash of the value stored at trieKey
+ * @param {Array} auditPath Sibling nodes from leaf to root
+ * @return {Buffer} Root hash
+ */
+export function computeRoot(trieKey, valueHash, auditPath) {
+    const height = auditPath.length;
+    let node = leafHash(trieKey, valueHash, height);
+    for (let i = height; i > 0; i--) {
+        const sibling = Buffer.from(auditPath[height - i]);
+        node = bitIsSet(trieKey, i - 1) ? hash(sibling, node) : hash(node, sibling);
+    }
+    return node;
+}
+
+/**
+ * Hash of an account state as stored in the aergo state trie
+ * @param {object} state Herajs State of the account
+ * @return {Buffer} State hash
+ */
+export function stateHash(state) {
+    let balance = new BigNumber(state.balance.value.toString()).toString(16);
+    if (balance === "0") {
+        balance = "";
+    } else if (balance.length % 2 === 1) {
+        balance = "0" + balance;
+    }
+    return hash(
+        uint64LE(state.nonce),
+        Buffer.from(balance, 'hex'),
+        Buffer.from(state.codehash, 'base64'),
+        Buffer.from(state.storageroot, 'base64'),
+        uint64LE(state.sqlrecoverypoint || 0)
+    );
+}
+
+function uint64LE(num) {
+    const buf = Buffer.alloc(8);
+    buf.writeUInt32LE(num % 0x100000000, 0);
+    buf.writeUInt32LE(Math.floor(num / 0x100000000), 4);
+    return buf;
+}
+
+// the trie stores the hash of the raw value bytes : hashing the value parsed
+// by herajs back to JSON would change big numbers, key order or spacing
+function varValueHash(varProof) {
+    if (varProof.valueRaw === undefined) {
+        throw new Error(
+            "Invalid merkle proof: raw variable value missing (see queryContractStateProof)");
+    }
+    return hash(Buffer.from(varProof.valueRaw));
+}
+
+function verifyLeaf(root, trieKey, valueHash, leafProof, compressed) {
+    if (!leafProof.inclusion) {
+        throw new Error("Invalid merkle proof: state not included");
+    }
+    const computed = compressed
+        ? computeRootCompressed(
+            trieKey, valueHash, leafProof.auditPath, Buffer.from(leafProof.bitmap),
+            leafProof.height)
+        : computeRoot(trieKey, valueHash, leafProof.auditPath);
+    return computed.equals(Buffer.from(root));
+}
+
+/**
+ * Query a contract state proof keeping the raw bytes of the variables :
+ * herajs queryContractStateProof only returns their parsed JSON value
+ * @param {object} hera Herajs client
+ * @param {object} query Herajs StateQuery (contract.queryState(keys, true, root))
+ * @return {object} Proof like herajs queryContractStateProof, with the raw
+ *   value bytes of each variable in varProofs[i].valueRaw
+ */
+export async function queryContractStateProof(hera, query) {
+    const grpcObject = await hera.grpcMethod(
+        hera.client.client.queryContractState)(query.toGrpc());
+    const contractProof = grpcObject.getContractproof();
+    const state = contractProof.getState();
+    return {
+        contractProof: {
+            state: {
+                nonce: state.getNonce(),
+                balance: new Amount(state.getBalance_asU8()),
+                codehash: state.getCodehash_asB64(),
+                storageroot: state.getStorageroot_asB64(),
+                sqlrecoverypoint: state.getSqlrecoverypoint(),
+            },
+            inclusion: contractProof.getInclusion(),
+            key: contractProof.getKey_asU8(),
+            bitmap: contractProof.getBitmap_asU8(),
+            height: contractProof.getHeight(),
+            auditPath: contractProof.getAuditpathList_asU8(),
+        },
+        varProofs: grpcObject.getVarproofsList().map((varProof) => {
+            const valueRaw = varProof.getValue_asU8();
+            let value;
+            if (varProof.getInclusion()) {
+                value = valueRaw.length > 0
+                    ? JSON.parse(Buffer.from(valueRaw).toString()) : null;
+            }
+            return {
+                inclusion: varProof.getInclusion(),
+                key: varProof.getKey_asU8(),
+                value: value,
+                valueRaw: valueRaw,
+                bitmap: varProof.getBitmap_asU8(),
+                height: varProof.getHeight(),
+                auditPath: varProof.getAuditpathList_asU8(),
+            };
+        }),
+    };
+}
+
+/**
+ * Verify a queryContractStateProof result against a blocks state root
+ * @param {object} proof Result of queryContractStateProof
+ * @param {string} contractAddr Aergo address of the queried contract
+ * @param {Array} storageKeys Storage keys of the query (before hashing)
+ * @param {Buffer} root Blocks state root at which the proof was made
+ * @param {boolean} compressed True if the proof was queried compressed
+ * @return {object} The verified proof
+ */
+export function verifyAergoProof(proof, contractAddr, storageKeys, root, compressed) {
+    const accountKey = hash(bs58check.decode(contractAddr).slice(1));
+    const contractProof = proof.contractProof;
+    if (!verifyLeaf(root, accountKey, stateHash(contractProof.state), contractProof, compressed)) {
+        throw new Error("Invalid merkle proof: contract state not in blocks root");
+    }
+    const storageRoot = Buffer.from(contractProof.state.storageroot, 'base64');
+    if (proof.varProofs.length !== storageKeys.length) {
+        throw new Error("Invalid merkle proof: missing variable proofs");
+    }
+    storageKeys.forEach((storageKey, i) => {
+        const varProof = proof.varProofs[i];
+        const trieKey = hash(Buffer.from(storageKey));
+        if (!verifyLeaf(storageRoot, trieKey, varValueHash(varProof), varProof, compressed)) {
+            throw new Error("Invalid merkle proof: variable not in contract storage root");
+        }
+    });
+    return proof;
+}
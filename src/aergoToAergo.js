@@ -1,18 +1,43 @@
 import { Contract } from "@herajs/client";
-import { utils } from "eth-merkle-bridge-js";
 import { BigNumber } from "bignumber.js";
+import { checkAergoAddress } from './utils';
+import { verifyAergoProof, queryContractStateProof } from './aergoMerkleProof';
+import { aergoToAergoLayout } from './storageLayout';
+import { isStateNotFound } from './errors';
+import { defaultAergoGasLimit } from './gas';
 
+/**
+ * Storage key prefixes of the Aergo <-> Aergo bridge contract state maps.
+ * Deployments using other state variable names can pass their own prefixes
+ * as the last argument of the functions of this module.
+ */
+export const defaultStoragePrefixes = aergoToAergoLayout;
+
+
+/* Aergo -> Aergo native aergo transfer */
+/* ==================================== */
+
+/**
+ * Build tx to freeze aergo in bridge contract
+ * @param {string} txSender Aergo address of account signing the tx
+ * @param {string} amount Amount to freeze (string with 10^18 decimals)
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract on the origin chain
+ * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
+ * @param {string} receiverAergoAddr Aergo address to receive unfrozen aergo
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object
+ */
 export async function buildFreezeToAergoTx(
     txSender,
     amount,
-    bridgeAergoAddr, 
+    bridgeAergoAddr,
     bridgeAergoAbi,
-    receiverAergoAddr, 
-    gasLimit=300000,
+    receiverAergoAddr,
+    gasLimit=defaultAergoGasLimit,
 ) {
-    utils.checkAergoAddress(txSender);
-    utils.checkAergoAddress(bridgeAergoAddr);
-    utils.checkAergoAddress(receiverAergoAddr);
+    checkAergoAddress(txSender);
+    checkAergoAddress(bridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
     const args = [receiverAergoAddr, {_bignum: amount}];
     const contract = Contract.atAddress(bridgeAergoAddr);
     contract.loadAbi(bridgeAergoAbi);
@@ -24,159 +49,588 @@ export async function buildFreezeToAergoTx(
     return builtTx;
 }
 
+/**
+ * Get the unfreezable and pending amounts transfering through the bridge
+ * @param {object} fromHerajs Herajs client of the chain where aergo was frozen
+ * @param {object} toHerajs Herajs client of the chain where aergo is unfrozen
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of unfrozen aergo
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {string, string} Amount withdrawable now, amount pending new state root anchor (string with 10^18 decimals)
+ */
+export async function unfreezable(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    receiverAergoAddr,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(fromBridgeAergoAddr);
+    checkAergoAddress(toBridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    const depositKey = storagePrefixes.freezes.concat(receiverAergoAddr);
+    const withdrawKey = storagePrefixes.unfreezes.concat(receiverAergoAddr);
+    return withdrawable(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        depositKey, withdrawKey, storagePrefixes
+    );
+}
+
+/**
+ * Build a freeze proof from the origin chain
+ * @param {object} fromHerajs Herajs client of the chain where aergo was frozen
+ * @param {object} toHerajs Herajs client of the chain where aergo is unfrozen
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of unfrozen aergo
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {Promise} Promise from queryContractStateProof
+ */
+export async function buildFreezeProof(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    receiverAergoAddr,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(fromBridgeAergoAddr);
+    checkAergoAddress(toBridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    const depositKey = storagePrefixes.freezes.concat(receiverAergoAddr);
+    return buildDepositProof(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        depositKey, storagePrefixes
+    );
+}
+
+/**
+ * Build hera unfreeze tx object to be sent to Aergo Connect for signing and broadcasting
+ * @param {string} txSender Aergo address of account signing the transaction
+ * @param {object} fromHerajs Herajs client of the chain where aergo was frozen
+ * @param {object} toHerajs Herajs client of the chain where aergo is unfrozen
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {json} toBridgeAergoAbi Abi of Aergo bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of unfrozen aergo
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {object} Herajs tx object with the anchorHeight of the proof
+ */
 export async function buildUnfreezeToAergoTx(
     txSender,
     fromHerajs,
     toHerajs,
     fromBridgeAergoAddr,
-    toBridgeAergoAddr, 
+    toBridgeAergoAddr,
     toBridgeAergoAbi,
-    receiverAergoAddr, 
-    gasLimit=300000,
-) {
-    utils.checkAergoAddress(txSender);
-    utils.checkAergoAddress(fromBridgeAergoAddr);
-    utils.checkAergoAddress(toBridgeAergoAddr);
-    utils.checkAergoAddress(receiverAergoAddr);
-    // build lock proof
-    const proof = await buildFreezeProof(fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr, receiverAergoAddr);
-    const ap = [];
-    proof.varProofs[0].auditPath.map(function(proofNode){
-      ap.push(Buffer.from(proofNode).toString('hex'));
-    });
-    
-    const totalDepositBalance = proof.varProofs[0].value
-    const args = [receiverAergoAddr, {_bignum: totalDepositBalance}, ap];
-    /* eslint-disable */
-    console.log('proof', proof);
-    console.log('contract args', args);
-    const contract = Contract.fromAbi(toBridgeAergoAbi).setAddress(toBridgeAergoAddr);
+    receiverAergoAddr,
+    gasLimit=defaultAergoGasLimit,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(txSender);
+    const proof = await buildFreezeProof(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        receiverAergoAddr, storagePrefixes
+    );
+    const [balance, ap] = buildWithdrawArgs(proof);
+    const args = [receiverAergoAddr, balance, ap];
+    const contract = Contract.atAddress(toBridgeAergoAddr);
+    contract.loadAbi(toBridgeAergoAbi);
     const builtTx = await contract.unfreeze(...args).asTransaction({
         from: txSender,
         limit: gasLimit,
-        amount: 0,
     });
+    builtTx.anchorHeight = proof.anchorHeight;
     return builtTx;
-    
-}
-
-async function buildFreezeProof(
-  fromHerajs,
-  toHerajs,
-  fromBridgeAergoAddr,
-  toBridgeAergoAddr,
-  toBridgeAergoAbi,
-  receiverAergoAddr
-) {
-  
-  const contract = Contract.fromAbi(toBridgeAergoAbi).setAddress(toBridgeAergoAddr);
-  // check last merged height
-  let query = contract.queryState("_sv__anchorHeight");
-  const lastMergedHeight = await toHerajs.queryContractState(query);
-  const mergeBlockHeader = await fromHerajs.getBlockHeaders(
-        lastMergedHeight, 1)
-  const rootFrom = Buffer.from(
-      mergeBlockHeader[0].header.blocksroothash, 'base64')
-  //FIXME mint chainge!~~@@
-  const accountRef = receiverAergoAddr;
-  const freezesKey = Buffer.from('_sv__freezes-'.concat(accountRef), 'utf-8');
-  //FIXME
-  /*
-  const accountRef = receiverAergoAddr + 'AmgnNKadR4gv2ELgqgtyGM9ec5EnpHj5ai14z3juNmo6m6LsdtEU';
-  const freezesKey = Buffer.from('_sv__locks-'.concat(accountRef), 'utf-8');
-  */
-  const fromAergoBridge = Contract.fromAbi(toBridgeAergoAbi).setAddress(fromBridgeAergoAddr);
-  query = fromAergoBridge.queryState(freezesKey, false, rootFrom); //
-  //query = fromAergoBridge.queryState(freezesKey);
-  const proof = await fromHerajs.queryContractStateProof(query);
-  /* eslint-disable */
-  console.log('height', lastMergedHeight);
-  console.log('rootFrom', rootFrom);
-  console.log('account_ref', accountRef);
-  console.log('proof', proof);
-  
-  //FIXME until here
-  
-  // TODO proof verification
-  return proof;
 }
 
-export async function unfreezable(
+
+/* Aergo -> Aergo ARC1 token transfer */
+/* ================================== */
+
+/**
+ * Build tx to lock ARC1 tokens in the bridge contract (ARC1 transfer to bridge)
+ * @param {string} txSender Aergo address of account signing the tx
+ * @param {string} amount Amount to lock (string with 10^18 decimals)
+ * @param {string} arc1Addr Aergo address of token to lock
+ * @param {json} arc1Abi Abi of ARC1 token contract
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract on the origin chain
+ * @param {string} receiverAergoAddr Aergo address to receive minted tokens
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object
+ */
+export async function buildLockToAergoTx(
+    txSender,
+    amount,
+    arc1Addr,
+    arc1Abi,
+    bridgeAergoAddr,
+    receiverAergoAddr,
+    gasLimit=defaultAergoGasLimit,
+) {
+    checkAergoAddress(txSender);
+    checkAergoAddress(arc1Addr);
+    checkAergoAddress(bridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    const args = [bridgeAergoAddr, {_bignum: amount}, receiverAergoAddr];
+    const contract = Contract.atAddress(arc1Addr);
+    contract.loadAbi(arc1Abi);
+    const builtTx = await contract.transfer(...args).asTransaction({
+        from: txSender,
+        limit: gasLimit,
+    });
+    return builtTx;
+}
+
+/**
+ * Get the mintable and pending amounts transfering through the bridge
+ * @param {object} fromHerajs Herajs client of the chain where tokens were locked
+ * @param {object} toHerajs Herajs client of the chain where tokens are minted
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of minted tokens
+ * @param {string} arc1Addr Aergo address of locked ARC1 token
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {string, string} Amount withdrawable now, amount pending new state root anchor (string with 10^18 decimals)
+ */
+export async function mintable(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    receiverAergoAddr,
+    arc1Addr,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(fromBridgeAergoAddr);
+    checkAergoAddress(toBridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    checkAergoAddress(arc1Addr);
+    const accountRef = receiverAergoAddr.concat(arc1Addr);
+    return withdrawable(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        storagePrefixes.locks.concat(accountRef),
+        storagePrefixes.mints.concat(accountRef), storagePrefixes
+    );
+}
+
+/**
+ * Build a lock proof from the origin chain
+ * @param {object} fromHerajs Herajs client of the chain where tokens were locked
+ * @param {object} toHerajs Herajs client of the chain where tokens are minted
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of minted tokens
+ * @param {string} arc1Addr Aergo address of locked ARC1 token
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {Promise} Promise from queryContractStateProof
+ */
+export async function buildLockProof(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    receiverAergoAddr,
+    arc1Addr,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(fromBridgeAergoAddr);
+    checkAergoAddress(toBridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    checkAergoAddress(arc1Addr);
+    const depositKey = storagePrefixes.locks.concat(receiverAergoAddr, arc1Addr);
+    return buildDepositProof(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        depositKey, storagePrefixes
+    );
+}
+
+/**
+ * Build hera mint tx object to be sent to Aergo Connect for signing and broadcasting
+ * @param {string} txSender Aergo address of account signing the transaction
+ * @param {object} fromHerajs Herajs client of the chain where tokens were locked
+ * @param {object} toHerajs Herajs client of the chain where tokens are minted
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {json} toBridgeAergoAbi Abi of Aergo bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of minted tokens
+ * @param {string} arc1Addr Aergo address of locked ARC1 token
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {object} Herajs tx object with the anchorHeight of the proof
+ */
+export async function buildMintToAergoTx(
+    txSender,
     fromHerajs,
     toHerajs,
     fromBridgeAergoAddr,
     toBridgeAergoAddr,
     toBridgeAergoAbi,
-    receiverAergoAddr
-) {
-  const accountRef = receiverAergoAddr;
-  const freezesKey = Buffer.from('_sv__freezes-'.concat(accountRef), 'utf-8');
-  const fromAergoBridge = Contract.fromAbi(toBridgeAergoAbi).setAddress(fromBridgeAergoAddr);
-  
-  // totalDeposit : total latest deposit including pending
-  let query = fromAergoBridge.queryState(freezesKey);
-  let storageValue;
-  try {
-      storageValue = await fromHerajs.queryContractState(query);
-  } catch (Error) {
-      storageValue = 0;
-      // eslint-disable-next-line
-      console.error(Error);
-  }
-  const totalDeposit = new BigNumber(storageValue);
-  // get total withdrawn and last anchor height
-  const unfreezesKey = Buffer.from('_sv__unfreezes-'.concat(accountRef), 'utf-8');
-  const toAergoBridge = Contract.atAddress(toBridgeAergoAddr);
-  toAergoBridge.loadAbi(toBridgeAergoAbi);
-  query = toAergoBridge.queryState(
-      ["_sv__anchorHeight", unfreezesKey]);
-  let [lastAnchorHeight, totalWithdrawn] = await toHerajs.queryContractState(query);
-  if (totalWithdrawn === undefined) {
-      totalWithdrawn = 0;
-  }
-  totalWithdrawn = new BigNumber(totalWithdrawn);
-  // get last anchor
-  const mergeBlockHeader = await fromHerajs.getBlockHeaders(
-      lastAnchorHeight, 1);
-  const root = Buffer.from(
-      mergeBlockHeader[0].header.blocksroothash, 'base64');
-  // get anchored deposit : total deposit before the last anchor
-  // eslint-disable-next-line
-  // console.log(mergeBlockHeader)
-  
-  //query = Contract.atAddress(fromBridgeAergoAddr).queryState(freezesKey);
-  try {
-      storageValue = await fromHerajs.queryContractState(fromAergoBridge.queryState(freezesKey, false, root));
-  } catch (Error) {
-      storageValue = 0;
-      // eslint-disable-next-line
-      console.error(Error);
-  }
-  const anchoredDeposit = new BigNumber(storageValue);
-  // calculate withdrawable and pending
-  const withdrawableBalance = anchoredDeposit.minus(totalWithdrawn).toString(10);
-  const pending = totalDeposit.minus(anchoredDeposit).toString(10);
-  return [withdrawableBalance, pending];
-}
-
-/**
- * Get the anchoring statue of Aergo to Aergo
- */
-export async function getAnchorState(toHerajs, fromHerajs, toBridgeAergoAddr, toBridgeAergoAbi) {
-  utils.checkAergoAddress(toBridgeAergoAddr);
-  // get a anchoring status of to chain
-  const aergoBridge = Contract.atAddress(toBridgeAergoAddr).loadAbi(toBridgeAergoAbi);
-  const query = aergoBridge.queryState(
-      ["_sv__anchorHeight", "_sv__tAnchor", "_sv__tFinal"]);
-  const [lastAnchorHeight, tAnchor, tFinal] = await toHerajs.queryContractState(query);
-  
-  // get a height of from chain
-  const head = await fromHerajs.blockchain()
-  const bestHeight = head.bestHeight
-  return {
-      lastAnchorHeight: lastAnchorHeight,
-      tAnchor: tAnchor,
-      tFinal: tFinal,
-      bestHeight: bestHeight
-  }
-}
\ No newline at end of file
+    receiverAergoAddr,
+    arc1Addr,
+    gasLimit=defaultAergoGasLimit,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(txSender);
+    const proof = await buildLockProof(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        receiverAergoAddr, arc1Addr, storagePrefixes
+    );
+    const [balance, ap] = buildWithdrawArgs(proof);
+    const args = [receiverAergoAddr, balance, arc1Addr, ap];
+    const contract = Contract.atAddress(toBridgeAergoAddr);
+    contract.loadAbi(toBridgeAergoAbi);
+    const builtTx = await contract.mint(...args).asTransaction({
+        from: txSender,
+        limit: gasLimit,
+    });
+    builtTx.anchorHeight = proof.anchorHeight;
+    return builtTx;
+}
+
+
+/* Aergo -> Aergo pegged ARC1 token transfer */
+/* ========================================= */
+
+/**
+ * Build tx to burn tokens minted by aergo bridge contract
+ * @param {string} txSender Aergo address of account signing the tx
+ * @param {string} amount Amount to burn (string with 10^18 decimals)
+ * @param {string} mintedArc1Addr Aergo address of token to burn
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract that minted the token
+ * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
+ * @param {string} receiverAergoAddr Aergo address to receive unlocked tokens
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object
+ */
+export async function buildBurnToAergoTx(
+    txSender,
+    amount,
+    mintedArc1Addr,
+    bridgeAergoAddr,
+    bridgeAergoAbi,
+    receiverAergoAddr,
+    gasLimit=defaultAergoGasLimit,
+) {
+    checkAergoAddress(txSender);
+    checkAergoAddress(mintedArc1Addr);
+    checkAergoAddress(bridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    const args = [receiverAergoAddr, {_bignum: amount}, mintedArc1Addr];
+    const contract = Contract.atAddress(bridgeAergoAddr);
+    contract.loadAbi(bridgeAergoAbi);
+    const builtTx = await contract.burn(...args).asTransaction({
+        from: txSender,
+        limit: gasLimit,
+    });
+    return builtTx;
+}
+
+/**
+ * Get the unlockable and pending amounts transfering through the bridge
+ * @param {object} fromHerajs Herajs client of the chain where tokens were burnt
+ * @param {object} toHerajs Herajs client of the chain where tokens are unlocked
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of unlocked tokens
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {string, string} Amount withdrawable now, amount pending new state root anchor (string with 10^18 decimals)
+ */
+export async function unlockable(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    receiverAergoAddr,
+    arc1Addr,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(fromBridgeAergoAddr);
+    checkAergoAddress(toBridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    checkAergoAddress(arc1Addr);
+    const accountRef = receiverAergoAddr.concat(arc1Addr);
+    return withdrawable(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        storagePrefixes.burns.concat(accountRef),
+        storagePrefixes.unlocks.concat(accountRef), storagePrefixes
+    );
+}
+
+/**
+ * Build a burn proof from the chain where the pegged tokens were burnt
+ * @param {object} fromHerajs Herajs client of the chain where tokens were burnt
+ * @param {object} toHerajs Herajs client of the chain where tokens are unlocked
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of unlocked tokens
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {Promise} Promise from queryContractStateProof
+ */
+export async function buildBurnProof(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    receiverAergoAddr,
+    arc1Addr,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(fromBridgeAergoAddr);
+    checkAergoAddress(toBridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    checkAergoAddress(arc1Addr);
+    const depositKey = storagePrefixes.burns.concat(receiverAergoAddr, arc1Addr);
+    return buildDepositProof(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        depositKey, storagePrefixes
+    );
+}
+
+/**
+ * Build hera unlock tx object to be sent to Aergo Connect for signing and broadcasting
+ * @param {string} txSender Aergo address of account signing the transaction
+ * @param {object} fromHerajs Herajs client of the chain where tokens were burnt
+ * @param {object} toHerajs Herajs client of the chain where tokens are unlocked
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {json} toBridgeAergoAbi Abi of Aergo bridge contract on toHerajs chain
+ * @param {string} receiverAergoAddr Aergo address of receiver of unlocked tokens
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {object} Herajs tx object with the anchorHeight of the proof
+ */
+export async function buildUnlockToAergoTx(
+    txSender,
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    toBridgeAergoAbi,
+    receiverAergoAddr,
+    arc1Addr,
+    gasLimit=defaultAergoGasLimit,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(txSender);
+    const proof = await buildBurnProof(
+        fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr,
+        receiverAergoAddr, arc1Addr, storagePrefixes
+    );
+    const [balance, ap] = buildWithdrawArgs(proof);
+    const args = [receiverAergoAddr, balance, arc1Addr, ap];
+    const contract = Contract.atAddress(toBridgeAergoAddr);
+    contract.loadAbi(toBridgeAergoAbi);
+    const builtTx = await contract.unlock(...args).asTransaction({
+        from: txSender,
+        limit: gasLimit,
+    });
+    builtTx.anchorHeight = proof.anchorHeight;
+    return builtTx;
+}
+
+
+/* Aergo -> Aergo helpers */
+/* ====================== */
+
+/**
+ * Get the anchoring status of the fromHerajs chain on the toHerajs chain.
+ * Swap the clients and use the other bridge address for the opposite direction.
+ * @param {object} toHerajs Herajs client of the chain receiving anchors
+ * @param {object} fromHerajs Herajs client of the anchored chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {number, number, number} last anchor height on to chain, anchoring periode, from chain longest chain height
+ */
+export async function getAnchorState(
+    toHerajs,
+    fromHerajs,
+    toBridgeAergoAddr,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(toBridgeAergoAddr);
+    const aergoBridge = Contract.atAddress(toBridgeAergoAddr);
+    const query = aergoBridge.queryState([
+        storagePrefixes.anchorHeight, storagePrefixes.tAnchor,
+        storagePrefixes.tFinal
+    ]);
+    const [lastAnchorHeight, tAnchor, tFinal] = await toHerajs.queryContractState(query);
+    const head = await fromHerajs.blockchain()
+    const bestHeight = head.bestHeight
+    return {
+        lastAnchorHeight: lastAnchorHeight,
+        tAnchor: tAnchor,
+        tFinal: tFinal,
+        bestHeight: bestHeight
+    }
+}
+
+/**
+ * Decode the blocks root of the fromHerajs chain anchored in the toHerajs bridge
+ * state, it doesn't depend on the node that builds the deposit proof
+ * @param {string} anchorRoot Anchored root (hex string)
+ * @return {Buffer} Blocks root hash
+ */
+function decodeAnchorRoot(anchorRoot) {
+    if (!anchorRoot) {
+        throw new Error("No blocks root anchored on the bridge");
+    }
+    const hex = anchorRoot.slice(0, 2) === '0x' ? anchorRoot.slice(2) : anchorRoot;
+    return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Get the blocks root of the fromHerajs chain at the last anchor on toHerajs chain
+ * @param {object} toHerajs Herajs client of the chain receiving anchors
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {object} {root, anchorHeight} Blocks root hash and the height it was anchored at
+ */
+async function getAnchoredRoot(
+    toHerajs,
+    toBridgeAergoAddr,
+    storagePrefixes
+) {
+    const toAergoBridge = Contract.atAddress(toBridgeAergoAddr);
+    // queried together so the root matches the height
+    const query = toAergoBridge.queryState(
+        [storagePrefixes.anchorHeight, storagePrefixes.anchorRoot]);
+    const [anchorHeight, anchorRoot] = await toHerajs.queryContractState(query);
+    return {root: decodeAnchorRoot(anchorRoot), anchorHeight: Number(anchorHeight)};
+}
+
+/**
+ * Check the anchor a proof was built at is still the last one on the
+ * toHerajs chain, a tx built with an older proof would fail
+ * @param {object} toHerajs Herajs client of the chain receiving anchors
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {number} anchorHeight anchorHeight of the built tx or proof
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {boolean} True if the proof can still be used
+ */
+export async function isProofStillValid(
+    toHerajs,
+    toBridgeAergoAddr,
+    anchorHeight,
+    storagePrefixes=defaultStoragePrefixes,
+) {
+    checkAergoAddress(toBridgeAergoAddr);
+    const toAergoBridge = Contract.atAddress(toBridgeAergoAddr);
+    const query = toAergoBridge.queryState(storagePrefixes.anchorHeight);
+    const lastAnchorHeight = await toHerajs.queryContractState(query);
+    return Number(lastAnchorHeight) === Number(anchorHeight);
+}
+
+/**
+ * Build a deposit proof (freeze/lock/burn) at the last anchored root
+ * @param {object} fromHerajs Herajs client of the deposit chain
+ * @param {object} toHerajs Herajs client of the withdraw chain
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} depositKey Storage key of the deposit (before hashing)
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {Promise} Promise from queryContractStateProof, verified against the anchored
+ *   blocks root, with the anchorHeight of the root
+ */
+async function buildDepositProof(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    depositKey,
+    storagePrefixes
+) {
+    const { root, anchorHeight } = await getAnchoredRoot(
+        toHerajs, toBridgeAergoAddr, storagePrefixes);
+    const fromAergoBridge = Contract.atAddress(fromBridgeAergoAddr);
+    // the aergo bridge contract verifies non compressed proofs
+    const query = fromAergoBridge.queryState(depositKey, false, root);
+    const proof = await queryContractStateProof(fromHerajs, query);
+    const verifiedProof = verifyAergoProof(
+        proof, fromBridgeAergoAddr, [depositKey], root, false);
+    // the proof is only accepted while this anchor is the last one
+    verifiedProof.anchorHeight = anchorHeight;
+    return verifiedProof;
+}
+
+/**
+ * Format a deposit proof into bridge contract withdraw arguments
+ * @param {object} proof Deposit proof from buildDepositProof
+ * @return {Array} Total deposit balance and hex audit path
+ */
+function buildWithdrawArgs(proof) {
+    const totalDepositBalance = proof.varProofs[0].value;
+    const ap = proof.varProofs[0].auditPath.map(function(proofNode) {
+        return Buffer.from(proofNode).toString('hex');
+    });
+    return [{_bignum: totalDepositBalance}, ap];
+}
+
+/**
+ * Query a cumulative deposit total, 0 if nothing was deposited yet
+ * @param {object} herajs Herajs client
+ * @param {object} query Herajs state query of a single deposit key
+ * @return {BigNumber} Total deposit
+ */
+async function queryTotal(herajs, query) {
+    try {
+        return new BigNumber(await herajs.queryContractState(query));
+    } catch (err) {
+        // the state variable doesn't exist before the first deposit
+        if (isStateNotFound(err)) {
+            return new BigNumber(0);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Get the withdrawable and pending amounts transfering through the bridge
+ * @param {object} fromHerajs Herajs client of the deposit chain
+ * @param {object} toHerajs Herajs client of the withdraw chain
+ * @param {string} fromBridgeAergoAddr Aergo address of bridge contract on fromHerajs chain
+ * @param {string} toBridgeAergoAddr Aergo address of bridge contract on toHerajs chain
+ * @param {string} depositKey Storage key of the deposit (before hashing)
+ * @param {string} withdrawKey Storage key of the withdrawal (before hashing)
+ * @param {object} storagePrefixes Storage key prefixes of the bridge contracts
+ * @return {string, string} Amount withdrawable now, amount pending new state root anchor (string with 10^18 decimals)
+ */
+async function withdrawable(
+    fromHerajs,
+    toHerajs,
+    fromBridgeAergoAddr,
+    toBridgeAergoAddr,
+    depositKey,
+    withdrawKey,
+    storagePrefixes
+) {
+    const fromAergoBridge = Contract.atAddress(fromBridgeAergoAddr);
+    // totalDeposit : total latest deposit including pending
+    let query = fromAergoBridge.queryState(depositKey);
+    const totalDeposit = await queryTotal(fromHerajs, query);
+
+    // get total withdrawn and last anchored root
+    const toAergoBridge = Contract.atAddress(toBridgeAergoAddr);
+    query = toAergoBridge.queryState(
+        [storagePrefixes.anchorRoot, withdrawKey]);
+    let [anchorRoot, totalWithdrawn] = await toHerajs.queryContractState(query);
+    if (totalWithdrawn === undefined) {
+        totalWithdrawn = 0;
+    }
+    totalWithdrawn = new BigNumber(totalWithdrawn);
+
+    // get anchored deposit : total deposit before the last anchor
+    query = fromAergoBridge.queryState(depositKey, false, decodeAnchorRoot(anchorRoot));
+    const anchoredDeposit = await queryTotal(fromHerajs, query);
+
+    // calculate withdrawable and pending
+    const withdrawableBalance = anchoredDeposit.minus(totalWithdrawn).toString(10);
+    const pending = totalDeposit.minus(anchoredDeposit).toString(10);
+    return [withdrawableBalance, pending];
+}
@@ -1,22 +1,166 @@
 import { Contract } from '@herajs/client';
-import { keccak256 } from 'web3-utils';
 import { BigNumber } from 'bignumber.js';
-import { checkAergoAddress, checkEthereumAddress, checkTokenId } from './utils';
+import {
+    checkAergoAddress, checkEthereumAddress, checkTokenId, getAergoAnchorStatus,
+    queryAergoNumber, nftTransferStatus
+} from './utils';
+import { verifyAergoProof, queryContractStateProof } from './aergoMerkleProof';
+import { retryOnStaleProof } from './anchorGuard';
+import { sendEthMethod } from './signers';
+import { defaultAergoGasLimit } from './gas';
+import { ProofUnavailableError, isStateNotFound } from './errors';
+import {
+    getLayout, ethMintsKey, ethUnlocksKey, ethUnlocksERC721Key, aergoLocksKey,
+    aergoBurnsKey, aergoBurnsARC2Key, aergoBridgeTokensARC2Key
+} from './storageLayout';
 
 /* Aergo -> Ethereum ARC1 token transfer */
 /* ===================================== */
 
-export function lock() {
-    throw new Error('Not implemented');
+/**
+ * Build tx to lock ARC1 tokens in the bridge contract (ARC1 transfer to bridge)
+ * @param {string} txSender Aergo address of account signing the tx
+ * @param {string} amount Amount to lock (string with 10^18 decimals)
+ * @param {string} arc1Addr Aergo address of token to lock
+ * @param {json} arc1Abi Abi of ARC1 token contract
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {string} receiverEthAddr 0x eth address to receive minted tokens
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object
+ */
+export async function buildLockTx(
+    txSender,
+    amount,
+    arc1Addr,
+    arc1Abi,
+    bridgeAergoAddr,
+    receiverEthAddr,
+    gasLimit=defaultAergoGasLimit,
+) {
+    checkAergoAddress(txSender);
+    checkAergoAddress(arc1Addr);
+    checkAergoAddress(bridgeAergoAddr);
+    checkEthereumAddress(receiverEthAddr);
+    // the bridge tokensReceived() locks tokens for the receiver given in args
+    const args = [
+        bridgeAergoAddr, {_bignum: amount}, receiverEthAddr.slice(2).toLowerCase()];
+    const contract = Contract.atAddress(arc1Addr);
+    contract.loadAbi(arc1Abi);
+    const builtTx = await contract.transfer(...args).asTransaction({
+        from: txSender,
+        limit: gasLimit,
+    });
+    return builtTx;
 }
-export function mintable() {
-    throw new Error('Not implemented');
+
+/**
+ * Get the mintable and pending amounts transfering through the bridge
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {string} receiverEthAddr 0x address of receiver of minted tokens
+ * @param {string} arc1Addr Aergo address of locked ARC1 token
+ * @return {string, string} Amount withdrawable now, amount pending new state root anchor (string with 10^18 decimals)
+ */
+export function mintable(
+    web3,
+    hera,
+    bridgeEthAddr,
+    bridgeAergoAddr,
+    receiverEthAddr,
+    arc1Addr,
+) {
+    checkEthereumAddress(bridgeEthAddr);
+    checkAergoAddress(bridgeAergoAddr);
+    checkEthereumAddress(receiverEthAddr);
+    checkAergoAddress(arc1Addr);
+    const ethTrieKey = ethMintsKey(receiverEthAddr, arc1Addr);
+    const aergoStorageKey = aergoLocksKey(receiverEthAddr, arc1Addr);
+    return withdrawable(
+        web3, hera, bridgeEthAddr, bridgeAergoAddr, ethTrieKey,
+        aergoStorageKey
+    );
 }
-export function buildLockProof() {
-    throw new Error('Not implemented');
+
+/**
+ * Build a lock proof from Aergo
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {string} receiverEthAddr 0x address to receive minted tokens
+ * @param {string} arc1Addr Aergo address of locked ARC1 token
+ * @return {Promise} Promise from queryContractStateProof
+ */
+export async function buildLockProof(
+    web3,
+    hera,
+    bridgeEthAddr,
+    bridgeAergoAddr,
+    receiverEthAddr,
+    arc1Addr,
+) {
+    checkEthereumAddress(bridgeEthAddr);
+    checkAergoAddress(bridgeAergoAddr);
+    checkEthereumAddress(receiverEthAddr);
+    checkAergoAddress(arc1Addr);
+    const aergoStorageKey = aergoLocksKey(receiverEthAddr, arc1Addr);
+    return buildDepositProof(
+        web3, hera, bridgeEthAddr, bridgeAergoAddr, aergoStorageKey);
 }
-export function mint() {
-    throw new Error('Not implemented');
+
+/**
+ * Mint pegged ERC20 tokens from the Ethereum bridge contract
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {string} receiverEthAddr 0x address to receive minted tokens
+ * @param {string} arc1Addr Aergo address of locked ARC1 token
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {number} retries Number of times the proof is rebuilt if a new anchor makes it stale
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
+ * @return {object} web3js receipt with the pegged token address in mintedErc20Addr
+ */
+export async function mint(
+    web3,
+    hera,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    bridgeAergoAddr,
+    receiverEthAddr,
+    arc1Addr,
+    gasLimit,
+    retries=1,
+    ethSigner,
+) {
+    const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+    const receipt = await sendWithFreshProof(
+        web3, bridgeEthAddr,
+        () => buildMintArgs(
+            web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr,
+            arc1Addr
+        ),
+        (args) => sendEthMethod(
+            web3,
+            contract.methods.mint(
+                receiverEthAddr, args.balance, args.tokenOrigin, args.mp,
+                args.bitmap, args.leafHeight
+            ),
+            bridgeEthAddr, gasLimit, ethSigner
+        ),
+        retries
+    );
+    // newMintedERC20 is only emitted by the first mint of a token
+    if (receipt.events && receipt.events.newMintedERC20) {
+        receipt.mintedErc20Addr = receipt.events.newMintedERC20.returnValues.addr;
+    } else {
+        receipt.mintedErc20Addr = await contract.methods._bridgeTokens(
+            arc1Addr).call();
+    }
+    return receipt;
 }
 
 /* Aergo -> Ethereum pegged ERC20 token transfer */
@@ -30,6 +174,7 @@ export function mint() {
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
  * @param {string} receiverEthAddr 0x eth address to receive unlocked tokens
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
  * @return {object} Herajs tx object
  */
 export async function buildBurnTx(
@@ -39,7 +184,7 @@ export async function buildBurnTx(
     bridgeAergoAddr, 
     bridgeAergoAbi,
     receiverEthAddr, 
-    gasLimit=300000,
+    gasLimit=defaultAergoGasLimit,
 ) {
     checkAergoAddress(txSender);
     checkAergoAddress(mintedArc1Addr);
@@ -55,6 +200,68 @@ export async function buildBurnTx(
     return builtTx;
 }
 
+/**
+ * Build tx to burn ARC2 tokens minted by aergo bridge contract
+ * @param {string} txSender Aergo address of account signing the tx
+ * @param {string} tokenId ARC2 tokenId to burn
+ * @param {string} mintedArc2Addr Aergo address of ARC2 token to burn
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
+ * @param {string} receiverEthAddr 0x eth address to receive the unlocked ERC721
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object
+ */
+export async function buildBurnARC2Tx(
+    txSender,
+    tokenId,
+    mintedArc2Addr,
+    bridgeAergoAddr,
+    bridgeAergoAbi,
+    receiverEthAddr,
+    gasLimit=defaultAergoGasLimit,
+) {
+    checkAergoAddress(txSender);
+    checkTokenId(tokenId);
+    checkAergoAddress(mintedArc2Addr);
+    checkAergoAddress(bridgeAergoAddr);
+    checkEthereumAddress(receiverEthAddr);
+    const args = [receiverEthAddr.slice(2).toLowerCase(), tokenId, mintedArc2Addr];
+    const contract = Contract.atAddress(bridgeAergoAddr);
+    contract.loadAbi(bridgeAergoAbi);
+    const builtTx = await contract.burnARC2(...args).asTransaction({
+        from: txSender,
+        limit: gasLimit,
+    });
+    return builtTx;
+}
+
+/**
+ * Get the ARC2 contract minted by the aergo bridge for an ERC721 origin
+ * @param {object} hera Herajs client
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {string} erc721Addr 0x Address of origin erc721 token
+ * @return {string} Aergo address of minted ARC2, null if the ERC721 was never bridged
+ */
+export async function getMintedARC2(
+    hera,
+    bridgeAergoAddr,
+    erc721Addr,
+) {
+    checkAergoAddress(bridgeAergoAddr);
+    checkEthereumAddress(erc721Addr);
+    const aergoBridge = Contract.atAddress(bridgeAergoAddr);
+    const query = aergoBridge.queryState(aergoBridgeTokensARC2Key(erc721Addr));
+    try {
+        return await hera.queryContractState(query);
+    } catch (err) {
+        // when state does not exist, the token was never minted
+        if (isStateNotFound(err)) {
+            return null;
+        }
+        throw err;
+    }
+}
+
 /**
  * Build tx to freeze aergo in bridge contract
  * @param {string} txSender Aergo address of account signing the tx
@@ -62,6 +269,7 @@ export async function buildBurnTx(
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
  * @param {string} receiverEthAddr 0x eth address to receive unlocked tokens
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
  * @return {object} Herajs tx object
  */
 export async function buildFreezeTx(
@@ -70,7 +278,7 @@ export async function buildFreezeTx(
     bridgeAergoAddr, 
     bridgeAergoAbi,
     receiverEthAddr, 
-    gasLimit=300000,
+    gasLimit=defaultAergoGasLimit,
 ) {
     checkAergoAddress(txSender);
     checkAergoAddress(bridgeAergoAddr);
@@ -108,16 +316,8 @@ export function unlockable(
     checkAergoAddress(bridgeAergoAddr);
     checkEthereumAddress(receiverEthAddr);
     checkEthereumAddress(erc20Addr);
-    // _unlocks is the 7th var in EthMerkleBridge contract
-    const position = Buffer.concat(
-        [Buffer.alloc(31), Buffer.from("06", 'hex')]);
-    const accountRef = Buffer.concat([
-        Buffer.from(receiverEthAddr.slice(2).toLowerCase(), 'hex'), 
-        Buffer.from(erc20Addr.slice(2), 'hex')
-    ]);
-    const ethTrieKey = keccak256(Buffer.concat([accountRef, position]));
-    const aergoStorageKey = Buffer.concat(
-        [Buffer.from('_sv__burns-', 'utf-8'), accountRef])
+    const ethTrieKey = ethUnlocksKey(receiverEthAddr, erc20Addr);
+    const aergoStorageKey = aergoBurnsKey(receiverEthAddr, erc20Addr);
     return withdrawable(
         web3, hera, bridgeEthAddr, bridgeAergoAddr, ethTrieKey,
         aergoStorageKey
@@ -132,7 +332,7 @@ export function unlockable(
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {string} receiverEthAddr 0x address to receive unlocked tokens
  * @param {string} erc20Addr 0x Address of asset
- * @return {Promise} Promise from herajs queryContractStateProof
+ * @return {Promise} Promise from queryContractStateProof
  */
 export async function buildBurnProof(
     web3, 
@@ -146,13 +346,9 @@ export async function buildBurnProof(
     checkAergoAddress(bridgeAergoAddr);
     checkEthereumAddress(receiverEthAddr);
     checkEthereumAddress(erc20Addr);
-    const accountRef = Buffer.concat([
-        Buffer.from("_sv__burns-", 'utf-8'), 
-        Buffer.from(receiverEthAddr.slice(2).toLowerCase(), 'hex'),
-        Buffer.from(erc20Addr.slice(2), 'hex')
-    ]);
+    const aergoStorageKey = aergoBurnsKey(receiverEthAddr, erc20Addr);
     return buildDepositProof(
-        web3, hera, bridgeEthAddr, bridgeAergoAddr, accountRef);
+        web3, hera, bridgeEthAddr, bridgeAergoAddr, aergoStorageKey);
 }
 
 /**
@@ -163,7 +359,7 @@ export async function buildBurnProof(
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {string} receiverEthAddr 0x address to receive unlocked tokens
  * @param {string} aergoErc20Addr 0x Address of aergo erc20
- * @return {Promise} Promise from herajs queryContractStateProof
+ * @return {Promise} Promise from queryContractStateProof
  */
 export async function buildFreezeProof(
     web3, 
@@ -188,6 +384,9 @@ export async function buildFreezeProof(
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {string} receiverEthAddr 0x address to receive unlocked tokens
  * @param {string} erc20Addr 0x Address of asset
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {number} retries Number of times the proof is rebuilt if a new anchor makes it stale
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
  * @return {Promise} Promise from web3js send transaction
  */
 export async function unlock(
@@ -198,18 +397,26 @@ export async function unlock(
     bridgeAergoAddr,
     receiverEthAddr, 
     erc20Addr,
-    gasLimit=300000,
+    gasLimit,
+    retries=1,
+    ethSigner,
 ) {
-    let args = await buildUnlockArgs(
-        web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr, 
-        erc20Addr
-    );
     const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
-    return contract.methods.unlock(
-        receiverEthAddr, args.balance, args.token, args.mp, args.bitmap,
-        args.leafHeight
-    ).send(
-        {from: web3.eth.defaultAccount, gas: gasLimit}
+    return sendWithFreshProof(
+        web3, bridgeEthAddr,
+        () => buildUnlockArgs(
+            web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr,
+            erc20Addr
+        ),
+        (args) => sendEthMethod(
+            web3,
+            contract.methods.unlock(
+                receiverEthAddr, args.balance, args.token, args.mp, args.bitmap,
+                args.leafHeight
+            ),
+            bridgeEthAddr, gasLimit, ethSigner
+        ),
+        retries
     );
 }
 
@@ -226,7 +433,7 @@ export async function unlock(
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {string} receiverEthAddr 0x address to receive unlocked tokens
  * @param {string} erc20Addr 0x Address of asset
- * @return {Array} Array of arguments usable in mycrypto
+ * @return {Array} Array of arguments usable in mycrypto, with the anchorHeight of the proof
  */
 export async function buildUnlockArgs(
     web3,
@@ -257,7 +464,52 @@ export async function buildUnlockArgs(
         token: erc20Addr, 
         mp: ap, 
         bitmap: bitmap, 
-        leafHeight: leafHeight
+        leafHeight: leafHeight,
+        anchorHeight: proof.anchorHeight
+    }
+}
+
+
+/**
+ * Build arguments for minting pegged tokens from the Ethereum bridge contract
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {string} receiverEthAddr 0x address to receive minted tokens
+ * @param {string} arc1Addr Aergo address of locked ARC1 token
+ * @return {Array} Array of arguments usable in mycrypto, with the anchorHeight of the proof
+ */
+export async function buildMintArgs(
+    web3,
+    hera,
+    bridgeEthAddr,
+    bridgeAergoAddr,
+    receiverEthAddr,
+    arc1Addr
+) {
+    const proof = await buildLockProof(
+        web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr,
+        arc1Addr
+    )
+    const totalDepositBalance = proof.varProofs[0].value
+    const ap = proof.varProofs[0].auditPath.map(function(proofNode) {
+        return "0x".concat(
+            Buffer.from(proofNode).toString('hex')
+        ).padEnd(66, '0')
+    })
+    const bitmap = "0x".concat(
+        Buffer.from(proof.varProofs[0].bitmap).toString('hex')
+    ).padEnd(66, '0');
+    const leafHeight = proof.varProofs[0].height.toString()
+    return {
+        receiver: receiverEthAddr,
+        balance: totalDepositBalance,
+        tokenOrigin: arc1Addr,
+        mp: ap,
+        bitmap: bitmap,
+        leafHeight: leafHeight,
+        anchorHeight: proof.anchorHeight
     }
 }
 
@@ -269,7 +521,8 @@ export async function buildUnlockArgs(
  * @param {string} bridgeEthAddr 0x Address of bridge contract
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {Buffer} aergoStorageKey  key storage bytes (before hashing)
- * @return {Promise} Promise from herajs queryContractStateProof
+ * @return {Promise} Promise from queryContractStateProof, verified against the blocks root
+ *   anchored on the Ethereum bridge
  */
 async function buildDepositProof(
     web3, 
@@ -278,20 +531,60 @@ async function buildDepositProof(
     bridgeAergoAddr, 
     aergoStorageKey
 ) {
-    // check last merged height
+    // check last merged height and the blocks root anchored with it, both
+    // read at the same block so a new anchor can't land between the reads
+    const blockNumber = await web3.eth.getBlockNumber();
     const lastMergedHeightStorage = await web3.eth.getStorageAt(
-        bridgeEthAddr, 1, 'latest');
+        bridgeEthAddr, getLayout().eth.anchorHeight, blockNumber);
     const lastMergedHeight = new BigNumber(lastMergedHeightStorage);
-    const mergeBlockHeader = await hera.getBlockHeaders(
-        lastMergedHeight.toNumber(), 1)
-    const root = Buffer.from(
-        mergeBlockHeader[0].header.blocksroothash, 'base64')
+    const anchorRootStorage = await web3.eth.getStorageAt(
+        bridgeEthAddr, getLayout().eth.anchorRoot, blockNumber);
+    const root = Buffer.from(anchorRootStorage.slice(2).padStart(64, '0'), 'hex');
 
     const aergoBridge = Contract.atAddress(bridgeAergoAddr);
     const query = aergoBridge.queryState(aergoStorageKey, true, root);
-    const proof = await hera.queryContractStateProof(query);
-    // TODO proof verification
-    return proof;
+    let verifiedProof;
+    try {
+        const proof = await queryContractStateProof(hera, query);
+        // verify the proof against the root anchored on Ethereum (not a header served
+        // by the same node) so a faulty node doesn't make us pay gas for a failed unlock
+        verifiedProof = verifyAergoProof(
+            proof, bridgeAergoAddr, [aergoStorageKey], root, true);
+    } catch (err) {
+        throw new ProofUnavailableError(err.message, err);
+    }
+    // the proof is only accepted while this anchor is the last one
+    verifiedProof.anchorHeight = lastMergedHeight.toNumber();
+    return verifiedProof;
+}
+
+
+/**
+ * Check the anchor a proof was built at is still the last one on Ethereum,
+ * a tx sent with an older proof would revert
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {number} anchorHeight anchorHeight of the built args or proof
+ * @return {boolean} True if the proof can still be used
+ */
+export async function isProofStillValid(
+    web3,
+    bridgeEthAddr,
+    anchorHeight
+) {
+    checkEthereumAddress(bridgeEthAddr);
+    const lastMergedHeightStorage = await web3.eth.getStorageAt(
+        bridgeEthAddr, getLayout().eth.anchorHeight, 'latest');
+    return new BigNumber(lastMergedHeightStorage).eq(anchorHeight);
+}
+
+
+// send a withdraw tx, rebuilding its args if a new anchor lands meanwhile
+function sendWithFreshProof(web3, bridgeEthAddr, buildArgs, send, retries) {
+    return retryOnStaleProof(
+        buildArgs, send,
+        (args) => isProofStillValid(web3, bridgeEthAddr, args.anchorHeight),
+        retries);
 }
 
 /**
@@ -318,7 +611,11 @@ async function withdrawable(
     let storageValue;
     try {
         storageValue = await hera.queryContractState(query);
-    } catch (Error) {
+    } catch (err) {
+        // nothing deposited yet
+        if (!isStateNotFound(err)) {
+            throw err;
+        }
         storageValue = 0;
     }
     const totalDeposit = new BigNumber(storageValue)
@@ -329,7 +626,7 @@ async function withdrawable(
     const totalWithdrawn = new BigNumber(storageValue);
     // get last anchor
     storageValue = await web3.eth.getStorageAt(
-        bridgeEthAddr, 1, 'latest');
+        bridgeEthAddr, getLayout().eth.anchorHeight, 'latest');
     const lastMergedHeight = new BigNumber(storageValue);
     const mergeBlockHeader = await hera.getBlockHeaders(
         lastMergedHeight.toNumber(), 1);
@@ -340,7 +637,11 @@ async function withdrawable(
     query = aergoBridge.queryState(aergoStorageKey, false, root);
     try {
         storageValue = await hera.queryContractState(query);
-    } catch (Error) {
+    } catch (err) {
+        // nothing deposited before the last anchor
+        if (!isStateNotFound(err)) {
+            throw err;
+        }
         storageValue = 0;
     }
     const anchoredDeposit = new BigNumber(storageValue);
@@ -362,7 +663,11 @@ async function withdrawable(
  * @param {string} receiverEthAddr 0x address of receiver of unlocked tokens
  * @param {string} tokenId locked ARC2 tokenId to unlock ERC721 on ethereum
  * @param {string} erc721Addr 0x Address of asset
- * @return {string, string} Amount withdrawable now, amount pending new state root anchor (string with 10^18 decimals)
+ * @return {object} {state, message, blockNum, anchorHeight, blocksRemaining}
+ *   state : not_locked (not burnt), pending_anchor (burn not covered by the
+ *   last anchor), mintable (unlockable) or already_minted (already unlocked),
+ *   blockNum : burn block number on Aergo, anchorHeight : last Aergo height
+ *   anchored on Ethereum, blocksRemaining : Aergo blocks before the burn can be anchored
  */
  export async function validateERC721Unlockable(
     web3,
@@ -377,45 +682,26 @@ async function withdrawable(
     checkAergoAddress(bridgeAergoAddr);
     checkEthereumAddress(receiverEthAddr);
     checkEthereumAddress(erc721Addr);
-    // _unlocks is the 11th var in EthMerkleBridge contract
-    const position = Buffer.concat(
-        [Buffer.alloc(31), Buffer.from("0a", 'hex')]);
-    const accountRef = Buffer.concat([
-        Buffer.from(receiverEthAddr.slice(2).toLowerCase(), 'hex'),
-        Buffer.from(tokenId, 'utf-8'), 
-        Buffer.from(erc721Addr.slice(2).toLowerCase(), 'hex')
-    ]);
-    const ethTrieKey = keccak256(Buffer.concat([accountRef, position]));
-    const aergoStorageKey = Buffer.concat(
-        [Buffer.from('_sv__burnsARC2-', 'utf-8'), accountRef]);
-
-    const aergoBridge = Contract.atAddress(bridgeAergoAddr);
-    // totalDeposit : total latest deposit including pending
-    let query = aergoBridge.queryState(aergoStorageKey);
-
-    let storageValue;
-    try {
-        storageValue = await hera.queryContractState(query);
-        
-    } catch (err) {
-        console.error(err);
-        throw Error('Token does not burnt on Aergo, or Check your input is valid');
-    }
-    const lockBlockNumOnAergo = new BigNumber(storageValue)
+    checkTokenId(tokenId);
+    const ethTrieKey = ethUnlocksERC721Key(receiverEthAddr, tokenId, erc721Addr);
+    const aergoStorageKey = aergoBurnsARC2Key(receiverEthAddr, tokenId, erc721Addr);
 
-    // get ethereum status
-    storageValue = await web3.eth.getStorageAt(
-        bridgeEthAddr, ethTrieKey, 'latest');
+    // block number of the last burn of the token, 0 if never burnt
+    const burnBlockNumOnAergo = await queryAergoNumber(
+        hera, bridgeAergoAddr, aergoStorageKey) || new BigNumber(0);
 
-    if(storageValue === undefined) {
-        return; // ok
-    }
+    const anchorStatus = await getAergoAnchorStatus(web3, hera, bridgeEthAddr);
+    const mergeBlockHeader = await hera.getBlockHeaders(anchorStatus.lastAnchorHeight, 1);
+    const root = Buffer.from(
+        mergeBlockHeader[0].header.blocksroothash, 'base64');
+    const anchoredBlockNum = await queryAergoNumber(
+        hera, bridgeAergoAddr, aergoStorageKey, root);
 
-    const unlockedOnEth = new BigNumber(storageValue);
+    const unlockedOnEth = new BigNumber(await web3.eth.getStorageAt(
+        bridgeEthAddr, ethTrieKey, 'latest') || 0);
 
-    if(lockBlockNumOnAergo.eq(unlockedOnEth)) {
-        throw Error('The Token is Already Minted on Aergo');
-    }
+    return nftTransferStatus(
+        burnBlockNumOnAergo, anchoredBlockNum, unlockedOnEth, anchorStatus);
 }
 
 /**
@@ -428,6 +714,9 @@ async function withdrawable(
  * @param {string} receiverEthAddr 0x address to receive unlocked tokens
  * @param {string} tokenId locked ARC2 tokenId to unlock ERC721 on ethereum
  * @param {string} erc721Addr 0x Address of asset
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {number} retries Number of times the proof is rebuilt if a new anchor makes it stale
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
  * @return {Promise} Promise from web3js send transaction
  */
  export async function unlockERC721(
@@ -439,17 +728,25 @@ async function withdrawable(
     receiverEthAddr,
     tokenId,
     erc721Addr,
-    gasLimit=300000,
+    gasLimit,
+    retries=1,
+    ethSigner,
 ) {
-    let args = await buildUnlockERC721Args(
-        web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr, tokenId, erc721Addr
-    );
     const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
 
-    return contract.methods.unlockERC721(
-        receiverEthAddr, args.uintTokenId, args.blockNum, erc721Addr, args.mp, args.bitmap, args.leafHeight
-    ).send(
-        {from: web3.eth.defaultAccount, gas: gasLimit}
+    return sendWithFreshProof(
+        web3, bridgeEthAddr,
+        () => buildUnlockERC721Args(
+            web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr, tokenId, erc721Addr
+        ),
+        (args) => sendEthMethod(
+            web3,
+            contract.methods.unlockERC721(
+                receiverEthAddr, args.uintTokenId, args.blockNum, erc721Addr, args.mp, args.bitmap, args.leafHeight
+            ),
+            bridgeEthAddr, gasLimit, ethSigner
+        ),
+        retries
     );
 }
 
@@ -462,7 +759,7 @@ async function withdrawable(
  * @param {string} receiverEthAddr 0x address to receive unlocked tokens
  * @param {string} tokenId locked ARC2 tokenId to unlock ERC721 on ethereum
  * @param {string} erc721Addr 0x Address of asset
- * @return {Array} Array of arguments usable in mycrypto
+ * @return {Array} Array of arguments usable in mycrypto, with the anchorHeight of the proof
  */
  export async function buildUnlockERC721Args(
     web3,
@@ -479,15 +776,10 @@ async function withdrawable(
     checkEthereumAddress(erc721Addr);
     checkTokenId(tokenId);
 
-    const accountRef = Buffer.concat([
-        Buffer.from('_sv__burnsARC2-', 'utf-8'),
-        Buffer.from(receiverEthAddr.slice(2).toLowerCase(), 'hex'),
-        Buffer.from(tokenId, 'utf-8'), 
-        Buffer.from(erc721Addr.slice(2).toLowerCase(), 'hex')
-    ]);
+    const aergoStorageKey = aergoBurnsARC2Key(receiverEthAddr, tokenId, erc721Addr);
 
     const proof = await buildDepositProof(
-        web3, hera, bridgeEthAddr, bridgeAergoAddr, accountRef);
+        web3, hera, bridgeEthAddr, bridgeAergoAddr, aergoStorageKey);
 
     const burnARC2BlockNum = proof.varProofs[0].value
     const ap = proof.varProofs[0].auditPath.map(function(proofNode) {
@@ -501,10 +793,13 @@ async function withdrawable(
     const leafHeight = proof.varProofs[0].height.toString();
 
     return {
+        receiver: receiverEthAddr,
+        token: erc721Addr,
         uintTokenId: new BigNumber(tokenId),
         blockNum: burnARC2BlockNum, 
         mp: ap, 
         bitmap: bitmap, 
-        leafHeight: leafHeight
+        leafHeight: leafHeight,
+        anchorHeight: proof.anchorHeight
     }
 }
\ No newline at end of file
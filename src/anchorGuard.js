@@ -0,0 +1,80 @@
+import { AnchorStaleError } from './errors';
+
+/**
+ * Number of blocks before the next anchor can be made.
+ * An anchor is made every tAnchor blocks and anchors a height tFinal blocks
+ * deep, so the next one is expected when lastAnchorHeight + tAnchor is final.
+ * @param {object} anchorStatus {lastAnchorHeight, tAnchor, tFinal, bestHeight} of the deposit chain
+ * @return {number} Blocks before the next anchor, 0 if it can land any time
+ */
+export function blocksToNextAnchor(anchorStatus) {
+    const nextAnchorHeight = Number(anchorStatus.lastAnchorHeight)
+        + Number(anchorStatus.tAnchor) + Number(anchorStatus.tFinal);
+    return Math.max(0, nextAnchorHeight - Number(anchorStatus.bestHeight));
+}
+
+/**
+ * Wait for the next anchor when it is imminent, so a proof built now is
+ * not made stale by an anchor landing before the withdraw tx is mined.
+ * @param {function} getAnchorStatus Async function returning the anchor status of the deposit chain
+ * @param {object} options {minBlocks, interval, timeout}
+ *   minBlocks : wait when the next anchor is at most minBlocks away (default 2)
+ *   interval : polling interval in ms (default 10000)
+ *   timeout : maximum wait in ms, after which the anchor status is returned
+ *   anyway as a late anchor may not land soon (default 300000)
+ * @return {object} Anchor status to build the proof with
+ */
+export async function waitForAnchorWindow(
+    getAnchorStatus,
+    {minBlocks=2, interval=10000, timeout=300000}={}
+) {
+    const status = await getAnchorStatus();
+    if (blocksToNextAnchor(status) > minBlocks) {
+        return status;
+    }
+    const start = Date.now();
+    let current = status;
+    while (Number(current.lastAnchorHeight) === Number(status.lastAnchorHeight)) {
+        if (Date.now() - start >= timeout) {
+            return current;
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+        current = await getAnchorStatus();
+    }
+    return current;
+}
+
+/**
+ * Build a withdraw proof and send it, rebuilding it when a new anchor made
+ * it stale before it was sent or before the tx was mined.
+ * @param {function} build Async function building the tx or args (carrying anchorHeight)
+ * @param {function} send Async function sending what build returned
+ * @param {function} isValid Async function checking the anchorHeight of what build returned is current
+ * @param {number} retries Number of rebuilds allowed
+ * @return {object} Result of send, throws AnchorStaleError if the proof is
+ *   stale again after the last rebuild (without sending it when it is
+ *   already stale once built)
+ */
+export async function retryOnStaleProof(build, send, isValid, retries=1) {
+    for (let attempt = 0; ; attempt++) {
+        const built = await build();
+        if (!await isValid(built)) {
+            // don't pay for a withdraw tx certain to revert
+            if (attempt >= retries) {
+                throw new AnchorStaleError(built.anchorHeight);
+            }
+            continue;
+        }
+        try {
+            return await send(built);
+        } catch (err) {
+            // errors not caused by a new anchor are not retried
+            if (await isValid(built)) {
+                throw err;
+            }
+            if (attempt >= retries) {
+                throw new AnchorStaleError(built.anchorHeight, err);
+            }
+        }
+    }
+}
@@ -0,0 +1,146 @@
+import { EventEmitter } from 'events';
+import { Contract } from '@herajs/client';
+import { BigNumber } from "bignumber.js";
+import { checkAergoAddress, checkEthereumAddress } from './utils';
+import { getLayout } from './storageLayout';
+
+/**
+ * Watch the bridge anchors and the balances of a transfer.
+ * Emitted events with a {withdrawable, pending, anchorHeight} status :
+ *   anchored : a new state root was anchored
+ *   pending : the amount pending a new anchor changed and is not 0
+ *   withdrawable : the withdrawable amount changed and is not 0
+ *   error : polling failed (only emitted if there is an error listener)
+ * @param {function} getAnchorHeight Async function returning the last anchor height
+ * @param {function} balances Async function returning [withdrawable, pending]
+ *   like mintable, unfreezable or unlockable
+ * @param {object} options {interval} polling interval in ms (default 10000)
+ * @param {function} subscribe Optional function registering a callback called on
+ *   new anchors, returning a function to unsubscribe
+ * @return {EventEmitter} Watcher with stop() and check() methods
+ */
+function watch(getAnchorHeight, balances, options, subscribe) {
+    const watcher = new EventEmitter();
+    const interval = options.interval || 10000;
+    let lastStatus = null;
+    let timer = null;
+    let stopped = false;
+    let checking = null;
+
+    async function poll() {
+        const anchorHeight = new BigNumber(await getAnchorHeight()).toNumber();
+        const [withdrawable, pending] = await balances();
+        const status = {withdrawable, pending, anchorHeight};
+        if (stopped) {
+            return status;
+        }
+        if (lastStatus !== null && anchorHeight > lastStatus.anchorHeight) {
+            watcher.emit('anchored', status);
+        }
+        if (pending !== (lastStatus && lastStatus.pending) && pending !== '0') {
+            watcher.emit('pending', status);
+        }
+        if (withdrawable !== (lastStatus && lastStatus.withdrawable) && withdrawable !== '0') {
+            watcher.emit('withdrawable', status);
+        }
+        lastStatus = status;
+        return status;
+    }
+
+    // check the status now (concurrent calls share the same query)
+    watcher.check = () => {
+        if (checking === null) {
+            checking = poll().finally(() => { checking = null; });
+        }
+        return checking;
+    };
+
+    async function report() {
+        try {
+            await watcher.check();
+        } catch (err) {
+            if (watcher.listenerCount('error') > 0) {
+                watcher.emit('error', err);
+            }
+        }
+    }
+
+    async function loop() {
+        await report();
+        if (!stopped) {
+            timer = setTimeout(loop, interval);
+        }
+    }
+
+    const unsubscribe = subscribe === undefined ? null : subscribe(report);
+    watcher.stop = () => {
+        stopped = true;
+        clearTimeout(timer);
+        if (unsubscribe !== null) {
+            unsubscribe();
+        }
+    };
+
+    // start after the caller registered its listeners
+    timer = setTimeout(loop, 0);
+    return watcher;
+}
+
+
+/**
+ * Watch deposits from Ethereum to Aergo, anchors are read from the
+ * Aergo bridge state
+ * @param {object} hera Herajs client
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {function} balances Async function returning [withdrawable, pending],
+ *   for example () => ethToAergo.mintable(...)
+ * @param {object} options {interval} polling interval in ms (default 10000)
+ * @return {EventEmitter} Watcher emitting anchored, pending and withdrawable events
+ */
+export function watchEthToAergo(
+    hera,
+    bridgeAergoAddr,
+    balances,
+    options={},
+) {
+    checkAergoAddress(bridgeAergoAddr);
+    const aergoBridge = Contract.atAddress(bridgeAergoAddr);
+    const getAnchorHeight = () => hera.queryContractState(
+        aergoBridge.queryState(getLayout().aergo.anchorHeight));
+    return watch(getAnchorHeight, balances, options);
+}
+
+/**
+ * Watch deposits from Aergo to Ethereum, anchors are read from the
+ * Ethereum bridge storage and anchorEvent triggers a check immediately
+ * if the provider supports subscriptions
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {function} balances Async function returning [withdrawable, pending],
+ *   for example () => aergoToEth.unlockable(...)
+ * @param {object} options {interval, subscribe} polling interval in ms
+ *   (default 10000), subscribe to anchorEvent (default false)
+ * @return {EventEmitter} Watcher emitting anchored, pending and withdrawable events
+ */
+export function watchAergoToEth(
+    web3,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    balances,
+    options={},
+) {
+    checkEthereumAddress(bridgeEthAddr);
+    const getAnchorHeight = () => web3.eth.getStorageAt(
+        bridgeEthAddr, getLayout().eth.anchorHeight, 'latest');
+    let subscribe;
+    if (options.subscribe) {
+        subscribe = (onAnchor) => {
+            const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+            const subscription = contract.events.anchorEvent();
+            subscription.on('data', onAnchor);
+            return () => subscription.unsubscribe();
+        };
+    }
+    return watch(getAnchorHeight, balances, options, subscribe);
+}
@@ -0,0 +1,242 @@
+import { BigNumber } from "bignumber.js";
+import { keccak256, padLeft, numberToHex } from 'web3-utils';
+import { checkEthereumAddress } from './utils';
+import { sendEthMethod, getEthSender, Web3Signer } from './signers';
+
+/**
+ * Allowance of the bridge on the ERC20 tokens it pulls when locking.
+ * The approval tx is skipped when the allowance already covers the amount.
+ * Otherwise the allowance is topped up with increaseAllowance or
+ * increaseApproval, or set with approve, depending on the token ABI.
+ * Tokens implementing EIP-2612 can be approved with a signed permit instead :
+ * the bridge lock() takes no permit, so the permit is submitted in its own tx,
+ * which a relayer EthSigner can pay for so the user only sends the lock tx.
+ */
+
+const domainTypeHash = keccak256(
+    'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)');
+
+const permitTypes = {
+    EIP712Domain: [
+        {name: 'name', type: 'string'},
+        {name: 'version', type: 'string'},
+        {name: 'chainId', type: 'uint256'},
+        {name: 'verifyingContract', type: 'address'},
+    ],
+    Permit: [
+        {name: 'owner', type: 'address'},
+        {name: 'spender', type: 'address'},
+        {name: 'value', type: 'uint256'},
+        {name: 'nonce', type: 'uint256'},
+        {name: 'deadline', type: 'uint256'},
+    ],
+};
+
+function hasFunction(abi, name) {
+    return abi.some(entry => entry.type === 'function' && entry.name === name);
+}
+
+function toWord(hex) {
+    return padLeft(hex.toLowerCase().replace(/^0x/, ''), 64);
+}
+
+/**
+ * Method of the token ABI used to approve the bridge
+ * @param {object} erc20Abi Erc20 ABI array
+ * @return {string} increaseAllowance, increaseApproval or approve
+ */
+export function approvalMethod(erc20Abi) {
+    for (const name of ['increaseAllowance', 'increaseApproval', 'approve']) {
+        if (hasFunction(erc20Abi, name)) {
+            return name;
+        }
+    }
+    throw new Error("Token ABI has no approval method");
+}
+
+/**
+ * Check the token ABI implements EIP-2612 permit
+ * @param {object} erc20Abi Erc20 ABI array (with erc20PermitAbi for permit tokens)
+ * @return {bool} True if permit, nonces and DOMAIN_SEPARATOR are in the ABI
+ */
+export function supportsPermit(erc20Abi) {
+    return ['permit', 'nonces', 'DOMAIN_SEPARATOR'].every(name => hasFunction(erc20Abi, name));
+}
+
+/**
+ * Get the amount a spender can pull from an owner
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} owner 0x Address of the token owner
+ * @param {string} spender 0x Address of the spender (bridge contract)
+ * @param {string} erc20Addr 0x Address of asset
+ * @param {object} erc20Abi Erc20 ABI array
+ * @return {string} Allowance (string with 10^18 decimals)
+ */
+export async function getAllowance(web3, owner, spender, erc20Addr, erc20Abi) {
+    checkEthereumAddress(owner);
+    checkEthereumAddress(spender);
+    checkEthereumAddress(erc20Addr);
+    const contract = new web3.eth.Contract(erc20Abi, erc20Addr);
+    const allowance = await contract.methods.allowance(owner, spender).call();
+    return new BigNumber(allowance).toString(10);
+}
+
+// EIP-712 domain of the token, checked against its DOMAIN_SEPARATOR
+async function getPermitDomain(web3, contract, erc20Addr, erc20Abi) {
+    const name = await contract.methods.name().call();
+    const version = hasFunction(erc20Abi, 'version')
+        ? await contract.methods.version().call() : '1';
+    const chainId = Number(await web3.eth.getChainId());
+    const separator = keccak256('0x' + [
+        domainTypeHash,
+        keccak256(name),
+        keccak256(version),
+        numberToHex(chainId),
+        erc20Addr,
+    ].map(toWord).join(''));
+    const domainSeparator = await contract.methods.DOMAIN_SEPARATOR().call();
+    if (separator !== domainSeparator.toLowerCase()) {
+        return null;
+    }
+    return {name, version, chainId, verifyingContract: erc20Addr};
+}
+
+/**
+ * Sign an EIP-2612 permit allowing the spender to pull the owner's tokens
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} spender 0x Address of the spender (bridge contract)
+ * @param {string} value Allowed amount (string with 10^18 decimals)
+ * @param {string} erc20Addr 0x Address of asset
+ * @param {object} erc20Abi Erc20 ABI array implementing permit
+ * @param {number} deadline Unix time after which the permit is invalid
+ * @param {object} ethSigner EthSigner implementing signTypedData (defaults to the web3 default account)
+ * @return {object} {owner, spender, value, deadline, v, r, s}, null if the
+ *   token domain can't be matched or the signer can't sign typed data
+ */
+export async function signPermit(
+    web3,
+    spender,
+    value,
+    erc20Addr,
+    erc20Abi,
+    deadline,
+    ethSigner,
+) {
+    checkEthereumAddress(spender);
+    checkEthereumAddress(erc20Addr);
+    const signer = ethSigner === undefined || ethSigner === null
+        ? new Web3Signer(web3, web3.eth.defaultAccount) : ethSigner;
+    if (typeof signer.signTypedData !== 'function') {
+        return null;
+    }
+    const owner = await signer.getAddress();
+    const contract = new web3.eth.Contract(erc20Abi, erc20Addr);
+    const domain = await getPermitDomain(web3, contract, erc20Addr, erc20Abi);
+    if (domain === null) {
+        return null;
+    }
+    const nonce = await contract.methods.nonces(owner).call();
+    const message = {
+        owner,
+        spender,
+        value: new BigNumber(value).toString(10),
+        nonce: new BigNumber(nonce).toString(10),
+        deadline: String(deadline),
+    };
+    const signature = await signer.signTypedData(
+        {types: permitTypes, primaryType: 'Permit', domain, message});
+    const v = parseInt(signature.slice(130, 132), 16);
+    return {
+        owner,
+        spender,
+        value: message.value,
+        deadline: message.deadline,
+        v: v < 27 ? v + 27 : v,
+        r: signature.slice(0, 66),
+        s: '0x' + signature.slice(66, 130),
+    };
+}
+
+/**
+ * Submit a signed permit (by the owner or any relayer)
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} signedPermit Result of signPermit
+ * @param {string} erc20Addr 0x Address of asset
+ * @param {object} erc20Abi Erc20 ABI array implementing permit
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner sending the tx (defaults to the web3 default account)
+ * @return {Promise} Promise from web3js send transaction
+ */
+export function permit(web3, signedPermit, erc20Addr, erc20Abi, gasLimit, ethSigner) {
+    checkEthereumAddress(erc20Addr);
+    const { owner, spender, value, deadline, v, r, s } = signedPermit;
+    const contract = new web3.eth.Contract(erc20Abi, erc20Addr);
+    return sendEthMethod(
+        web3, contract.methods.permit(owner, spender, value, deadline, v, r, s),
+        erc20Addr, gasLimit, ethSigner);
+}
+
+/**
+ * Make sure the spender can pull an amount of the owner's tokens, sending
+ * an approval tx only when the current allowance is not enough
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} spender 0x Address of the spender (bridge contract)
+ * @param {string} amount Amount the spender must be able to pull (string with 10^18 decimals)
+ * @param {string} erc20Addr 0x Address of asset
+ * @param {object} erc20Abi Erc20 ABI array
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner of the token owner (defaults to the web3 default account)
+ * @param {object} options {permit, relayer, deadline}
+ *   permit : use an EIP-2612 permit when the token supports it (default true
+ *   only with a relayer : a permit sent by the owner costs more than an approval),
+ *   relayer : EthSigner submitting the permit (defaults to the owner),
+ *   deadline : validity of the permit in seconds (default 3600)
+ * @return {object} web3js receipt of the approval or permit tx, null if the
+ *   allowance was already enough
+ */
+export async function ensureAllowance(
+    web3,
+    spender,
+    amount,
+    erc20Addr,
+    erc20Abi,
+    gasLimit,
+    ethSigner,
+    {permit: usePermit, relayer, deadline=3600}={},
+) {
+    if (usePermit === undefined) {
+        usePermit = relayer !== undefined;
+    }
+    const owner = await getEthSender(web3, ethSigner);
+    const allowance = new BigNumber(
+        await getAllowance(web3, owner, spender, erc20Addr, erc20Abi));
+    const missing = new BigNumber(amount).minus(allowance);
+    if (missing.lte(0)) {
+        return null;
+    }
+    if (usePermit && supportsPermit(erc20Abi)) {
+        const expiry = Math.floor(Date.now() / 1000) + deadline;
+        const signedPermit = await signPermit(
+            web3, spender, amount, erc20Addr, erc20Abi, expiry, ethSigner);
+        if (signedPermit !== null) {
+            return permit(
+                web3, signedPermit, erc20Addr, erc20Abi, gasLimit,
+                relayer === undefined ? ethSigner : relayer);
+        }
+    }
+    const contract = new web3.eth.Contract(erc20Abi, erc20Addr);
+    const method = approvalMethod(erc20Abi);
+    if (method !== 'approve') {
+        return sendEthMethod(
+            web3, contract.methods[method](spender, missing.toString(10)),
+            erc20Addr, gasLimit, ethSigner);
+    }
+    if (allowance.gt(0)) {
+        // some tokens only approve from a zero allowance
+        await sendEthMethod(
+            web3, contract.methods.approve(spender, 0), erc20Addr, gasLimit, ethSigner);
+    }
+    return sendEthMethod(
+        web3, contract.methods.approve(spender, new BigNumber(amount).toString(10)),
+        erc20Addr, gasLimit, ethSigner);
+}
@@ -0,0 +1,412 @@
+import * as utils from './utils';
+import * as eta from './ethToAergo';
+import * as ate from './aergoToEth';
+import { watchEthToAergo, watchAergoToEth } from './anchorWatcher';
+import { getTransferHistory } from './history';
+import { getItemizedDeposits } from './itemize';
+import { quoteTransfer } from './quote';
+import { TokenRegistry } from './tokenRegistry';
+import { estimateEthToAergo, estimateAergoToEth } from './estimator';
+import { waitForAnchorWindow, retryOnStaleProof } from './anchorGuard';
+import { sendAergoTx, getEthSender } from './signers';
+import { simulateEthLock, simulateEthWithdraw, prevalidateAergoWithdraw } from './preflight';
+import { confirmEthTx, waitForAergoReceipt, waitForEthReceipt } from './receipts';
+import { ensureAllowance, getAllowance } from './approval';
+import { bridgeEthAbi as bundledBridgeEthAbi, erc20Abi as bundledErc20Abi } from './abi';
+import { getAergoGasLimit } from './gas';
+import { getNetwork, verifyNetwork } from './networks';
+
+/**
+ * Create a bridge client holding the providers, addresses and ABIs of an
+ * Ethereum <-> Aergo bridge deployment so they don't have to be passed to every call.
+ * Methods are scoped by direction and take named options, for example :
+ * bridge.ethToAergo.lock({token, amount, receiver})
+ * Methods building a withdraw proof accept a guard option (true or
+ * {minBlocks, interval, timeout}, see waitForAnchorWindow) to wait first
+ * when the next anchor is imminent.
+ * With signers in the config, send* methods sign and broadcast the Aergo txs
+ * and return their receipts, and Ethereum txs are signed by the ethSigner.
+ * Sending methods accept a wait option (see receipts) to wait for
+ * confirmations, with a timeout and an AbortSignal.
+ * simulate* and prevalidateWithdrawTx return a verdict (see preflight) to
+ * show before the user signs.
+ * @param {object} config Bridge configuration
+ * @param {string|object} config.network Registered network name or network entry providing the addresses
+ * @param {object} config.web3 Provider (metamask or other web3 compatible)
+ * @param {object} config.proofWeb3 Provider implementing eth_getProof (defaults to web3)
+ * @param {object} config.hera Herajs client
+ * @param {string} config.bridgeEthAddr 0x Address of bridge contract
+ * @param {object} config.bridgeEthAbi Bridge ABI array (defaults to the bundled ABI)
+ * @param {string} config.bridgeAergoAddr Aergo address of bridge contract
+ * @param {json} config.bridgeAergoAbi Abi of Aergo bridge contract (queried with hera if not given)
+ * @param {string} config.aergoErc20Addr 0x Address of aergo erc20 (default token of freeze/unfreeze)
+ * @param {object} config.aergoSigner AergoSigner used by the send* methods (see signers)
+ * @param {object} config.ethSigner EthSigner of the Ethereum txs (defaults to the web3 default account)
+ * @param {number} config.gasMargin Multiplier of the estimated gas of Ethereum and Aergo txs (default 1.2)
+ * @param {string|object|function} config.fees Default fees of Ethereum txs : {maxFeePerGas,
+ *   maxPriorityFeePerGas}, fee strategy name or function (see gas)
+ * @return {object} Bridge client with ethToAergo, aergoToEth and utils methods
+ */
+export function createBridge(config) {
+    let network = config.network;
+    if (typeof network === 'string') {
+        network = getNetwork(network);
+    }
+    config = Object.assign(
+        {bridgeEthAbi: bundledBridgeEthAbi}, network, config, {network: network});
+    const {
+        web3,
+        hera,
+        bridgeEthAddr,
+        bridgeEthAbi,
+        bridgeAergoAddr,
+        aergoErc20Addr,
+        ethSigner,
+    } = config;
+    if (web3 === undefined || hera === undefined) {
+        throw new Error("Bridge config requires web3 and hera providers");
+    }
+    utils.checkEthereumAddress(bridgeEthAddr);
+    utils.checkAergoAddress(bridgeAergoAddr);
+    if (aergoErc20Addr !== undefined) {
+        utils.checkEthereumAddress(aergoErc20Addr);
+    }
+    const proofWeb3 = config.proofWeb3 || web3;
+    let bridgeAergoAbi = config.bridgeAergoAbi;
+    async function getBridgeAergoAbi() {
+        if (bridgeAergoAbi === undefined) {
+            bridgeAergoAbi = await hera.getABI(bridgeAergoAddr);
+        }
+        return bridgeAergoAbi;
+    }
+    const aergoErc20 = (token) => token === undefined ? aergoErc20Addr : token;
+    const guardAnchor = async (guard, getAnchorStatus) => {
+        if (guard) {
+            await waitForAnchorWindow(getAnchorStatus, guard === true ? {} : guard);
+        }
+    };
+    const guardEthAnchor = (guard) => guardAnchor(
+        guard, () => utils.getEthAnchorStatus(web3, hera, bridgeAergoAddr));
+    const guardAergoAnchor = (guard) => guardAnchor(
+        guard, () => utils.getAergoAnchorStatus(web3, hera, bridgeEthAddr));
+    // gas argument of the eth sending functions (see gas)
+    const ethGas = (gasLimit, fees) => ({
+        gasLimit,
+        gasMargin: config.gasMargin,
+        fees: fees === undefined ? config.fees : fees,
+    });
+    // gas limit of an aergo bridge call, estimated from the last calls emitting its event
+    const aergoGas = (gasLimit, eventName) => getAergoGasLimit(
+        hera, bridgeAergoAddr, eventName, {gasLimit, gasMargin: config.gasMargin});
+    const getAergoSigner = (signer) => {
+        signer = signer || config.aergoSigner;
+        if (signer === undefined) {
+            throw new Error("Sending Aergo txs requires an aergoSigner in the bridge config");
+        }
+        return signer;
+    };
+    // eth_call of a withdraw with freshly built args (see preflight)
+    const simulateEthWithdrawArgs = async (operation, args, from) =>
+        simulateEthWithdraw(
+            web3, bridgeEthAddr, bridgeEthAbi, operation, await args,
+            from || await getEthSender(web3, ethSigner));
+    const sendDepositTx = async (build, {signer, wait}) => {
+        signer = getAergoSigner(signer);
+        const builtTx = await build(await signer.getAddress());
+        return sendAergoTx(hera, signer, builtTx, wait);
+    };
+    // the withdraw tx is rebuilt if a new anchor makes its proof stale
+    const sendWithdrawTx = async (build, {signer, guard, retries, wait}) => {
+        signer = getAergoSigner(signer);
+        await guardEthAnchor(guard);
+        const txSender = await signer.getAddress();
+        return retryOnStaleProof(
+            () => build(txSender),
+            (builtTx) => sendAergoTx(hera, signer, builtTx, wait),
+            (builtTx) => eta.isProofStillValid(hera, bridgeAergoAddr, builtTx.anchorHeight),
+            retries);
+    };
+
+    const ethToAergo = {
+        // approval tx only when the allowance is not enough, null otherwise
+        approve: ({token, amount, erc20Abi, gasLimit, wait, fees, permit, relayer, deadline}) =>
+            confirmEthTx(web3, ensureAllowance(
+                web3, bridgeEthAddr, amount, aergoErc20(token),
+                erc20Abi || bundledErc20Abi, ethGas(gasLimit, fees), ethSigner,
+                {permit, relayer, deadline}), wait),
+        allowance: ({owner, token, erc20Abi}) =>
+            getAllowance(
+                web3, owner, bridgeEthAddr, aergoErc20(token), erc20Abi || bundledErc20Abi),
+        increaseApproval: ({token, amount, erc20Abi, gasLimit, wait, fees}) =>
+            confirmEthTx(web3, eta.increaseApproval(
+                web3, bridgeEthAddr, amount, aergoErc20(token),
+                erc20Abi || bundledErc20Abi, ethGas(gasLimit, fees), ethSigner),
+                wait),
+        lock: ({token, amount, receiver, gasLimit, wait, fees}) =>
+            confirmEthTx(web3, eta.lock(
+                web3, receiver, token, amount, bridgeEthAddr, bridgeEthAbi,
+                ethGas(gasLimit, fees), ethSigner), wait),
+        unfreezable: ({receiver, token}) =>
+            eta.unfreezable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver,
+                aergoErc20(token)),
+        mintable: ({receiver, token}) =>
+            eta.mintable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, token),
+        buildLockProof: ({receiver, token}) =>
+            eta.buildLockProof(
+                proofWeb3, hera, receiver, token, bridgeEthAddr, bridgeAergoAddr),
+        buildMintTx: async ({txSender, receiver, token, gasLimit, guard}) => {
+            await guardEthAnchor(guard);
+            return eta.buildMintTx(
+                proofWeb3, hera, txSender, bridgeEthAddr, bridgeAergoAddr,
+                await getBridgeAergoAbi(), receiver, token, await aergoGas(gasLimit, 'mint'));
+        },
+        buildUnfreezeTx: async ({txSender, receiver, token, gasLimit, guard}) => {
+            await guardEthAnchor(guard);
+            return eta.buildUnfreezeTx(
+                proofWeb3, hera, txSender, bridgeEthAddr, bridgeAergoAddr,
+                await getBridgeAergoAbi(), receiver, aergoErc20(token),
+                await aergoGas(gasLimit, 'unfreeze'));
+        },
+        burn: ({token, amount, receiver, gasLimit, wait, fees}) =>
+            confirmEthTx(web3, eta.burn(
+                web3, receiver, token, amount, bridgeEthAddr, bridgeEthAbi,
+                ethGas(gasLimit, fees), ethSigner), wait),
+        unlockable: ({receiver, token}) =>
+            eta.unlockable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, token),
+        buildBurnProof: ({receiver, token}) =>
+            eta.buildBurnProof(
+                proofWeb3, hera, receiver, token, bridgeEthAddr, bridgeAergoAddr),
+        buildUnlockTx: async ({txSender, receiver, token, gasLimit, guard}) => {
+            await guardEthAnchor(guard);
+            return eta.buildUnlockTx(
+                proofWeb3, hera, txSender, bridgeEthAddr, bridgeAergoAddr,
+                await getBridgeAergoAbi(), receiver, token, await aergoGas(gasLimit, 'unlock'));
+        },
+        isERC721Approved: ({owner, tokenId, token, erc721Abi}) =>
+            eta.isERC721Approved(
+                web3, owner, bridgeEthAddr, tokenId, token, erc721Abi),
+        approveERC721: ({tokenId, token, erc721Abi, gasLimit, wait, fees}) =>
+            confirmEthTx(web3, eta.approveERC721(
+                web3, bridgeEthAddr, tokenId, token, erc721Abi, ethGas(gasLimit, fees),
+                ethSigner), wait),
+        setApprovalForAllERC721: ({approved, token, erc721Abi, gasLimit, wait, fees}) =>
+            confirmEthTx(web3, eta.setApprovalForAllERC721(
+                web3, bridgeEthAddr, approved, token, erc721Abi, ethGas(gasLimit, fees),
+                ethSigner), wait),
+        lockERC721: ({tokenId, token, receiver, gasLimit, wait, fees}) =>
+            confirmEthTx(web3, eta.lockERC721(
+                web3, receiver, tokenId, token, bridgeEthAddr, bridgeEthAbi,
+                ethGas(gasLimit, fees), ethSigner), wait),
+        validateARC2Mintable: ({receiver, tokenId, token}) =>
+            eta.validateARC2Mintable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, tokenId,
+                token),
+        buildLockERC721Proof: ({receiver, tokenId, token}) =>
+            eta.buildLockERC721Proof(
+                proofWeb3, hera, receiver, tokenId, token, bridgeEthAddr,
+                bridgeAergoAddr),
+        buildUnlockERC721Tx: async ({txSender, receiver, tokenId, token, gasLimit, guard}) => {
+            await guardEthAnchor(guard);
+            return eta.buildUnlockERC721Tx(
+                proofWeb3, hera, txSender, bridgeEthAddr, bridgeAergoAddr,
+                await getBridgeAergoAbi(), receiver, tokenId, token, gasLimit);
+        },
+        watchUnfreezable: ({receiver, token, interval}) =>
+            watchEthToAergo(
+                hera, bridgeAergoAddr,
+                () => ethToAergo.unfreezable({receiver, token}), {interval}),
+        watchMintable: ({receiver, token, interval}) =>
+            watchEthToAergo(
+                hera, bridgeAergoAddr,
+                () => ethToAergo.mintable({receiver, token}), {interval}),
+        watchUnlockable: ({receiver, token, interval}) =>
+            watchEthToAergo(
+                hera, bridgeAergoAddr,
+                () => ethToAergo.unlockable({receiver, token}), {interval}),
+        sendMintTx: ({receiver, token, gasLimit, guard, retries, signer, wait}) =>
+            sendWithdrawTx(
+                (txSender) => ethToAergo.buildMintTx(
+                    {txSender, receiver, token, gasLimit}),
+                {signer, guard, retries, wait}),
+        sendUnfreezeTx: ({receiver, token, gasLimit, guard, retries, signer, wait}) =>
+            sendWithdrawTx(
+                (txSender) => ethToAergo.buildUnfreezeTx(
+                    {txSender, receiver, token, gasLimit}),
+                {signer, guard, retries, wait}),
+        sendUnlockTx: ({receiver, token, gasLimit, guard, retries, signer, wait}) =>
+            sendWithdrawTx(
+                (txSender) => ethToAergo.buildUnlockTx(
+                    {txSender, receiver, token, gasLimit}),
+                {signer, guard, retries, wait}),
+        sendUnlockERC721Tx: ({receiver, tokenId, token, gasLimit, guard, retries, signer, wait}) =>
+            sendWithdrawTx(
+                (txSender) => ethToAergo.buildUnlockERC721Tx(
+                    {txSender, receiver, tokenId, token, gasLimit}),
+                {signer, guard, retries, wait}),
+        isProofStillValid: ({anchorHeight}) =>
+            eta.isProofStillValid(hera, bridgeAergoAddr, anchorHeight),
+        simulateLock: async ({token, amount, receiver, from}) =>
+            simulateEthLock(
+                web3, bridgeEthAddr, bridgeEthAbi, receiver, aergoErc20(token), amount,
+                from || await getEthSender(web3, ethSigner)),
+        prevalidateWithdrawTx: ({builtTx}) =>
+            prevalidateAergoWithdraw(
+                web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr, builtTx,
+                aergoErc20Addr),
+        estimateWithdrawable: ({height, blockTime}) =>
+            estimateEthToAergo(web3, hera, bridgeAergoAddr, height, blockTime),
+    };
+
+    const aergoToEth = {
+        buildLockTx: async ({txSender, amount, token, arc1Abi, receiver, gasLimit}) =>
+            ate.buildLockTx(
+                txSender, amount, token, arc1Abi, bridgeAergoAddr, receiver,
+                await aergoGas(gasLimit, 'lock')),
+        mintable: ({receiver, token}) =>
+            ate.mintable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, token),
+        buildLockProof: ({receiver, token}) =>
+            ate.buildLockProof(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, token),
+        buildMintArgs: ({receiver, token}) =>
+            ate.buildMintArgs(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, token),
+        mint: async ({receiver, token, gasLimit, retries, guard, wait, fees}) => {
+            await guardAergoAnchor(guard);
+            return confirmEthTx(web3, ate.mint(
+                web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr,
+                receiver, token, ethGas(gasLimit, fees), retries, ethSigner),
+                wait);
+        },
+        buildBurnTx: async ({txSender, amount, token, receiver, gasLimit}) =>
+            ate.buildBurnTx(
+                txSender, amount, token, bridgeAergoAddr,
+                await getBridgeAergoAbi(), receiver, await aergoGas(gasLimit, 'burn')),
+        buildFreezeTx: async ({txSender, amount, receiver, gasLimit}) =>
+            ate.buildFreezeTx(
+                txSender, amount, bridgeAergoAddr, await getBridgeAergoAbi(),
+                receiver, await aergoGas(gasLimit, 'freeze')),
+        unlockable: ({receiver, token}) =>
+            ate.unlockable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver,
+                aergoErc20(token)),
+        buildBurnProof: ({receiver, token}) =>
+            ate.buildBurnProof(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, token),
+        buildFreezeProof: ({receiver, token}) =>
+            ate.buildFreezeProof(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver,
+                aergoErc20(token)),
+        buildUnlockArgs: ({receiver, token}) =>
+            ate.buildUnlockArgs(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver,
+                aergoErc20(token)),
+        unlock: async ({receiver, token, gasLimit, retries, guard, wait, fees}) => {
+            await guardAergoAnchor(guard);
+            return confirmEthTx(web3, ate.unlock(
+                web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr,
+                receiver, aergoErc20(token), ethGas(gasLimit, fees), retries,
+                ethSigner),
+                wait);
+        },
+        buildBurnARC2Tx: async ({txSender, tokenId, token, receiver, gasLimit}) =>
+            ate.buildBurnARC2Tx(
+                txSender, tokenId, token, bridgeAergoAddr,
+                await getBridgeAergoAbi(), receiver, gasLimit),
+        getMintedARC2: ({token}) =>
+            ate.getMintedARC2(hera, bridgeAergoAddr, token),
+        validateERC721Unlockable: ({receiver, tokenId, token}) =>
+            ate.validateERC721Unlockable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, tokenId,
+                token),
+        buildUnlockERC721Args: ({receiver, tokenId, token}) =>
+            ate.buildUnlockERC721Args(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, tokenId,
+                token),
+        unlockERC721: async ({receiver, tokenId, token, gasLimit, retries, guard, wait, fees}) => {
+            await guardAergoAnchor(guard);
+            return confirmEthTx(web3, ate.unlockERC721(
+                web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr,
+                receiver, tokenId, token, ethGas(gasLimit, fees), retries,
+                ethSigner),
+                wait);
+        },
+        simulateMint: ({receiver, token, from}) =>
+            simulateEthWithdrawArgs(
+                'mint', aergoToEth.buildMintArgs({receiver, token}), from),
+        simulateUnlock: ({receiver, token, from}) =>
+            simulateEthWithdrawArgs(
+                'unlock', aergoToEth.buildUnlockArgs({receiver, token}), from),
+        simulateUnlockERC721: ({receiver, tokenId, token, from}) =>
+            simulateEthWithdrawArgs(
+                'unlockERC721', aergoToEth.buildUnlockERC721Args({receiver, tokenId, token}),
+                from),
+        watchMintable: ({receiver, token, interval, subscribe}) =>
+            watchAergoToEth(
+                web3, bridgeEthAddr, bridgeEthAbi,
+                () => aergoToEth.mintable({receiver, token}), {interval, subscribe}),
+        watchUnlockable: ({receiver, token, interval, subscribe}) =>
+            watchAergoToEth(
+                web3, bridgeEthAddr, bridgeEthAbi,
+                () => aergoToEth.unlockable({receiver, token}), {interval, subscribe}),
+        sendLockTx: ({amount, token, arc1Abi, receiver, gasLimit, signer, wait}) =>
+            sendDepositTx(
+                (txSender) => aergoToEth.buildLockTx(
+                    {txSender, amount, token, arc1Abi, receiver, gasLimit}),
+                {signer, wait}),
+        sendBurnTx: ({amount, token, receiver, gasLimit, signer, wait}) =>
+            sendDepositTx(
+                (txSender) => aergoToEth.buildBurnTx(
+                    {txSender, amount, token, receiver, gasLimit}),
+                {signer, wait}),
+        sendFreezeTx: ({amount, receiver, gasLimit, signer, wait}) =>
+            sendDepositTx(
+                (txSender) => aergoToEth.buildFreezeTx(
+                    {txSender, amount, receiver, gasLimit}),
+                {signer, wait}),
+        sendBurnARC2Tx: ({tokenId, token, receiver, gasLimit, signer, wait}) =>
+            sendDepositTx(
+                (txSender) => aergoToEth.buildBurnARC2Tx(
+                    {txSender, tokenId, token, receiver, gasLimit}),
+                {signer, wait}),
+        isProofStillValid: ({anchorHeight}) =>
+            ate.isProofStillValid(web3, bridgeEthAddr, anchorHeight),
+        estimateWithdrawable: ({height, blockTime}) =>
+            estimateAergoToEth(web3, hera, bridgeEthAddr, height, blockTime),
+    };
+
+    const bridge = {
+        config: Object.freeze({...config, proofWeb3}),
+        getBridgeAergoAbi,
+        verifyNetwork: () =>
+            verifyNetwork(
+                web3, hera, Object.assign({bridgeEthAddr}, network), bridgeEthAbi),
+        ethToAergo,
+        aergoToEth,
+        getTransferHistory: (filter) =>
+            getTransferHistory(
+                web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr,
+                Object.assign({aergoErc20Addr}, filter)),
+        itemizeDeposits: (options) => getItemizedDeposits(bridge, options),
+        quoteTransfer: (options) => quoteTransfer(bridge, options),
+        // cached lookups of origin and pegged tokens (see tokenRegistry)
+        tokens: new TokenRegistry(config),
+        listBridgedTokens: (options) => bridge.tokens.listBridgedTokens(options),
+        utils: {
+            getEthAnchorStatus: () =>
+                utils.getEthAnchorStatus(web3, hera, bridgeAergoAddr),
+            getAergoAnchorStatus: () =>
+                utils.getAergoAnchorStatus(web3, hera, bridgeEthAddr),
+            getAergoUnfreezeFee: () =>
+                utils.getAergoUnfreezeFee(hera, bridgeAergoAddr),
+            waitForAergoReceipt: (txHash, options) =>
+                waitForAergoReceipt(hera, txHash, options),
+            waitForEthReceipt: (txHash, options) =>
+                waitForEthReceipt(web3, txHash, options),
+        },
+    };
+    return bridge;
+}
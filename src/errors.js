@@ -0,0 +1,120 @@
+/**
+ * Errors thrown by the sdk. Each error class has a stable code to handle
+ * errors without matching their messages, for example :
+ * if (err.code === ErrorCode.nothingToWithdraw) { ... }
+ * The codes are also used by the verdicts of the pre-flight checks.
+ */
+
+export const ErrorCode = {
+    invalidAddress: 'invalid_address',
+    nothingToWithdraw: 'nothing_to_withdraw',
+    alreadyWithdrawn: 'already_withdrawn',
+    proofUnavailable: 'proof_unavailable',
+    anchorStale: 'anchor_stale',
+    getProofUnsupported: 'get_proof_unsupported',
+    revert: 'revert',
+    tokenNotRegistered: 'token_not_registered',
+};
+
+/**
+ * Base class of the sdk errors
+ */
+export class BridgeError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {string} code Stable error code (see ErrorCode)
+     * @param {Error} cause Underlying error (optional)
+     */
+    constructor(message, code, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+}
+
+export class InvalidAddressError extends BridgeError {
+    constructor(message) {
+        super(message, ErrorCode.invalidAddress);
+    }
+}
+
+/**
+ * Nothing was deposited for the receiver, or the deposit is not anchored yet
+ */
+export class NothingToWithdrawError extends BridgeError {
+    constructor(message) {
+        super(message, ErrorCode.nothingToWithdraw);
+    }
+}
+
+export class AlreadyWithdrawnError extends BridgeError {
+    constructor(message) {
+        super(message, ErrorCode.alreadyWithdrawn);
+    }
+}
+
+/**
+ * The deposit proof can't be built, or doesn't verify against the anchored root
+ */
+export class ProofUnavailableError extends BridgeError {
+    constructor(message, cause) {
+        super(message, ErrorCode.proofUnavailable, cause);
+    }
+}
+
+/**
+ * A new anchor made the proof of a withdraw stale and no retry is left
+ */
+export class AnchorStaleError extends BridgeError {
+    /**
+     * @param {number} anchorHeight Anchor height of the stale proof
+     * @param {Error} cause Error of the withdraw tx (optional)
+     */
+    constructor(anchorHeight, cause) {
+        super("Proof built at anchor " + anchorHeight + " is stale", ErrorCode.anchorStale, cause);
+        this.anchorHeight = anchorHeight;
+    }
+}
+
+/**
+ * The Ethereum provider doesn't implement eth_getProof (see config.proofWeb3)
+ */
+export class GetProofUnsupportedError extends BridgeError {
+    constructor(cause) {
+        super("Ethereum provider doesn't support eth_getProof", ErrorCode.getProofUnsupported, cause);
+    }
+}
+
+/**
+ * A contract call reverted (Ethereum) or failed (Aergo)
+ */
+export class ContractRevertError extends BridgeError {
+    /**
+     * @param {string} message Error message
+     * @param {object} details {txHash, receipt, reason}, all optional
+     */
+    constructor(message, {txHash, receipt, reason}={}) {
+        super(message, ErrorCode.revert);
+        if (txHash !== undefined) {
+            this.txHash = txHash;
+        }
+        if (receipt !== undefined) {
+            this.receipt = receipt;
+        }
+        this.reason = reason === undefined ? null : reason;
+    }
+}
+
+/**
+ * Check an error of a contract state query is only a state variable not
+ * set yet, which lookups of totals treat as 0 (a missing contract, for
+ * example a wrong bridge address, is not)
+ * @param {Error} err Error thrown by herajs queryContractState
+ * @return {bool} True if the queried state doesn't exist
+ */
+export function isStateNotFound(err) {
+    return /queried variable .*does not exist in state/.test(err.message);
+}
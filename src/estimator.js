@@ -0,0 +1,124 @@
+import { getEthAnchorStatus, getAergoAnchorStatus } from './utils';
+
+/**
+ * Average Ethereum block time observed on the last blocks
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {number} sampleSize Number of blocks to average
+ * @return {number} Block time in seconds
+ */
+export async function getEthBlockTime(web3, sampleSize=100) {
+    const head = await web3.eth.getBlock('latest');
+    const size = Math.min(sampleSize, Number(head.number));
+    if (size === 0) {
+        throw new Error("Not enough Ethereum blocks to estimate the block time");
+    }
+    const start = await web3.eth.getBlock(Number(head.number) - size);
+    return (Number(head.timestamp) - Number(start.timestamp)) / size;
+}
+
+/**
+ * Average Aergo block time observed on the last blocks
+ * @param {object} hera Herajs client
+ * @param {number} sampleSize Number of blocks to average
+ * @return {number} Block time in seconds
+ */
+export async function getAergoBlockTime(hera, sampleSize=100) {
+    const { bestHeight } = await hera.blockchain();
+    const size = Math.min(sampleSize, bestHeight);
+    if (size === 0) {
+        throw new Error("Not enough Aergo blocks to estimate the block time");
+    }
+    const head = await hera.getBlockMetadata(bestHeight);
+    const start = await hera.getBlockMetadata(bestHeight - size);
+    // aergo timestamps are in nanoseconds
+    return (head.header.timestamp - start.header.timestamp) / 1e9 / size;
+}
+
+/**
+ * Estimate when a deposit will be anchored and become withdrawable.
+ * Anchors are made every tAnchor blocks of the deposit chain and anchor a
+ * height tFinal blocks deep, a late anchor anchors the last final height.
+ * @param {number} depositHeight Block height of the deposit
+ * @param {object} anchorStatus {lastAnchorHeight, tAnchor, tFinal, bestHeight} of the deposit chain
+ * @param {number} blockTime Block time of the deposit chain in seconds
+ * @return {object} {anchored, anchorHeight, blocks, seconds, at} : true if
+ *   already anchored, height of the anchor covering the deposit, blocks and
+ *   seconds to wait, estimated date (ms timestamp)
+ */
+export function estimateAnchor(depositHeight, anchorStatus, blockTime) {
+    const lastAnchorHeight = Number(anchorStatus.lastAnchorHeight);
+    const tAnchor = Number(anchorStatus.tAnchor);
+    const tFinal = Number(anchorStatus.tFinal);
+    const bestHeight = Number(anchorStatus.bestHeight);
+    if (depositHeight <= lastAnchorHeight) {
+        return {
+            anchored: true,
+            anchorHeight: lastAnchorHeight,
+            blocks: 0,
+            seconds: 0,
+            at: Date.now(),
+        };
+    }
+    let anchorHeight = Math.max(lastAnchorHeight + tAnchor, bestHeight - tFinal);
+    if (depositHeight > anchorHeight) {
+        anchorHeight = tAnchor > 0
+            ? anchorHeight + Math.ceil((depositHeight - anchorHeight) / tAnchor) * tAnchor
+            : depositHeight;
+    }
+    // the anchor is made when the anchored height is final
+    const blocks = Math.max(0, anchorHeight + tFinal - bestHeight);
+    const seconds = Math.round(blocks * blockTime);
+    return {
+        anchored: false,
+        anchorHeight: anchorHeight,
+        blocks: blocks,
+        seconds: seconds,
+        at: Date.now() + seconds * 1000,
+    };
+}
+
+/**
+ * Estimate when an Ethereum deposit becomes withdrawable on Aergo
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {number} depositHeight Ethereum block height of the deposit
+ * @param {number} blockTime Ethereum block time in seconds (observed if not given)
+ * @return {object} Estimation (see estimateAnchor)
+ */
+export async function estimateEthToAergo(
+    web3,
+    hera,
+    bridgeAergoAddr,
+    depositHeight,
+    blockTime,
+) {
+    const anchorStatus = await getEthAnchorStatus(web3, hera, bridgeAergoAddr);
+    if (blockTime === undefined) {
+        blockTime = await getEthBlockTime(web3);
+    }
+    return estimateAnchor(depositHeight, anchorStatus, blockTime);
+}
+
+/**
+ * Estimate when an Aergo deposit becomes withdrawable on Ethereum
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {number} depositHeight Aergo block height of the deposit
+ * @param {number} blockTime Aergo block time in seconds (observed if not given)
+ * @return {object} Estimation (see estimateAnchor)
+ */
+export async function estimateAergoToEth(
+    web3,
+    hera,
+    bridgeEthAddr,
+    depositHeight,
+    blockTime,
+) {
+    const anchorStatus = await getAergoAnchorStatus(web3, hera, bridgeEthAddr);
+    if (blockTime === undefined) {
+        blockTime = await getAergoBlockTime(hera);
+    }
+    return estimateAnchor(depositHeight, anchorStatus, blockTime);
+}
@@ -0,0 +1,229 @@
+import { keccak256 } from 'web3-utils';
+import { BigNumber } from "bignumber.js";
+
+
+/* Ethereum Merkle-Patricia trie proof verification (EIP-1186) */
+/* =========================================================== */
+
+
+/**
+ * Decode a RLP encoded buffer
+ * @param {Buffer} input RLP encoded bytes
+ * @return {Buffer|Array} Decoded bytes or nested list of decoded items
+ */
+export function rlpDecode(input) {
+    const [decoded, consumed] = rlpDecodeItem(input, 0);
+    if (consumed !== input.length) {
+        throw new Error("Invalid RLP: trailing bytes");
+    }
+    return decoded;
+}
+
+function rlpDecodeItem(input, offset) {
+    if (offset >= input.length) {
+        throw new Error("Invalid RLP: unexpected end of input");
+    }
+    const prefix = input[offset];
+    if (prefix < 0x80) {
+        return [input.slice(offset, offset + 1), 1];
+    }
+    if (prefix < 0xb8) {
+        const length = prefix - 0x80;
+        return [readBytes(input, offset + 1, length), 1 + length];
+    }
+    if (prefix < 0xc0) {
+        const lengthOfLength = prefix - 0xb7;
+        const length = readLength(input, offset + 1, lengthOfLength);
+        return [
+            readBytes(input, offset + 1 + lengthOfLength, length),
+            1 + lengthOfLength + length
+        ];
+    }
+    let length;
+    let start;
+    if (prefix < 0xf8) {
+        length = prefix - 0xc0;
+        start = offset + 1;
+    } else {
+        const lengthOfLength = prefix - 0xf7;
+        length = readLength(input, offset + 1, lengthOfLength);
+        start = offset + 1 + lengthOfLength;
+    }
+    const items = [];
+    let position = start;
+    while (position < start + length) {
+        const [item, consumed] = rlpDecodeItem(input, position);
+        items.push(item);
+        position += consumed;
+    }
+    if (position !== start + length) {
+        throw new Error("Invalid RLP: list length mismatch");
+    }
+    return [items, position - offset];
+}
+
+function readBytes(input, start, length) {
+    if (start + length > input.length) {
+        throw new Error("Invalid RLP: unexpected end of input");
+    }
+    return input.slice(start, start + length);
+}
+
+function readLength(input, start, lengthOfLength) {
+    const lengthBytes = readBytes(input, start, lengthOfLength);
+    return parseInt(lengthBytes.toString('hex'), 16);
+}
+
+function toBuffer(hex) {
+    if (Buffer.isBuffer(hex)) {
+        return hex;
+    }
+    const stripped = hex.slice(0, 2) === "0x" ? hex.slice(2) : hex;
+    return Buffer.from(stripped.length % 2 === 1 ? "0" + stripped : stripped, 'hex');
+}
+
+function hashOf(bytes) {
+    return Buffer.from(keccak256(bytes).slice(2), 'hex');
+}
+
+function toNibbles(bytes) {
+    const nibbles = [];
+    for (const byte of bytes) {
+        nibbles.push(byte >> 4, byte & 0x0f);
+    }
+    return nibbles;
+}
+
+/**
+ * Get the value stored at key in a Merkle-Patricia trie
+ * @param {Buffer} root Root hash of the trie
+ * @param {Buffer} key Key of the value (already hashed for secure tries)
+ * @param {Array} proof Array of 0x hex RLP encoded nodes from root to leaf
+ * @return {Buffer} Stored value, or null if the proof shows the key is not in the trie
+ */
+export function verifyMerkleProof(root, key, proof) {
+    const path = toNibbles(key);
+    let pathIndex = 0;
+    let expectedHash = root;
+    let node = null;
+    let proofIndex = 0;
+    for (;;) {
+        if (node === null) {
+            if (proofIndex >= proof.length) {
+                throw new Error("Invalid merkle proof: missing nodes");
+            }
+            const encoded = toBuffer(proof[proofIndex]);
+            proofIndex += 1;
+            if (!hashOf(encoded).equals(expectedHash)) {
+                throw new Error("Invalid merkle proof: node hash mismatch");
+            }
+            node = rlpDecode(encoded);
+        }
+        let next;
+        if (node.length === 17) {
+            if (pathIndex === path.length) {
+                return node[16].length === 0 ? null : node[16];
+            }
+            next = node[path[pathIndex]];
+            pathIndex += 1;
+        } else if (node.length === 2) {
+            const encodedPath = toNibbles(node[0]);
+            const isLeaf = encodedPath[0] >= 2;
+            // hex prefix encoding : odd length paths share a byte with the flag nibble
+            const nodePath = encodedPath.slice(encodedPath[0] % 2 === 1 ? 1 : 2);
+            const remaining = path.slice(pathIndex, pathIndex + nodePath.length);
+            const matches = nodePath.length === remaining.length
+                && nodePath.every((nibble, i) => nibble === remaining[i]);
+            if (isLeaf) {
+                if (matches && pathIndex + nodePath.length === path.length) {
+                    return node[1];
+                }
+                return null;
+            }
+            if (!matches) {
+                return null;
+            }
+            pathIndex += nodePath.length;
+            next = node[1];
+        } else {
+            throw new Error("Invalid merkle proof: unexpected node type");
+        }
+        if (Array.isArray(next)) {
+            // nodes shorter than 32 bytes are embedded in their parent
+            node = next;
+        } else if (next.length === 0) {
+            return null;
+        } else {
+            expectedHash = next;
+            node = null;
+        }
+    }
+}
+
+/**
+ * Verify an eth_getProof result against a block state root
+ * @param {object} proof Result of eth_getProof
+ * @param {string} stateRoot 0x State root of the block at which the proof was made
+ * @return {object} The verified proof
+ */
+export function verifyEthProof(proof, stateRoot) {
+    const accountKey = hashOf(toBuffer(proof.address));
+    const account = verifyMerkleProof(
+        toBuffer(stateRoot), accountKey, proof.accountProof);
+    if (account === null) {
+        throw new Error("Invalid merkle proof: account not in state");
+    }
+    const [nonce, balance, storageHash, codeHash] = rlpDecode(account);
+    if (!storageHash.equals(toBuffer(proof.storageHash))) {
+        throw new Error("Invalid merkle proof: storage hash mismatch");
+    }
+    if (proof.codeHash !== undefined && !codeHash.equals(toBuffer(proof.codeHash))) {
+        throw new Error("Invalid merkle proof: code hash mismatch");
+    }
+    if (proof.nonce !== undefined && !bytesToBigNumber(nonce).eq(proof.nonce)) {
+        throw new Error("Invalid merkle proof: nonce mismatch");
+    }
+    if (proof.balance !== undefined && !bytesToBigNumber(balance).eq(proof.balance)) {
+        throw new Error("Invalid merkle proof: balance mismatch");
+    }
+    verifyStorageProofs(proof, storageHash);
+    return proof;
+}
+
+/**
+ * Verify the storage proofs of an eth_getProof result against a contract
+ * storage root (the Ethereum bridge storage root anchored on Aergo)
+ * @param {object} proof Result of eth_getProof
+ * @param {string} storageRoot 0x Storage root of the contract at the proof height
+ * @return {object} The verified proof
+ */
+export function verifyEthStorageProof(proof, storageRoot) {
+    const storageHash = toBuffer(storageRoot);
+    if (!storageHash.equals(toBuffer(proof.storageHash))) {
+        throw new Error("Invalid merkle proof: storage hash mismatch");
+    }
+    verifyStorageProofs(proof, storageHash);
+    return proof;
+}
+
+function verifyStorageProofs(proof, storageHash) {
+    for (const storageProof of proof.storageProof) {
+        const slotKey = hashOf(Buffer.from(
+            toBuffer(storageProof.key).toString('hex').padStart(64, '0'), 'hex'));
+        const encodedValue = verifyMerkleProof(
+            storageHash, slotKey, storageProof.proof);
+        const value = encodedValue === null
+            ? new BigNumber(0)
+            : bytesToBigNumber(rlpDecode(encodedValue));
+        if (!value.eq(new BigNumber(storageProof.value))) {
+            throw new Error("Invalid merkle proof: storage value mismatch");
+        }
+    }
+}
+
+function bytesToBigNumber(bytes) {
+    if (bytes.length === 0) {
+        return new BigNumber(0);
+    }
+    return new BigNumber(bytes.toString('hex'), 16);
+}
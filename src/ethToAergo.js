@@ -1,7 +1,18 @@
 import { Contract } from '@herajs/client';
-import { keccak256 } from 'web3-utils';
 import { BigNumber } from "bignumber.js";
-import { checkAergoAddress, checkEthereumAddress, checkTokenId } from './utils';
+import {
+    checkAergoAddress, checkEthereumAddress, checkTokenId, getEthAnchorStatus,
+    queryAergoNumber, nftTransferStatus
+} from './utils';
+import { verifyEthStorageProof } from './ethMerkleProof';
+import { sendEthMethod, getEthSender } from './signers';
+import { approvalMethod, getAllowance } from './approval';
+import { defaultAergoGasLimit } from './gas';
+import { ProofUnavailableError, GetProofUnsupportedError } from './errors';
+import {
+    getLayout, ethLocksKey, ethBurnsKey, ethLocksERC721Key, aergoMintsKey,
+    aergoUnfreezesKey, aergoUnlocksKey, aergoMintsARC2Key
+} from './storageLayout';
 
 
 /* Ethereum -> Aergo ERC20 token transfer */
@@ -10,39 +21,41 @@ import { checkAergoAddress, checkEthereumAddress, checkTokenId } from './utils';
 
 /**
  * Increase approval so the bridge contract can pull assets
+ * (see approval.ensureAllowance to skip the tx when the allowance is enough)
  * @param {object} web3 Provider (metamask or other web3 compatible)
  * @param {string} spender 0x Address able to spend on behalf of asset owner
  * @param {string} amount Spendable amount by spender (string with 10^18 decimals)
  * @param {string} erc20Addr 0x Address of asset 
  * @param {object} erc20Abi Erc20 ABI array
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
  * @return {Promise} Promise from web3js send transaction
  */
-export function increaseApproval(
+export async function increaseApproval(
     web3, 
     spender, 
     amount, 
     erc20Addr, 
     erc20Abi,
-    gasLimit=300000,
+    gasLimit,
+    ethSigner,
 ) {
     checkEthereumAddress(spender);
     checkEthereumAddress(erc20Addr);
     const contract = new web3.eth.Contract(erc20Abi, erc20Addr);
-    let promise;
-    try {
-        promise = contract.methods.increaseAllowance(spender, amount).send(
-            {from: web3.eth.defaultAccount, gas: 300000}
-        );
-        return promise;
-    } catch(error) {
-        if (!error instanceof TypeError) {
-            return promise;
-        }
+    const method = approvalMethod(erc20Abi);
+    if (method !== 'approve') {
+        return sendEthMethod(
+            web3, contract.methods[method](spender, amount),
+            erc20Addr, gasLimit, ethSigner);
     }
-    console.log("increaseAllowance() not in abi, trying increaseApproval()");
-    return contract.methods.increaseApproval(spender, amount).send(
-        {from: web3.eth.defaultAccount, gas: gasLimit}
-    );
+    // tokens without increase methods : approve the increased allowance
+    const owner = await getEthSender(web3, ethSigner);
+    const allowance = await getAllowance(web3, owner, spender, erc20Addr, erc20Abi);
+    return sendEthMethod(
+        web3, contract.methods.approve(
+            spender, new BigNumber(allowance).plus(amount).toString(10)),
+        erc20Addr, gasLimit, ethSigner);
 }
 
 /**
@@ -53,6 +66,8 @@ export function increaseApproval(
  * @param {string} amount Amount to lock (string with 10^18 decimals)
  * @param {string} bridgeEthAddr 0x Address of bridge contrat
  * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
  * @return {Promise} Promise from web3js send transaction
  */
 export function lock(
@@ -62,15 +77,16 @@ export function lock(
     amount, 
     bridgeEthAddr, 
     bridgeEthAbi,
-    gasLimit=300000,
+    gasLimit,
+    ethSigner,
 ) {
     checkAergoAddress(receiverAergoAddr);
     checkEthereumAddress(erc20Addr);
     checkEthereumAddress(bridgeEthAddr);
     const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
-    return contract.methods.lock(erc20Addr, amount, receiverAergoAddr).send(
-        {from: web3.eth.defaultAccount, gas: gasLimit}
-    );
+    return sendEthMethod(
+        web3, contract.methods.lock(erc20Addr, amount, receiverAergoAddr),
+        bridgeEthAddr, gasLimit, ethSigner);
 }
 
 /**
@@ -95,17 +111,8 @@ export async function unfreezable(
     checkAergoAddress(bridgeAergoAddr);
     checkAergoAddress(receiverAergoAddr);
     checkEthereumAddress(aergoErc20Addr);
-    // _locks is the 6th var in EthMerkleBridge contract
-    const position = Buffer.concat([Buffer.alloc(31), Buffer.from("05", 'hex')]);
-    const accountRef = Buffer.concat([
-        Buffer.from(receiverAergoAddr, 'utf-8'), 
-        Buffer.from(aergoErc20Addr.slice(2), 'hex')
-    ]);
-    const ethTrieKey = keccak256(Buffer.concat([accountRef, position]));
-    const aergoStorageKey = Buffer.concat([
-        Buffer.from('_sv__unfreezes-'.concat(receiverAergoAddr), 'utf-8'),
-        Buffer.from(aergoErc20Addr.slice(2), 'hex')
-    ]);
+    const ethTrieKey = ethLocksKey(receiverAergoAddr, aergoErc20Addr);
+    const aergoStorageKey = aergoUnfreezesKey(receiverAergoAddr, aergoErc20Addr);
     return withdrawable(web3, hera, bridgeEthAddr, bridgeAergoAddr, ethTrieKey,
         aergoStorageKey);
 }
@@ -132,17 +139,8 @@ export async function mintable(
     checkAergoAddress(bridgeAergoAddr);
     checkAergoAddress(receiverAergoAddr);
     checkEthereumAddress(erc20Addr);
-    // _locks is the 6th var in EthMerkleBridge contract
-    const position = Buffer.concat([Buffer.alloc(31), Buffer.from("05", 'hex')]);
-    const accountRef = Buffer.concat([
-        Buffer.from(receiverAergoAddr, 'utf-8'), 
-        Buffer.from(erc20Addr.slice(2), 'hex')
-    ]);
-    const ethTrieKey = keccak256(Buffer.concat([accountRef, position]));
-    const aergoStorageKey = Buffer.concat([
-        Buffer.from('_sv__mints-'.concat(receiverAergoAddr), 'utf-8'),
-        Buffer.from(erc20Addr.slice(2), 'hex')
-    ]);
+    const ethTrieKey = ethLocksKey(receiverAergoAddr, erc20Addr);
+    const aergoStorageKey = aergoMintsKey(receiverAergoAddr, erc20Addr);
     return withdrawable(web3, hera, bridgeEthAddr, bridgeAergoAddr, ethTrieKey,
         aergoStorageKey);
 }
@@ -173,13 +171,7 @@ export async function buildLockProof(
     // build lock proof in last merged height 
     // user should have waited and checked withdrawable amount
     // UI should monitor new anchor so that minting doesnt fail just after a new anchor
-    // _locks is the 6th var in EthMerkleBridge contract
-    const position = Buffer.concat([Buffer.alloc(31), Buffer.from("05", 'hex')]);
-    const accountRef = Buffer.concat([
-        Buffer.from(receiverAergoAddr, 'utf-8'), 
-        Buffer.from(erc20Addr.slice(2), 'hex')
-    ]);
-    const ethTrieKey = keccak256(Buffer.concat([accountRef, position]));
+    const ethTrieKey = ethLocksKey(receiverAergoAddr, erc20Addr);
     return buildDepositProof(
         web3, hera, bridgeEthAddr, 
         bridgeAergoAddr, ethTrieKey
@@ -195,7 +187,8 @@ export async function buildLockProof(
  * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
  * @param {string} receiverAergoAddr Aergo address that receive minted/unfeezed tokens
  * @param {string} erc20Addr 0x Address of erc20 token
- * @return {object} Herajs tx object
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object with the anchorHeight of the proof
  */
 export async function buildMintTx(
     web3,
@@ -206,7 +199,7 @@ export async function buildMintTx(
     bridgeAergoAbi,
     receiverAergoAddr, 
     erc20Addr,
-    gasLimit=300000,
+    gasLimit=defaultAergoGasLimit,
 ) {
     checkAergoAddress(txSender);
     const proof = await buildLockProof(
@@ -222,6 +215,7 @@ export async function buildMintTx(
         from: txSender,
         limit: gasLimit,
     });
+    builtTx.anchorHeight = proof.anchorHeight;
     return builtTx;
 }
 
@@ -235,7 +229,8 @@ export async function buildMintTx(
  * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
  * @param {string} receiverAergoAddr Aergo address that receive minted/unfeezed tokens
  * @param {string} erc20Addr 0x Address of aergo erc20 token
- * @return {object} Herajs tx object
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object with the anchorHeight of the proof
  */
 export async function buildUnfreezeTx(
     web3,
@@ -246,7 +241,7 @@ export async function buildUnfreezeTx(
     bridgeAergoAbi,
     receiverAergoAddr, 
     aergoErc20Addr,
-    gasLimit=300000,
+    gasLimit=defaultAergoGasLimit,
 ) {
     checkAergoAddress(txSender);
     const proof = await buildLockProof(
@@ -262,6 +257,7 @@ export async function buildUnfreezeTx(
         from: txSender,
         limit: gasLimit,
     });
+    builtTx.anchorHeight = proof.anchorHeight;
     return builtTx;
 }
 
@@ -269,17 +265,133 @@ export async function buildUnfreezeTx(
 /* Ethereum -> Aergo pegged ARC1 token transfer */
 /* ============================================ */
 
-export function burn() {
-    throw new Error('Not implemented');
+/**
+ * Burn pegged tokens in the Ethereum bridge contract
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} receiverAergoAddr Aergo address that receive unlocked tokens
+ * @param {string} mintedErc20Addr 0x Address of pegged token minted by the bridge
+ * @param {string} amount Amount to burn (string with 10^18 decimals)
+ * @param {string} bridgeEthAddr 0x Address of bridge contrat
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
+ * @return {Promise} Promise from web3js send transaction
+ */
+export function burn(
+    web3,
+    receiverAergoAddr,
+    mintedErc20Addr,
+    amount,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    gasLimit,
+    ethSigner,
+) {
+    checkAergoAddress(receiverAergoAddr);
+    checkEthereumAddress(mintedErc20Addr);
+    checkEthereumAddress(bridgeEthAddr);
+    const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+    return sendEthMethod(
+        web3, contract.methods.burn(receiverAergoAddr, amount, mintedErc20Addr),
+        bridgeEthAddr, gasLimit, ethSigner);
 }
-export function unlockable() {
-    throw new Error('Not implemented');
+
+/**
+ * Get the unlockable and pending amounts transfering through the bridge
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contrat
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {string} receiverAergoAddr Aergo address of receiver of unlocked tokens
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @return {string, string} Amount withdrawable now, amount pending new state root anchor (string with 10^18 decimals)
+ */
+export async function unlockable(
+    web3,
+    hera,
+    bridgeEthAddr,
+    bridgeAergoAddr,
+    receiverAergoAddr,
+    arc1Addr,
+) {
+    checkEthereumAddress(bridgeEthAddr);
+    checkAergoAddress(bridgeAergoAddr);
+    checkAergoAddress(receiverAergoAddr);
+    checkAergoAddress(arc1Addr);
+    const ethTrieKey = ethBurnsKey(receiverAergoAddr, arc1Addr);
+    const aergoStorageKey = aergoUnlocksKey(receiverAergoAddr, arc1Addr);
+    return withdrawable(web3, hera, bridgeEthAddr, bridgeAergoAddr, ethTrieKey,
+        aergoStorageKey);
 }
-export function buildBurnProof() {
-    throw new Error('Not implemented');
+
+/**
+ * Build a burn proof from Ethereum
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} receiverAergoAddr Aergo address that receive unlocked tokens
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @param {string} bridgeEthAddr 0x Address of bridge contrat
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @return {Promise} Promise from eth_getProof
+ */
+export async function buildBurnProof(
+    web3,
+    hera,
+    receiverAergoAddr,
+    arc1Addr,
+    bridgeEthAddr,
+    bridgeAergoAddr
+) {
+    checkAergoAddress(receiverAergoAddr);
+    checkAergoAddress(arc1Addr);
+    checkEthereumAddress(bridgeEthAddr);
+    checkAergoAddress(bridgeAergoAddr);
+    const ethTrieKey = ethBurnsKey(receiverAergoAddr, arc1Addr);
+    return buildDepositProof(
+        web3, hera, bridgeEthAddr,
+        bridgeAergoAddr, ethTrieKey
+    );
 }
-export function unlock() {
-    throw new Error('Not implemented');
+
+/**
+ * Build hera unlock tx object to be sent to Aergo Connect for signing and broadcasting
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} txSender Aergo address of account signing the transaction
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {json} bridgeAergoAbi Abi of Aergo bridge contract
+ * @param {string} receiverAergoAddr Aergo address that receive unlocked tokens
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object with the anchorHeight of the proof
+ */
+export async function buildUnlockTx(
+    web3,
+    hera,
+    txSender,
+    bridgeEthAddr,
+    bridgeAergoAddr,
+    bridgeAergoAbi,
+    receiverAergoAddr,
+    arc1Addr,
+    gasLimit=defaultAergoGasLimit,
+) {
+    checkAergoAddress(txSender);
+    const proof = await buildBurnProof(
+        web3, hera, receiverAergoAddr, arc1Addr, bridgeEthAddr,
+        bridgeAergoAddr
+    );
+    const ap = proof.storageProof[0].proof;
+    const balance = {_bignum:proof.storageProof[0].value};
+    const args = [receiverAergoAddr, balance, arc1Addr, ap];
+    const contract = Contract.atAddress(bridgeAergoAddr);
+    contract.loadAbi(bridgeAergoAbi);
+    const builtTx = await contract.unlock(...args).asTransaction({
+        from: txSender,
+        limit: gasLimit,
+    });
+    builtTx.anchorHeight = proof.anchorHeight;
+    return builtTx;
 }
 
 
@@ -294,7 +406,8 @@ export function unlock() {
  * @param {string} bridgeEthAddr 0x Address of bridge contrat
  * @param {string} bridgeAergoAddr Aergo address of bridge contract
  * @param {string} ethTrieKey 0x Hash
- * @return {Promise} Promise from eth_getProof
+ * @return {Promise} Promise from eth_getProof, verified against the bridge
+ *   storage root anchored on the Aergo bridge
  */
 async function buildDepositProof(
     web3, 
@@ -304,13 +417,61 @@ async function buildDepositProof(
     ethTrieKey
 ) {
     const contract = Contract.atAddress(bridgeAergoAddr);
-    // check last merged height
-    let query = contract.queryState("_sv__anchorHeight");
+    // check last merged height and the bridge storage root anchored with it
+    const query = contract.queryState(
+        [getLayout().aergo.anchorHeight, getLayout().aergo.anchorRoot]);
+    const [lastMergedHeight, anchorRoot] = await hera.queryContractState(query);
+    if (typeof web3.eth.getProof !== 'function') {
+        throw new GetProofUnsupportedError();
+    }
+    let proof;
+    try {
+        proof = await web3.eth.getProof(
+            bridgeEthAddr, [ethTrieKey], lastMergedHeight);
+    } catch (err) {
+        if (/eth_getProof.*(does not exist|not available|not supported)|method not found/i.test(err.message)) {
+            throw new GetProofUnsupportedError(err);
+        }
+        throw new ProofUnavailableError(
+            "Deposit proof at height " + lastMergedHeight + " unavailable : " + err.message, err);
+    }
+    // the aergo bridge verifies the storage proofs against the anchored storage
+    // root of the Ethereum bridge : verify them the same way so a faulty
+    // provider doesn't make the aergo tx fail
+    if (!anchorRoot) {
+        throw new ProofUnavailableError(
+            "No storage root anchored at height " + lastMergedHeight);
+    }
+    let verifiedProof;
+    try {
+        verifiedProof = verifyEthStorageProof(proof, anchorRoot);
+    } catch (err) {
+        throw new ProofUnavailableError(err.message, err);
+    }
+    // the proof is only accepted while this anchor is the last one
+    verifiedProof.anchorHeight = Number(lastMergedHeight);
+    return verifiedProof;
+}
+
+
+/**
+ * Check the anchor a proof was built at is still the last one on Aergo,
+ * a tx built with an older proof would fail
+ * @param {object} hera Herajs client
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {number} anchorHeight anchorHeight of the built tx or proof
+ * @return {boolean} True if the proof can still be used
+ */
+export async function isProofStillValid(
+    hera,
+    bridgeAergoAddr,
+    anchorHeight
+) {
+    checkAergoAddress(bridgeAergoAddr);
+    const contract = Contract.atAddress(bridgeAergoAddr);
+    const query = contract.queryState(getLayout().aergo.anchorHeight);
     const lastMergedHeight = await hera.queryContractState(query);
-    const proof = await web3.eth.getProof(
-        bridgeEthAddr, [ethTrieKey], lastMergedHeight);
-    // TODO proof verification
-    return proof;
+    return Number(lastMergedHeight) === Number(anchorHeight);
 }
 
 
@@ -340,7 +501,7 @@ async function withdrawable(
     // get total withdrawn and last anchor height
     const aergoBridge = Contract.atAddress(bridgeAergoAddr);
     const query = aergoBridge.queryState(
-        ["_sv__anchorHeight", aergoStorageKey]);
+        [getLayout().aergo.anchorHeight, aergoStorageKey]);
     let [lastAnchorHeight, totalWithdrawn] = await hera.queryContractState(query);
     if (totalWithdrawn === undefined) {
         totalWithdrawn = 0;
@@ -358,17 +519,6 @@ async function withdrawable(
     return [withdrawableBalance, pending];
 }
 
-function buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr) {
-    // _locksERC721 is the 10th var in EthMerkleBridge contract
-    const position = Buffer.concat([Buffer.alloc(31), Buffer.from("09", 'hex')]);
-    const accountRef = Buffer.concat([
-        Buffer.from(receiverAergoAddr, 'utf-8'),
-        Buffer.from(tokenId, 'utf-8'),
-        Buffer.from(erc721Addr.slice(2), 'hex')
-    ]);
-    return keccak256(Buffer.concat([accountRef, position]));
-}
-
 /**
  * 이더리움 상에서 락하고 아르고 상에서 민트 가능한지 확인하는 용도
  * @param {object} web3 Provider (metamask or other web3 compatible)
@@ -378,7 +528,11 @@ function buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr) {
  * @param {string} receiverAergoAddr Aergo address of receiver of unfreezed aergo tokens
  * @param {string} tokenId locked ERC721 tokenId to mint ARC2 on aergo
  * @param {string} erc721Addr 0x Address of erc721 token
- * @return {string, string} Status(minted, mintable, error), and message
+ * @return {object} {state, message, blockNum, anchorHeight, blocksRemaining}
+ *   state : not_locked, pending_anchor (lock not covered by the last anchor),
+ *   mintable or already_minted, blockNum : lock block number on Ethereum,
+ *   anchorHeight : last Ethereum height anchored on Aergo, blocksRemaining :
+ *   Ethereum blocks before the lock can be anchored
  */
  export async function validateARC2Mintable(
     web3,
@@ -395,45 +549,20 @@ function buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr) {
     checkEthereumAddress(erc721Addr);
     checkTokenId(tokenId);
 
-    const ethTrieKey = buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr);
-  
-    let storageValue = await web3.eth.getStorageAt(
-        bridgeEthAddr, ethTrieKey, 'latest');
-    if (storageValue === undefined) {
-        throw Error('given token (' + tokenId + ') is not locked');
-    }
-    const lockBlockNumOnEth = new BigNumber(storageValue);
-
-    if(lockBlockNumOnEth.eq(new BigNumber(0))){
-        throw Error('Token does not locked on Ethereum, or Check your input is valid');
-    }
-    
-    const aergoStorageKey = Buffer.concat([
-        Buffer.from('_sv__mintsARC2-'.concat(receiverAergoAddr), 'utf-8'),
-        Buffer.from(tokenId, 'utf-8'),
-        Buffer.from(erc721Addr.slice(2), 'hex')
-    ]);
-    // get total withdrawn and last anchor height
-    const aergoBridge = Contract.atAddress(bridgeAergoAddr);
-    const query = aergoBridge.queryState(aergoStorageKey);
-    let mintedOnAergo = 0;
-    try {
-        mintedOnAergo = await hera.queryContractState(query);
-    } catch(err) {
-        // when state does not exist
-        // do not handling
-        console.error(err);
-    }
+    const ethTrieKey = ethLocksERC721Key(receiverAergoAddr, tokenId, erc721Addr);
+    // block number of the last lock of the token, 0 if never locked
+    const lockBlockNumOnEth = new BigNumber(await web3.eth.getStorageAt(
+        bridgeEthAddr, ethTrieKey, 'latest') || 0);
 
-    if(mintedOnAergo === undefined) {
-        return; // ok
-    }
+    const anchorStatus = await getEthAnchorStatus(web3, hera, bridgeAergoAddr);
+    const anchoredBlockNum = new BigNumber(await web3.eth.getStorageAt(
+        bridgeEthAddr, ethTrieKey, anchorStatus.lastAnchorHeight) || 0);
 
-    mintedOnAergo = new BigNumber(mintedOnAergo);
+    const aergoStorageKey = aergoMintsARC2Key(receiverAergoAddr, tokenId, erc721Addr);
+    const mintedOnAergo = await queryAergoNumber(hera, bridgeAergoAddr, aergoStorageKey);
 
-    if(lockBlockNumOnEth.eq(mintedOnAergo)) {
-        throw Error('The Token is Already Minted on Aergo');
-    } 
+    return nftTransferStatus(
+        lockBlockNumOnEth, anchoredBlockNum, mintedOnAergo, anchorStatus);
 }
 
 
@@ -447,7 +576,8 @@ function buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr) {
  * @param {string} receiverAergoAddr Aergo address that receive minted/unfeezed tokens
  * @param {string} tokenId locked ERC721 tokenId to mint ARC2 on aergo
  * @param {string} erc721Addr 0x Address of erc721 token
- * @return {object} Herajs tx object
+ * @param {number} gasLimit Gas limit of the tx, 0 by default (see gas)
+ * @return {object} Herajs tx object with the anchorHeight of the proof
  */
  export async function buildUnlockERC721Tx(
     web3,
@@ -459,7 +589,7 @@ function buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr) {
     receiverAergoAddr,
     tokenId,
     erc721Addr,
-    gasLimit=300000,
+    gasLimit=defaultAergoGasLimit,
 ) {
     checkAergoAddress(txSender);
     
@@ -476,6 +606,7 @@ function buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr) {
         from: txSender,
         limit: gasLimit,
     });
+    builtTx.anchorHeight = proof.anchorHeight;
     return builtTx;
 }
 
@@ -506,10 +637,148 @@ function buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr) {
     checkAergoAddress(bridgeAergoAddr);
     checkTokenId(tokenId);
     // build lock proof of ERC721 in last merged height 
-    const ethTrieKey = buildLockERC721TrieKey(receiverAergoAddr, tokenId, erc721Addr);
+    const ethTrieKey = ethLocksERC721Key(receiverAergoAddr, tokenId, erc721Addr);
 
     return buildDepositProof(
         web3, hera, bridgeEthAddr, 
         bridgeAergoAddr, ethTrieKey
     );
 }
+
+
+/* Ethereum -> Aergo ERC721 token transfer */
+/* ======================================= */
+
+/**
+ * Check if the bridge contract can pull an ERC721 token
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} owner 0x Address of token owner
+ * @param {string} spender 0x Address able to transfer on behalf of token owner
+ * @param {string} tokenId ERC721 tokenId
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {object} erc721Abi Erc721 ABI array
+ * @return {boolean} True if spender is approved for tokenId or for all owner tokens
+ */
+export async function isERC721Approved(
+    web3,
+    owner,
+    spender,
+    tokenId,
+    erc721Addr,
+    erc721Abi,
+) {
+    checkEthereumAddress(owner);
+    checkEthereumAddress(spender);
+    checkEthereumAddress(erc721Addr);
+    checkTokenId(tokenId);
+    const contract = new web3.eth.Contract(erc721Abi, erc721Addr);
+    const approvedForAll = await contract.methods.isApprovedForAll(
+        owner, spender).call();
+    if (approvedForAll) {
+        return true;
+    }
+    const approved = await contract.methods.getApproved(tokenId).call();
+    return approved.toLowerCase() === spender.toLowerCase();
+}
+
+/**
+ * Approve the bridge contract to pull an ERC721 token
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} spender 0x Address able to transfer on behalf of token owner
+ * @param {string} tokenId ERC721 tokenId to approve
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {object} erc721Abi Erc721 ABI array
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
+ * @return {Promise} Promise from web3js send transaction, null if already approved
+ */
+export async function approveERC721(
+    web3,
+    spender,
+    tokenId,
+    erc721Addr,
+    erc721Abi,
+    gasLimit,
+    ethSigner,
+) {
+    const owner = await getEthSender(web3, ethSigner);
+    const approved = await isERC721Approved(
+        web3, owner, spender, tokenId, erc721Addr, erc721Abi);
+    if (approved) {
+        return null;
+    }
+    const contract = new web3.eth.Contract(erc721Abi, erc721Addr);
+    return sendEthMethod(
+        web3, contract.methods.approve(spender, tokenId),
+        erc721Addr, gasLimit, ethSigner);
+}
+
+/**
+ * Approve or revoke the bridge contract to pull any ERC721 token of the owner
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} operator 0x Address able to transfer on behalf of token owner
+ * @param {boolean} approved True to approve, false to revoke
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {object} erc721Abi Erc721 ABI array
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
+ * @return {Promise} Promise from web3js send transaction, null if already set
+ */
+export async function setApprovalForAllERC721(
+    web3,
+    operator,
+    approved,
+    erc721Addr,
+    erc721Abi,
+    gasLimit,
+    ethSigner,
+) {
+    checkEthereumAddress(operator);
+    checkEthereumAddress(erc721Addr);
+    const contract = new web3.eth.Contract(erc721Abi, erc721Addr);
+    const approvedForAll = await contract.methods.isApprovedForAll(
+        await getEthSender(web3, ethSigner), operator).call();
+    if (approvedForAll === approved) {
+        return null;
+    }
+    return sendEthMethod(
+        web3, contract.methods.setApprovalForAll(operator, approved),
+        erc721Addr, gasLimit, ethSigner);
+}
+
+/**
+ * Lock an ERC721 token in the Ethereum bridge contract
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} receiverAergoAddr Aergo address that receive the minted ARC2
+ * @param {string} tokenId ERC721 tokenId to lock
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {string} bridgeEthAddr 0x Address of bridge contrat
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner signing the tx (defaults to the web3 default account)
+ * @return {object} web3js receipt with the lock block number recorded by the bridge in lockBlockNumber
+ */
+export async function lockERC721(
+    web3,
+    receiverAergoAddr,
+    tokenId,
+    erc721Addr,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    gasLimit,
+    ethSigner,
+) {
+    checkAergoAddress(receiverAergoAddr);
+    checkEthereumAddress(erc721Addr);
+    checkEthereumAddress(bridgeEthAddr);
+    checkTokenId(tokenId);
+    const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+    const receipt = await sendEthMethod(
+        web3, contract.methods.lockERC721(erc721Addr, tokenId, receiverAergoAddr),
+        bridgeEthAddr, gasLimit, ethSigner);
+    const ethTrieKey = ethLocksERC721Key(receiverAergoAddr, tokenId, erc721Addr);
+    const storageValue = await web3.eth.getStorageAt(
+        bridgeEthAddr, ethTrieKey, receipt.blockNumber);
+    receipt.lockBlockNumber = new BigNumber(storageValue).toNumber();
+    return receipt;
+}
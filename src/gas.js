@@ -0,0 +1,156 @@
+import { BigNumber } from "bignumber.js";
+
+/**
+ * Gas and fees of the Ethereum txs.
+ * The gas argument of the sending functions is either a gas limit, or tx
+ * options {gasLimit, gasMargin, fees} :
+ * gasLimit : fixed gas limit (estimated when not given)
+ * gasMargin : multiplier of the estimated gas (default 1.2)
+ * fees : {maxFeePerGas, maxPriorityFeePerGas} (wei), a fee strategy name
+ *   (slow, standard, fast) or an async function (web3) returning the fees.
+ *   The provider sets the fees when not given.
+ * Aergo txs are built with a gas limit of 0 by default : the fee is charged
+ * on the gas used, capped by the sender balance. The bridge client estimates
+ * the Aergo bridge calls from the gas used by the last txs of the same call
+ * (see estimateAergoGas) with the same margin.
+ */
+
+export const defaultGasMargin = 1.2;
+
+export const defaultAergoGasLimit = 0;
+
+const gwei = new BigNumber(10).pow(9);
+
+/**
+ * EIP-1559 fee strategies : maxPriorityFeePerGas is the tip in gwei and
+ * maxFeePerGas leaves room for the base fee to rise by baseFeeMultiplier
+ */
+export const feeStrategies = {
+    slow: {priorityFee: 1, baseFeeMultiplier: 1.25},
+    standard: {priorityFee: 1.5, baseFeeMultiplier: 2},
+    fast: {priorityFee: 3, baseFeeMultiplier: 2},
+};
+
+/**
+ * Fees of an Ethereum tx
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string|object|function} fees Fee values, strategy name or function
+ * @return {object} {maxFeePerGas, maxPriorityFeePerGas} (wei strings), empty to let the provider set the fees
+ */
+export async function getEthFees(web3, fees) {
+    if (fees === undefined || fees === null) {
+        return {};
+    }
+    if (typeof fees === 'function') {
+        return fees(web3);
+    }
+    if (typeof fees === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(feeStrategies, fees)) {
+            throw new Error("Unknown fee strategy " + fees);
+        }
+        const strategy = feeStrategies[fees];
+        const block = await web3.eth.getBlock('latest');
+        if (block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+            // chain without EIP-1559 : legacy gas price set by the provider
+            return {};
+        }
+        const priorityFee = gwei.times(strategy.priorityFee);
+        const maxFee = new BigNumber(block.baseFeePerGas)
+            .times(strategy.baseFeeMultiplier).plus(priorityFee)
+            .integerValue(BigNumber.ROUND_CEIL);
+        return {
+            maxFeePerGas: maxFee.toString(10),
+            maxPriorityFeePerGas: priorityFee.toString(10),
+        };
+    }
+    const result = {};
+    if (fees.maxFeePerGas !== undefined) {
+        result.maxFeePerGas = fees.maxFeePerGas;
+    }
+    if (fees.maxPriorityFeePerGas !== undefined) {
+        result.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    }
+    return result;
+}
+
+/**
+ * Estimate the gas of a contract method call with a safety margin
+ * @param {object} method web3js contract method (contract.methods.x(...args))
+ * @param {string} from 0x Address sending the tx
+ * @param {number} gasMargin Multiplier of the estimated gas
+ * @return {number} Gas limit
+ */
+export async function estimateEthGas(method, from, gasMargin=defaultGasMargin) {
+    const estimated = await method.estimateGas({from});
+    return Math.ceil(Number(estimated) * gasMargin);
+}
+
+/**
+ * Gas and fee options of a contract method call
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} method web3js contract method (contract.methods.x(...args))
+ * @param {string} from 0x Address sending the tx
+ * @param {number|object} gas Gas limit or tx options {gasLimit, gasMargin, fees}
+ * @return {object} {gas, maxFeePerGas, maxPriorityFeePerGas} to pass to send
+ */
+export async function getEthTxOptions(web3, method, from, gas) {
+    const options = typeof gas === 'object' && gas !== null ? gas : {gasLimit: gas};
+    const txOptions = await getEthFees(web3, options.fees);
+    txOptions.gas = options.gasLimit === undefined || options.gasLimit === null
+        ? await estimateEthGas(method, from, options.gasMargin)
+        : options.gasLimit;
+    return txOptions;
+}
+
+/**
+ * Estimate the gas of an Aergo contract call from the gas used by the last
+ * txs making the same call, found with the event the call emits, with a
+ * safety margin. Aergo nodes have no gas estimation and QueryContract runs
+ * functions read only, so the state changing bridge calls can't be simulated.
+ * @param {object} hera Herajs client
+ * @param {string} contractAddr Aergo address of the contract emitting the event
+ * @param {string} eventName Event emitted by the estimated call
+ * @param {object} options {gasMargin, sampleSize, blocks} : multiplier of the
+ *   gas used, number of txs sampled (default 5), blocks searched (default 10000)
+ * @return {number} Gas limit, defaultAergoGasLimit if no tx made the call recently
+ */
+export async function estimateAergoGas(
+    hera,
+    contractAddr,
+    eventName,
+    {gasMargin=defaultGasMargin, sampleSize=5, blocks=10000}={},
+) {
+    const { bestHeight } = await hera.blockchain();
+    const events = await hera.getEvents({
+        address: contractAddr,
+        eventName: eventName,
+        blockfrom: Math.max(0, bestHeight - blocks),
+        blockto: bestHeight,
+        desc: true,
+    });
+    const txHashes = Array.from(new Set(events.map(event => event.txhash)))
+        .slice(0, sampleSize);
+    if (txHashes.length === 0) {
+        return defaultAergoGasLimit;
+    }
+    const receipts = await Promise.all(
+        txHashes.map(txHash => hera.getTransactionReceipt(txHash)));
+    const gasUsed = Math.max(...receipts.map(receipt => Number(receipt.gasused)));
+    return Math.ceil(gasUsed * gasMargin);
+}
+
+/**
+ * Gas limit of an Aergo contract call
+ * @param {object} hera Herajs client
+ * @param {string} contractAddr Aergo address of the contract emitting the event
+ * @param {string} eventName Event emitted by the call
+ * @param {number|object} gas Gas limit or tx options {gasLimit, gasMargin}
+ * @return {number} Gas limit, estimated when not given
+ */
+export async function getAergoGasLimit(hera, contractAddr, eventName, gas) {
+    const options = typeof gas === 'object' && gas !== null ? gas : {gasLimit: gas};
+    if (options.gasLimit !== undefined && options.gasLimit !== null) {
+        return options.gasLimit;
+    }
+    return estimateAergoGas(hera, contractAddr, eventName, {gasMargin: options.gasMargin});
+}
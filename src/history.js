@@ -0,0 +1,481 @@
+import { Contract } from '@herajs/client';
+import { keccak256 } from 'web3-utils';
+import { BigNumber } from "bignumber.js";
+import { checkAergoAddress, checkEthereumAddress } from './utils';
+import { aergoMintedTokensKey } from './storageLayout';
+
+/**
+ * Events of the Ethereum bridge contract.
+ * deposit : the event records a deposit to Aergo, else a withdrawal from Aergo
+ * minted : the token of the event is minted by the bridge
+ * created : the event records the creation of a minted token by its first mint
+ */
+const ethEvents = {
+    lock: {name: 'lockEvent', deposit: true, minted: false},
+    burn: {name: 'burnEvent', deposit: true, minted: true},
+    unlock: {name: 'unlockEvent', deposit: false, minted: false},
+    mint: {name: 'mintEvent', deposit: false, minted: true},
+    newMintedERC20: {name: 'newMintedERC20', deposit: null, minted: true, created: true},
+};
+
+/**
+ * Events of the Aergo bridge contract and the names of their arguments.
+ * Freeze and unfreeze transfer native aergo (aergo erc20 on Ethereum).
+ */
+const aergoEvents = {
+    lock: {args: ['sender', 'receiver', 'amount', 'token'], deposit: true, minted: false},
+    burn: {args: ['sender', 'receiver', 'amount', 'token'], deposit: true, minted: true},
+    freeze: {args: ['sender', 'receiver', 'amount'], deposit: true, native: true},
+    unlock: {args: ['sender', 'receiver', 'amount', 'token'], deposit: false, minted: false},
+    mint: {args: ['sender', 'receiver', 'amount', 'token'], deposit: false, minted: true},
+    unfreeze: {args: ['sender', 'receiver', 'amount'], deposit: false, native: true},
+};
+
+/**
+ * Normalize addresses so that events of both chains can be compared :
+ * Ethereum addresses (with or without 0x) become lower case 0x addresses
+ * @param {string} addr Ethereum or Aergo address
+ * @return {string} Normalized address
+ */
+export function normalizeAddress(addr) {
+    if (addr === null || addr === undefined) {
+        return null;
+    }
+    if (/^(0x)?[0-9a-fA-F]{40}$/.test(addr)) {
+        return '0x'.concat(addr.slice(-40).toLowerCase());
+    }
+    return addr;
+}
+
+function isEthereumAddress(addr) {
+    return /^0x[0-9a-fA-F]{40}$/.test(addr);
+}
+
+function amountString(amount) {
+    if (amount !== null && typeof amount === 'object' && amount._bignum !== undefined) {
+        return amount._bignum;
+    }
+    return new BigNumber(amount).toString(10);
+}
+
+// arguments of a bridge method call from the tx input
+function decodeTxInput(web3, abi, input) {
+    const selector = input.slice(0, 10);
+    const method = abi.find(item => item.type === 'function'
+        && web3.eth.abi.encodeFunctionSignature(item) === selector);
+    if (method === undefined) {
+        return null;
+    }
+    return web3.eth.abi.decodeParameters(method.inputs, '0x'.concat(input.slice(10)));
+}
+
+/**
+ * Get the transactions of logs, in one json-rpc batch when web3 supports it
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {Array} txHashes 0x Hashes of the txs
+ * @return {object} Txs by hash
+ */
+async function getTransactions(web3, txHashes) {
+    const hashes = Array.from(new Set(txHashes));
+    let txs;
+    if (hashes.length > 0 && typeof web3.BatchRequest === 'function') {
+        const batch = new web3.BatchRequest();
+        const requests = hashes.map(hash => new Promise((resolve, reject) => {
+            batch.add(web3.eth.getTransaction.request(
+                hash, (err, tx) => (err ? reject(err) : resolve(tx))));
+        }));
+        batch.execute();
+        txs = await Promise.all(requests);
+    } else {
+        txs = await Promise.all(hashes.map(hash => web3.eth.getTransaction(hash)));
+    }
+    const byHash = {};
+    hashes.forEach((hash, i) => { byHash[hash] = txs[i]; });
+    return byHash;
+}
+
+/**
+ * Get the deposit and withdraw events of the Ethereum bridge.
+ * The senders are read from the event txs : deposits always include them,
+ * withdrawals only when filtering by sender.
+ * newMintedERC20 events have no sender nor receiver : when filtering by
+ * sender or receiver, only those emitted by the tx of a returned mint are kept.
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {object} filter {events, sender, receiver, fromBlock, toBlock}
+ *   events : names of events to query (lock, burn, unlock, mint, newMintedERC20),
+ *   all by default.
+ *   fromBlock is required : providers reject log queries of the whole chain
+ * @return {Array} Events {chain, event, deposit, txHash, height, sender, receiver, token, origin, amount}
+ */
+export async function getEthBridgeEvents(
+    web3,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    filter={},
+) {
+    checkEthereumAddress(bridgeEthAddr);
+    if (filter.fromBlock === undefined || filter.fromBlock === null) {
+        throw new Error("Querying the Ethereum bridge events requires a fromBlock");
+    }
+    const names = filter.events || Object.keys(ethEvents);
+    const bridge = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+    const queried = [];
+    for (const name of names) {
+        const eventType = ethEvents[name];
+        if (eventType === undefined) {
+            throw new Error("Unknown Ethereum bridge event " + name);
+        }
+        const abiItem = bridgeEthAbi.find(
+            item => item.type === 'event' && item.name === eventType.name);
+        // receivers of deposits are aergo addresses (indexed strings)
+        if (filter.receiver !== undefined && !eventType.created
+            && isEthereumAddress(filter.receiver) === eventType.deposit) {
+            continue;
+        }
+        const topics = [web3.eth.abi.encodeEventSignature(abiItem)];
+        if (filter.receiver !== undefined && !eventType.created) {
+            // the receiver is the second indexed argument
+            topics.push(null, eventType.deposit
+                ? keccak256(Buffer.from(filter.receiver, 'utf-8'))
+                : web3.eth.abi.encodeParameter('address', filter.receiver));
+        }
+        const logs = await web3.eth.getPastLogs({
+            address: bridgeEthAddr,
+            fromBlock: filter.fromBlock,
+            toBlock: filter.toBlock || 'latest',
+            topics: topics,
+        });
+        queried.push({name, eventType, abiItem, logs});
+    }
+    // the senders of the events are the senders of their txs
+    const txHashes = [];
+    for (const {eventType, logs} of queried) {
+        if (!eventType.created && (eventType.deposit || filter.sender !== undefined)) {
+            logs.forEach(log => txHashes.push(log.transactionHash));
+        }
+    }
+    const txs = await getTransactions(web3, txHashes);
+    const origins = {};
+    const originOf = async (token) => {
+        if (origins[token] === undefined) {
+            origins[token] = await bridge.methods._mintedTokens(token).call();
+        }
+        return origins[token];
+    };
+    const events = [];
+    const creations = [];
+    for (const {name, eventType, abiItem, logs} of queried) {
+        for (const log of logs) {
+            const decoded = web3.eth.abi.decodeLog(
+                abiItem.inputs, log.data, log.topics.slice(1));
+            if (eventType.created) {
+                // the indexed origin is hashed, read it from the bridge
+                const token = normalizeAddress(decoded.addr);
+                creations.push({
+                    chain: 'ethereum',
+                    event: name,
+                    deposit: null,
+                    txHash: log.transactionHash,
+                    height: Number(log.blockNumber),
+                    sender: null,
+                    receiver: null,
+                    token: token,
+                    origin: await originOf(token),
+                    amount: null,
+                });
+                continue;
+            }
+            let sender = null;
+            let receiver = eventType.deposit ? filter.receiver : decoded.receiver;
+            const tx = txs[log.transactionHash];
+            if (tx !== undefined) {
+                sender = tx.from;
+                if (receiver === undefined) {
+                    // the event only contains the hash of the aergo receiver
+                    const args = decodeTxInput(web3, bridgeEthAbi, tx.input);
+                    receiver = args === null ? null : args.receiver;
+                }
+            }
+            if (filter.sender !== undefined
+                && normalizeAddress(sender) !== normalizeAddress(filter.sender)) {
+                continue;
+            }
+            const token = normalizeAddress(decoded.tokenAddress);
+            let origin = token;
+            if (eventType.minted) {
+                origin = await originOf(token);
+            }
+            events.push({
+                chain: 'ethereum',
+                event: name,
+                deposit: eventType.deposit,
+                txHash: log.transactionHash,
+                height: Number(log.blockNumber),
+                sender: normalizeAddress(sender),
+                receiver: normalizeAddress(receiver),
+                token: token,
+                origin: origin,
+                amount: amountString(decoded.amount),
+            });
+        }
+    }
+    const mintTxs = new Set(
+        events.filter(event => event.event === 'mint').map(event => event.txHash));
+    const unfiltered = filter.sender === undefined && filter.receiver === undefined;
+    creations.filter(event => unfiltered || mintTxs.has(event.txHash))
+        .forEach(event => events.push(event));
+    return events.sort((a, b) => a.height - b.height);
+}
+
+/**
+ * Get the deposit and withdraw events of the Aergo bridge
+ * @param {object} hera Herajs client
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {object} filter {events, sender, receiver, fromBlock, toBlock, aergoErc20Addr}
+ *   events : names of events to query (lock, burn, freeze, unlock, mint, unfreeze),
+ *   all by default. aergoErc20Addr : origin of freeze and unfreeze events
+ * @return {Array} Events {chain, event, deposit, txHash, height, sender, receiver, token, origin, amount}
+ */
+export async function getAergoBridgeEvents(
+    hera,
+    bridgeAergoAddr,
+    filter={},
+) {
+    checkAergoAddress(bridgeAergoAddr);
+    const names = filter.events || Object.keys(aergoEvents);
+    const aergoBridge = Contract.atAddress(bridgeAergoAddr);
+    const origins = {};
+    const events = [];
+    for (const name of names) {
+        const eventType = aergoEvents[name];
+        if (eventType === undefined) {
+            throw new Error("Unknown Aergo bridge event " + name);
+        }
+        const query = {address: bridgeAergoAddr, eventName: name};
+        if (filter.fromBlock !== undefined) {
+            query.blockfrom = filter.fromBlock;
+        }
+        if (filter.toBlock !== undefined) {
+            query.blockto = filter.toBlock;
+        }
+        const aergoEventsList = await hera.getEvents(query);
+        for (const aergoEvent of aergoEventsList) {
+            const args = {};
+            eventType.args.forEach((arg, i) => { args[arg] = aergoEvent.args[i]; });
+            const sender = normalizeAddress(args.sender);
+            const receiver = normalizeAddress(args.receiver);
+            if (filter.sender !== undefined && sender !== normalizeAddress(filter.sender)) {
+                continue;
+            }
+            if (filter.receiver !== undefined
+                && receiver !== normalizeAddress(filter.receiver)) {
+                continue;
+            }
+            let token = args.token === undefined ? null : normalizeAddress(args.token);
+            let origin = token;
+            if (eventType.native) {
+                origin = normalizeAddress(filter.aergoErc20Addr);
+            } else if (eventType.minted) {
+                if (origins[token] === undefined) {
+                    origins[token] = normalizeAddress(await hera.queryContractState(
+                        aergoBridge.queryState(aergoMintedTokensKey(token))));
+                }
+                origin = origins[token];
+            }
+            events.push({
+                chain: 'aergo',
+                event: name,
+                deposit: eventType.deposit,
+                txHash: aergoEvent.txhash,
+                height: Number(aergoEvent.blockno),
+                sender: sender,
+                receiver: receiver,
+                token: token,
+                origin: origin,
+                amount: amountString(args.amount),
+            });
+        }
+    }
+    return events.sort((a, b) => a.height - b.height);
+}
+
+// block heights of both chains can't be compared : events of different chains
+// are ordered by block timestamp when both are known, else Ethereum ones first
+function compareEvents(a, b) {
+    if (a.chain !== b.chain) {
+        if (a.timestamp !== undefined && b.timestamp !== undefined
+            && a.timestamp !== b.timestamp) {
+            return a.timestamp - b.timestamp;
+        }
+        return a.chain === 'ethereum' ? -1 : 1;
+    }
+    return a.height - b.height;
+}
+
+/**
+ * Set the timestamp of the blocks of events, one block query per height
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {Array} events Events of both chains
+ * @return {Array} Events with their block timestamp (ms)
+ */
+async function addTimestamps(web3, hera, events) {
+    const timestamps = {};
+    for (const event of events) {
+        const k = event.chain + event.height;
+        if (timestamps[k] === undefined) {
+            if (event.chain === 'ethereum') {
+                const block = await web3.eth.getBlock(event.height);
+                timestamps[k] = Number(block.timestamp) * 1000;
+            } else {
+                // aergo timestamps are in nanoseconds
+                const block = await hera.getBlockMetadata(event.height);
+                timestamps[k] = Math.floor(block.header.timestamp / 1e6);
+            }
+        }
+        event.timestamp = timestamps[k];
+    }
+    return events;
+}
+
+/**
+ * Join deposits with the withdrawals of the same receiver and origin token.
+ * Withdrawals are cumulative : a withdrawal covers the oldest deposits that
+ * were not yet withdrawn.
+ * @param {Array} events Events of both chains
+ * @return {Array} Transfers {direction, receiver, origin, amount, deposit, withdraw,
+ *   tokenCreation} where deposit and withdraw are events (withdraw is null if not
+ *   withdrawn yet, deposit is null for withdrawals of deposits older than the queried
+ *   events) and tokenCreation is the newMintedERC20 event of the withdraw tx, if any.
+ *   Transfers are in the order of their first event : events of the same chain by
+ *   height, events of different chains by block timestamp. Without timestamps the
+ *   order is per chain, not chronological : all Ethereum transfers come first.
+ */
+export function joinTransfers(events) {
+    const sorted = events.slice().sort(compareEvents);
+    const queues = {};
+    const transfers = [];
+    const key = (event, toChain) =>
+        [toChain, event.receiver, event.origin].join('|');
+    for (const event of sorted.filter(e => e.deposit)) {
+        const toChain = event.chain === 'ethereum' ? 'aergo' : 'ethereum';
+        const transfer = {
+            direction: event.chain === 'ethereum' ? 'ethToAergo' : 'aergoToEth',
+            receiver: event.receiver,
+            origin: event.origin,
+            amount: event.amount,
+            deposit: event,
+            withdraw: null,
+            tokenCreation: null,
+            remaining: new BigNumber(event.amount),
+        };
+        transfers.push(transfer);
+        const k = key(event, toChain);
+        queues[k] = queues[k] || [];
+        queues[k].push(transfer);
+    }
+    const creations = {};
+    events.filter(e => e.deposit === null).forEach(e => { creations[e.txHash] = e; });
+    for (const event of sorted.filter(e => e.deposit === false)) {
+        const queue = queues[key(event, event.chain)] || [];
+        let amount = new BigNumber(event.amount);
+        while (amount.gt(0) && queue.length > 0) {
+            const transfer = queue[0];
+            const covered = BigNumber.min(amount, transfer.remaining);
+            transfer.remaining = transfer.remaining.minus(covered);
+            amount = amount.minus(covered);
+            if (transfer.remaining.eq(0)) {
+                transfer.withdraw = event;
+                transfer.tokenCreation = creations[event.txHash] || null;
+                queue.shift();
+            }
+        }
+        if (amount.gt(0)) {
+            transfers.push({
+                direction: event.chain === 'ethereum' ? 'aergoToEth' : 'ethToAergo',
+                receiver: event.receiver,
+                origin: event.origin,
+                amount: amount.toString(10),
+                deposit: null,
+                withdraw: event,
+                tokenCreation: creations[event.txHash] || null,
+            });
+        }
+    }
+    transfers.forEach(transfer => { delete transfer.remaining; });
+    return transfers.sort(
+        (a, b) => compareEvents(a.deposit || a.withdraw, b.deposit || b.withdraw));
+}
+
+/**
+ * Get the transfers sent or received by a user on both chains
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {object} filter {ethAddress, aergoAddress, ethFromBlock, ethToBlock,
+ *   aergoFromBlock, aergoToBlock, aergoErc20Addr}, ethFromBlock is required
+ * @return {Array} Transfers (see joinTransfers) in chronological order : the
+ *   block timestamp of each event is queried to merge the events of both chains
+ */
+export async function getTransferHistory(
+    web3,
+    hera,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    bridgeAergoAddr,
+    filter,
+) {
+    const ethRange = {fromBlock: filter.ethFromBlock, toBlock: filter.ethToBlock};
+    const aergoRange = {
+        fromBlock: filter.aergoFromBlock, toBlock: filter.aergoToBlock,
+        aergoErc20Addr: filter.aergoErc20Addr
+    };
+    const ethQuery = (eventFilter) => getEthBridgeEvents(
+        web3, bridgeEthAddr, bridgeEthAbi, Object.assign({}, ethRange, eventFilter));
+    const aergoQuery = (eventFilter) => getAergoBridgeEvents(
+        hera, bridgeAergoAddr, Object.assign({}, aergoRange, eventFilter));
+    let deposits = [];
+    if (filter.ethAddress !== undefined) {
+        deposits = deposits.concat(
+            await ethQuery({events: ['lock', 'burn'], sender: filter.ethAddress}),
+            await aergoQuery({events: ['lock', 'burn', 'freeze'], receiver: filter.ethAddress}));
+    }
+    if (filter.aergoAddress !== undefined) {
+        deposits = deposits.concat(
+            await ethQuery({events: ['lock', 'burn'], receiver: filter.aergoAddress}),
+            await aergoQuery({events: ['lock', 'burn', 'freeze'], sender: filter.aergoAddress}));
+    }
+    // a deposit can be both sent and received by the user
+    const uniqueDeposits = {};
+    deposits.forEach(event => { uniqueDeposits[event.chain + event.txHash + event.event] = event; });
+    deposits = Object.values(uniqueDeposits);
+
+    // withdrawals of the user and of the receivers of the user deposits
+    const ethReceivers = new Set();
+    const aergoReceivers = new Set();
+    if (filter.ethAddress !== undefined) {
+        ethReceivers.add(normalizeAddress(filter.ethAddress));
+    }
+    if (filter.aergoAddress !== undefined) {
+        aergoReceivers.add(filter.aergoAddress);
+    }
+    deposits.forEach(event => {
+        if (event.receiver !== null) {
+            (event.chain === 'ethereum' ? aergoReceivers : ethReceivers).add(event.receiver);
+        }
+    });
+    let withdrawals = [];
+    for (const receiver of ethReceivers) {
+        withdrawals = withdrawals.concat(
+            await ethQuery({events: ['unlock', 'mint', 'newMintedERC20'], receiver}));
+    }
+    for (const receiver of aergoReceivers) {
+        withdrawals = withdrawals.concat(
+            await aergoQuery({events: ['unlock', 'mint', 'unfreeze'], receiver}));
+    }
+    return joinTransfers(await addTimestamps(web3, hera, deposits.concat(withdrawals)));
+}
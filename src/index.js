@@ -5,4 +5,46 @@ export {ethToAergo};
 import * as aergoToEth from './aergoToEth'
 export {aergoToEth};
 import * as aergoToAergo from './aergoToAergo'
-export {aergoToAergo};
\ No newline at end of file
+export {aergoToAergo};
+import * as ethMerkleProof from './ethMerkleProof'
+export {ethMerkleProof};
+import * as aergoMerkleProof from './aergoMerkleProof'
+export {aergoMerkleProof};
+import { createBridge } from './bridge'
+export {createBridge};
+import * as abi from './abi'
+export {abi};
+import * as networks from './networks'
+export {networks};
+import * as storageLayout from './storageLayout'
+export {storageLayout};
+import * as anchorWatcher from './anchorWatcher'
+export {anchorWatcher};
+import { Transfer, TransferStatus } from './transfer'
+export {Transfer, TransferStatus};
+import * as transferStorage from './transferStorage'
+export {transferStorage};
+import * as history from './history'
+export {history};
+import * as itemize from './itemize'
+export {itemize};
+import * as estimator from './estimator'
+export {estimator};
+import * as anchorGuard from './anchorGuard'
+export {anchorGuard};
+import * as signers from './signers'
+export {signers};
+import * as receipts from './receipts'
+export {receipts};
+import * as gas from './gas'
+export {gas};
+import * as quote from './quote'
+export {quote};
+import * as approval from './approval'
+export {approval};
+import * as preflight from './preflight'
+export {preflight};
+import * as errors from './errors'
+export {errors};
+import * as tokenRegistry from './tokenRegistry'
+export {tokenRegistry};
\ No newline at end of file
@@ -0,0 +1,137 @@
+import { BigNumber } from "bignumber.js";
+import { getEthBridgeEvents, getAergoBridgeEvents, normalizeAddress } from './history';
+import { estimateAnchor, getEthBlockTime, getAergoBlockTime } from './estimator';
+
+/**
+ * Deposit events and balances method (of the bridge client) of each withdraw operation
+ */
+const depositTypes = {
+    ethToAergo: {
+        unfreeze: {events: ['lock'], balances: 'unfreezable'},
+        mint: {events: ['lock'], balances: 'mintable'},
+        unlock: {events: ['burn'], balances: 'unlockable'},
+    },
+    aergoToEth: {
+        mint: {events: ['lock'], balances: 'mintable'},
+        unlock: {events: ['burn', 'freeze'], balances: 'unlockable'},
+    },
+};
+
+/**
+ * Split the withdrawable and pending amounts of a receiver into its deposits.
+ * Withdrawals are cumulative so the newest deposits are the pending ones,
+ * then the withdrawable ones, and older deposits are already withdrawn.
+ * @param {Array} deposits Deposit events {txHash, height, amount} of the receiver and token
+ * @param {string} withdrawable Amount withdrawable now
+ * @param {string} pending Amount pending a new anchor
+ * @param {object} anchorStatus {lastAnchorHeight, tAnchor, tFinal, bestHeight}
+ * @param {number} blockTime Block time of the deposit chain in seconds
+ * @return {Array} Entries {txHash, height, amount, withdrawable, pending, anchored,
+ *   anchorHeight, estimatedSeconds} from the oldest deposit. An entry with a null
+ *   txHash holds the amounts of deposits older than the given events.
+ */
+export function itemizeDeposits(
+    deposits,
+    withdrawable,
+    pending,
+    anchorStatus,
+    blockTime,
+) {
+    let pendingLeft = new BigNumber(pending);
+    let withdrawableLeft = new BigNumber(withdrawable);
+    const entries = [];
+    const newestFirst = deposits.slice().sort((a, b) => b.height - a.height);
+    for (const deposit of newestFirst) {
+        if (pendingLeft.eq(0) && withdrawableLeft.eq(0)) {
+            break;
+        }
+        let amountLeft = new BigNumber(deposit.amount);
+        const entryPending = BigNumber.min(amountLeft, pendingLeft);
+        amountLeft = amountLeft.minus(entryPending);
+        pendingLeft = pendingLeft.minus(entryPending);
+        const entryWithdrawable = BigNumber.min(amountLeft, withdrawableLeft);
+        withdrawableLeft = withdrawableLeft.minus(entryWithdrawable);
+        const entry = {
+            txHash: deposit.txHash,
+            height: deposit.height,
+            amount: deposit.amount,
+            withdrawable: entryWithdrawable.toString(10),
+            pending: entryPending.toString(10),
+            anchored: entryPending.eq(0),
+            anchorHeight: null,
+            estimatedSeconds: 0,
+        };
+        if (!entry.anchored) {
+            const estimation = estimateAnchor(deposit.height, anchorStatus, blockTime);
+            entry.anchorHeight = estimation.anchorHeight;
+            entry.estimatedSeconds = estimation.seconds;
+        }
+        entries.push(entry);
+    }
+    if (pendingLeft.gt(0) || withdrawableLeft.gt(0)) {
+        // deposits before the queried events
+        entries.push({
+            txHash: null,
+            height: null,
+            amount: pendingLeft.plus(withdrawableLeft).toString(10),
+            withdrawable: withdrawableLeft.toString(10),
+            pending: pendingLeft.toString(10),
+            anchored: pendingLeft.eq(0),
+            anchorHeight: null,
+            estimatedSeconds: 0,
+        });
+    }
+    return entries.reverse();
+}
+
+/**
+ * Get the withdrawable and pending deposits of a receiver and token
+ * @param {object} bridge Bridge client from createBridge()
+ * @param {object} options {direction, operation, receiver, token, fromBlock, toBlock, blockTime}
+ *   direction, operation : see Transfer (ethToAergo : unfreeze, mint, unlock,
+ *   aergoToEth : mint, unlock). fromBlock, toBlock : range of deposit events
+ *   on the deposit chain. blockTime : block time of the deposit chain in seconds
+ *   (observed if not given)
+ * @return {Array} Entries (see itemizeDeposits)
+ */
+export async function getItemizedDeposits(bridge, options) {
+    const { direction, operation, receiver, token } = options;
+    const directionTypes = depositTypes[direction];
+    if (directionTypes === undefined
+        || !Object.prototype.hasOwnProperty.call(directionTypes, operation)) {
+        throw new Error("Unknown deposit operation " + direction + " " + operation);
+    }
+    const depositType = directionTypes[operation];
+    const config = bridge.config;
+    const filter = {
+        events: depositType.events,
+        receiver: receiver,
+        fromBlock: options.fromBlock,
+        toBlock: options.toBlock,
+    };
+    let events;
+    let anchorStatus;
+    let blockTime = options.blockTime;
+    if (direction === 'ethToAergo') {
+        events = await getEthBridgeEvents(
+            config.web3, config.bridgeEthAddr, config.bridgeEthAbi, filter);
+        anchorStatus = await bridge.utils.getEthAnchorStatus();
+        if (blockTime === undefined) {
+            blockTime = await getEthBlockTime(config.web3);
+        }
+    } else {
+        filter.aergoErc20Addr = config.aergoErc20Addr;
+        events = await getAergoBridgeEvents(config.hera, config.bridgeAergoAddr, filter);
+        anchorStatus = await bridge.utils.getAergoAnchorStatus();
+        if (blockTime === undefined) {
+            blockTime = await getAergoBlockTime(config.hera);
+        }
+    }
+    // like the bridge client, aergo erc20 is the default token
+    const origin = token === undefined ? config.aergoErc20Addr : token;
+    const deposits = events.filter(
+        event => event.origin === normalizeAddress(origin));
+    const [withdrawable, pending] = await bridge[direction][depositType.balances](
+        {receiver, token});
+    return itemizeDeposits(deposits, withdrawable, pending, anchorStatus, blockTime);
+}
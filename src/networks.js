@@ -0,0 +1,136 @@
+import { checkAergoAddress, checkEthereumAddress } from './utils';
+
+/**
+ * Bridge deployments built in the package.
+ * A network entry contains :
+ *   bridgeEthAddr, bridgeAergoAddr : bridge contract addresses (required)
+ *   aergoErc20Addr : address of the aergo erc20
+ *   ethChainId : Ethereum chain id, aergoChainId : Aergo chain id magic
+ *   contractId : expected 0x _contractId of the Ethereum bridge
+ * Optional fields that are not known are left out and not checked.
+ * Only the local test deployment is built in (see reservedNetworks).
+ */
+const builtinNetworks = Object.freeze({
+    local: Object.freeze({
+        // contract addresses taken from eth-merkle-bridge $ make deploy_test_bridge
+        bridgeEthAddr: "0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374",
+        bridgeAergoAddr: "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V",
+        aergoErc20Addr: "0xd898383A12CDE0eDF7642F7dD4D7006FdE5c433e",
+        // ganache / geth --dev and aergosvr --testmode chains
+        ethChainId: 1337,
+        aergoChainId: "dev.chain",
+        // no contractId : the test bridge is redeployed with each local chain
+    }),
+});
+
+// names of the public deployments : their addresses are not published with
+// this package yet, they must be loaded with loadNetworks()
+const reservedNetworks = ['mainnet', 'testnet'];
+
+// networks of private deployments added with loadNetworks
+const loadedNetworks = {};
+
+function hasNetwork(networks, name) {
+    return Object.prototype.hasOwnProperty.call(networks, name);
+}
+
+function checkNetwork(name, network) {
+    if (typeof network !== 'object' || network === null) {
+        throw new Error("Invalid network " + name);
+    }
+    if (network.bridgeEthAddr === undefined || network.bridgeAergoAddr === undefined) {
+        throw new Error("Network " + name + " needs bridgeEthAddr and bridgeAergoAddr");
+    }
+    checkEthereumAddress(network.bridgeEthAddr);
+    checkAergoAddress(network.bridgeAergoAddr);
+    if (network.aergoErc20Addr !== undefined) {
+        checkEthereumAddress(network.aergoErc20Addr);
+    }
+}
+
+/**
+ * Get a registered network
+ * @param {string} name Network name (local or a loaded one)
+ * @return {object} Copy of the network entry
+ */
+export function getNetwork(name) {
+    if (hasNetwork(builtinNetworks, name)) {
+        return Object.assign({name: name}, builtinNetworks[name]);
+    }
+    if (hasNetwork(loadedNetworks, name)) {
+        return Object.assign({name: name}, loadedNetworks[name]);
+    }
+    if (reservedNetworks.includes(name)) {
+        throw new Error(
+            "The " + name + " deployment is not bundled, load its addresses with loadNetworks()");
+    }
+    throw new Error("Unknown bridge network " + name + ", load it with loadNetworks()");
+}
+
+/**
+ * List registered network names
+ * @return {Array} Network names
+ */
+export function listNetworks() {
+    return Object.keys(builtinNetworks).concat(Object.keys(loadedNetworks));
+}
+
+/**
+ * Register networks of private deployments (replaces loaded networks with the
+ * same name, built in networks can't be redefined)
+ * @param {string|object} networks JSON string or object mapping names to network entries
+ * @return {Array} Names of the loaded networks
+ */
+export function loadNetworks(networks) {
+    if (typeof networks === 'string') {
+        networks = JSON.parse(networks);
+    }
+    const names = Object.keys(networks);
+    names.forEach(name => {
+        if (hasNetwork(builtinNetworks, name)) {
+            throw new Error("Built in network " + name + " can't be redefined");
+        }
+        checkNetwork(name, networks[name]);
+    });
+    names.forEach(name => {
+        loadedNetworks[name] = Object.assign({}, networks[name]);
+    });
+    return names;
+}
+
+/**
+ * Check that the providers are connected to the chains of a network
+ * and that the Ethereum bridge has the expected contract id
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {object} network Network entry
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @return {Promise} Resolves if the providers match the network, rejects otherwise
+ */
+export async function verifyNetwork(web3, hera, network, bridgeEthAbi) {
+    if (network.ethChainId !== undefined) {
+        const ethChainId = await web3.eth.getChainId();
+        if (Number(ethChainId) !== Number(network.ethChainId)) {
+            throw new Error(
+                "Ethereum provider is connected to chain " + ethChainId
+                + ", expected " + network.ethChainId);
+        }
+    }
+    if (network.aergoChainId !== undefined) {
+        const chainInfo = await hera.getChainInfo();
+        if (chainInfo.chainid.magic !== network.aergoChainId) {
+            throw new Error(
+                "Aergo provider is connected to chain " + chainInfo.chainid.magic
+                + ", expected " + network.aergoChainId);
+        }
+    }
+    if (network.contractId !== undefined) {
+        const contract = new web3.eth.Contract(bridgeEthAbi, network.bridgeEthAddr);
+        const contractId = await contract.methods._contractId().call();
+        if (contractId.toLowerCase() !== network.contractId.toLowerCase()) {
+            throw new Error(
+                "Ethereum bridge contract id is " + contractId
+                + ", expected " + network.contractId);
+        }
+    }
+}
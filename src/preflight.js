@@ -0,0 +1,245 @@
+import { BigNumber } from "bignumber.js";
+import { hexToUtf8 } from 'web3-utils';
+import { checkAergoAddress, checkEthereumAddress, queryAergoNumber } from './utils';
+import { ErrorCode } from './errors';
+import * as eta from './ethToAergo';
+import * as ate from './aergoToEth';
+import {
+    aergoMintsKey, aergoUnfreezesKey, aergoUnlocksKey, aergoMintsARC2Key
+} from './storageLayout';
+
+/**
+ * Dry-run checks of a transfer tx before asking the user to sign it.
+ * Ethereum txs are simulated with eth_call. Aergo has no call simulation of
+ * state changing functions, so the Aergo withdraw txs are checked against
+ * the bridge state : anchor of the proof, total already withdrawn and token
+ * registration.
+ * Checks return a verdict {ok, operation, code, reason, anchorHeight, amount} :
+ * code : null when ok, otherwise an ErrorCode (revert, anchor_stale,
+ *   nothing_to_withdraw, already_withdrawn or token_not_registered)
+ * reason : message to show the user (decoded revert reason for eth_call)
+ * amount : amount the tx withdraws (Aergo withdraw txs)
+ */
+
+// Error(string) and Panic(uint256) selectors of solidity reverts
+const errorSelector = '08c379a0';
+const panicSelector = '4e487b71';
+
+function verdict(operation, anchorHeight, code, reason, amount) {
+    return {
+        ok: code === null,
+        operation,
+        code,
+        reason: reason === undefined ? null : reason,
+        anchorHeight: anchorHeight === undefined ? null : anchorHeight,
+        amount: amount === undefined ? null : amount,
+    };
+}
+
+// 0x revert data returned by the node in the error, depending on the provider
+function revertData(error) {
+    const candidates = [error.data, error.data && error.data.data, error.message];
+    if (error.data && typeof error.data === 'object') {
+        for (const value of Object.values(error.data)) {
+            candidates.push(value && value.return, value && value.data);
+        }
+    }
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string') {
+            continue;
+        }
+        const match = new RegExp('0x(' + errorSelector + '|' + panicSelector + ')[0-9a-fA-F]*')
+            .exec(candidate);
+        if (match !== null) {
+            return match[0];
+        }
+    }
+    return null;
+}
+
+/**
+ * Decode the reason of a reverted eth_call or transaction
+ * @param {object} error Error thrown by web3js
+ * @return {string} Revert reason (the error message if it can't be decoded)
+ */
+export function decodeRevertReason(error) {
+    const data = revertData(error);
+    if (data !== null) {
+        const body = data.slice(10);
+        if (data.slice(2, 10) === panicSelector) {
+            return "panic code 0x" + new BigNumber(body.slice(0, 64), 16).toString(16);
+        }
+        // abi encoded string : offset, length, utf8 bytes
+        const length = new BigNumber(body.slice(64, 128), 16).toNumber();
+        return hexToUtf8('0x' + body.slice(128, 128 + length * 2));
+    }
+    const message = error.message || String(error);
+    const match = /(?:execution reverted|revert)(?::)?\s*(.*)$/.exec(message);
+    if (match !== null && match[1].length > 0) {
+        return match[1].trim();
+    }
+    return message;
+}
+
+// eth_call a contract method, a revert gives a verdict with its reason
+async function simulateEthCall(method, from, operation, anchorHeight, isStale) {
+    try {
+        await method.call({from});
+    } catch (err) {
+        if (isStale !== undefined && await isStale()) {
+            return verdict(operation, anchorHeight, ErrorCode.anchorStale,
+                "A new anchor was made after the proof was built");
+        }
+        return verdict(operation, anchorHeight, ErrorCode.revert, decodeRevertReason(err));
+    }
+    return verdict(operation, anchorHeight, null);
+}
+
+/**
+ * Simulate the Ethereum lock of ERC20 tokens (checks the allowance and balance)
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {string} receiverAergoAddr Aergo address that receive minted/unfeezed tokens
+ * @param {string} erc20Addr 0x Address of asset
+ * @param {string} amount Amount to lock (string with 10^18 decimals)
+ * @param {string} from 0x Address sending the lock tx
+ * @return {object} Verdict
+ */
+export async function simulateEthLock(
+    web3,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    receiverAergoAddr,
+    erc20Addr,
+    amount,
+    from,
+) {
+    checkAergoAddress(receiverAergoAddr);
+    checkEthereumAddress(erc20Addr);
+    checkEthereumAddress(bridgeEthAddr);
+    const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+    return simulateEthCall(
+        contract.methods.lock(erc20Addr, amount, receiverAergoAddr), from, 'lock');
+}
+
+/**
+ * Simulate an Ethereum withdraw with the args of buildUnlockArgs, buildMintArgs
+ * or buildUnlockERC721Args
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {string} operation unlock, mint or unlockERC721
+ * @param {object} args Built args (with receiver, and token for unlockERC721)
+ * @param {string} from 0x Address sending the withdraw tx
+ * @return {object} Verdict
+ */
+export async function simulateEthWithdraw(
+    web3,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    operation,
+    args,
+    from,
+) {
+    checkEthereumAddress(bridgeEthAddr);
+    const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+    let method;
+    if (operation === 'unlock') {
+        method = contract.methods.unlock(
+            args.receiver, args.balance, args.token, args.mp, args.bitmap,
+            args.leafHeight);
+    } else if (operation === 'mint') {
+        method = contract.methods.mint(
+            args.receiver, args.balance, args.tokenOrigin, args.mp, args.bitmap,
+            args.leafHeight);
+    } else if (operation === 'unlockERC721') {
+        method = contract.methods.unlockERC721(
+            args.receiver, args.uintTokenId, args.blockNum, args.token, args.mp,
+            args.bitmap, args.leafHeight);
+    } else {
+        throw new Error("Unknown Ethereum withdraw operation " + operation);
+    }
+    return simulateEthCall(
+        method, from, operation, args.anchorHeight,
+        async () => !await ate.isProofStillValid(web3, bridgeEthAddr, args.anchorHeight));
+}
+
+/**
+ * Check an Aergo withdraw tx (buildMintTx, buildUnfreezeTx, buildUnlockTx or
+ * buildUnlockERC721Tx) against the bridge state before it is signed
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} hera Herajs client
+ * @param {string} bridgeEthAddr 0x Address of bridge contract
+ * @param {object} bridgeEthAbi Bridge ABI array
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {object} builtTx Herajs tx object with the anchorHeight of its proof
+ * @param {string} aergoErc20Addr 0x Address of aergo erc20 (unfreeze txs)
+ * @return {object} Verdict
+ */
+export async function prevalidateAergoWithdraw(
+    web3,
+    hera,
+    bridgeEthAddr,
+    bridgeEthAbi,
+    bridgeAergoAddr,
+    builtTx,
+    aergoErc20Addr,
+) {
+    checkAergoAddress(bridgeAergoAddr);
+    const payload = typeof builtTx.payload === 'string'
+        ? JSON.parse(builtTx.payload) : JSON.parse(Buffer.from(builtTx.payload).toString());
+    const operation = payload.Name;
+    const args = payload.Args;
+    const anchorHeight = builtTx.anchorHeight;
+    if (!await eta.isProofStillValid(hera, bridgeAergoAddr, anchorHeight)) {
+        return verdict(operation, anchorHeight, ErrorCode.anchorStale,
+            "A new anchor was made after the proof was built");
+    }
+    const receiver = args[0];
+
+    if (operation === 'mintARC2') {
+        const blockNum = new BigNumber(args[2]._bignum);
+        if (blockNum.eq(0)) {
+            return verdict(operation, anchorHeight, ErrorCode.nothingToWithdraw,
+                "The token is not locked for this receiver");
+        }
+        const minted = await queryAergoNumber(
+            hera, bridgeAergoAddr, aergoMintsARC2Key(receiver, args[1], '0x' + args[3]));
+        if (minted !== null && blockNum.eq(minted)) {
+            return verdict(operation, anchorHeight, ErrorCode.alreadyWithdrawn,
+                "The token is already minted on Aergo");
+        }
+        return verdict(operation, anchorHeight, null);
+    }
+
+    let key;
+    if (operation === 'mint') {
+        key = aergoMintsKey(receiver, '0x' + args[2]);
+    } else if (operation === 'unfreeze') {
+        if (aergoErc20Addr === undefined) {
+            throw new Error("Checking an unfreeze requires the aergo erc20 address");
+        }
+        key = aergoUnfreezesKey(receiver, aergoErc20Addr);
+    } else if (operation === 'unlock') {
+        // only tokens minted by the ethereum bridge are burnt to unlock
+        const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+        const minted = await contract.methods._bridgeTokens(args[2]).call();
+        if (!minted || new BigNumber(minted).eq(0)) {
+            return verdict(operation, anchorHeight, ErrorCode.tokenNotRegistered,
+                "The token has no pegged ERC20 on Ethereum");
+        }
+        key = aergoUnlocksKey(receiver, args[2]);
+    } else {
+        throw new Error("Unknown Aergo withdraw operation " + operation);
+    }
+    const deposited = new BigNumber(args[1]._bignum);
+    const withdrawn = await queryAergoNumber(hera, bridgeAergoAddr, key)
+        || new BigNumber(0);
+    const amount = deposited.minus(withdrawn);
+    if (amount.lte(0)) {
+        return verdict(operation, anchorHeight, ErrorCode.nothingToWithdraw,
+            "The anchored deposits are already withdrawn", '0');
+    }
+    return verdict(operation, anchorHeight, null, undefined, amount.toString(10));
+}
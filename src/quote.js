@@ -0,0 +1,164 @@
+import { BigNumber } from "bignumber.js";
+import { Contract } from '@herajs/client';
+import { erc20Abi } from './abi';
+import { getEthFees, estimateEthGas, estimateAergoGas } from './gas';
+import { getAergoUnfreezeFee } from './utils';
+import { aergoMintedTokensKey } from './storageLayout';
+import { isStateNotFound } from './errors';
+
+/**
+ * Rough gas of each step, used when it can't be estimated : Ethereum steps
+ * without a sender or before the previous step is done (no allowance or proof
+ * yet), Aergo steps that no recent tx made.
+ * Minting an ERC20 for the first time also deploys it and costs more.
+ */
+const typicalGas = {
+    ethereum: {approve: 50000, lock: 100000, burn: 80000, mint: 250000, unlock: 150000},
+    aergo: {freeze: 100000, lock: 100000, burn: 100000, unfreeze: 300000, mint: 300000, unlock: 300000},
+};
+
+// deposit and withdraw steps of the transfers
+function transferSteps(direction, operation, deposit) {
+    if (direction === 'ethToAergo') {
+        const steps = operation === 'unlock'
+            ? [{chain: 'ethereum', step: 'burn'}]
+            : [{chain: 'ethereum', step: 'approve'}, {chain: 'ethereum', step: 'lock'}];
+        return steps.concat([{chain: 'aergo', step: operation}]);
+    }
+    return [{chain: 'aergo', step: deposit}, {chain: 'ethereum', step: operation}];
+}
+
+// withdraw operation (and aergo deposit) of a token
+async function getOperation(bridge, direction, token) {
+    const { web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr, aergoErc20Addr } = bridge.config;
+    if (direction === 'ethToAergo') {
+        if (token === undefined
+            || (aergoErc20Addr !== undefined && token.toLowerCase() === aergoErc20Addr.toLowerCase())) {
+            return {operation: 'unfreeze'};
+        }
+        const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+        // tokens minted by the bridge are burnt to unlock their origin
+        const origin = await contract.methods._mintedTokens(token).call();
+        return {operation: origin ? 'unlock' : 'mint'};
+    }
+    if (direction !== 'aergoToEth') {
+        throw new Error("Unknown transfer direction " + direction);
+    }
+    if (token === undefined) {
+        return {operation: 'unlock', deposit: 'freeze'};
+    }
+    const aergoBridge = Contract.atAddress(bridgeAergoAddr);
+    try {
+        await hera.queryContractState(aergoBridge.queryState(aergoMintedTokensKey(token)));
+    } catch (err) {
+        if (isStateNotFound(err)) {
+            return {operation: 'mint', deposit: 'lock'};
+        }
+        throw err;
+    }
+    return {operation: 'unlock', deposit: 'burn'};
+}
+
+// estimated gas of the ethereum deposit steps, null when it can't be estimated
+async function estimateDepositGas(bridge, step, token, amount, sender, receiver) {
+    const { web3, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr, gasMargin } = bridge.config;
+    if (sender === undefined || token === undefined) {
+        return null;
+    }
+    // any aergo address gives the same gas
+    receiver = receiver === undefined ? bridgeAergoAddr : receiver;
+    let method;
+    if (step === 'approve') {
+        method = new web3.eth.Contract(erc20Abi, token).methods.approve(bridgeEthAddr, amount);
+    } else {
+        const contract = new web3.eth.Contract(bridgeEthAbi, bridgeEthAddr);
+        method = step === 'lock'
+            ? contract.methods.lock(token, amount, receiver)
+            : contract.methods.burn(receiver, amount, token);
+    }
+    try {
+        return await estimateEthGas(method, sender, gasMargin);
+    } catch (err) {
+        // lock reverts until the approval is mined
+        return null;
+    }
+}
+
+// gas of aergo steps, from the recent txs making the same bridge call, null without any
+async function estimateAergoStepGas(bridge, step) {
+    const { hera, bridgeAergoAddr, gasMargin } = bridge.config;
+    const gas = await estimateAergoGas(hera, bridgeAergoAddr, step, {gasMargin});
+    return gas > 0 ? gas : null;
+}
+
+/**
+ * Quote the cost of a transfer before starting it
+ * @param {object} bridge Bridge client from createBridge()
+ * @param {object} options {direction, token, amount, sender, receiver}
+ *   direction : ethToAergo or aergoToEth, token : address of the deposited
+ *   token on the deposit chain (aergo erc20 / native aergo if not given),
+ *   amount : deposited amount (string with 10^18 decimals), sender : 0x
+ *   address of the Ethereum deposit sender (gas of the Ethereum deposit steps
+ *   is estimated when given), receiver : address receiving the withdrawn tokens
+ * @return {object} {direction, operation, steps, ethFee, aergoFee, ethFeeEstimated,
+ *   aergoFeeEstimated, unfreezeFee, amount, received, feeExceedsAmount} : steps are
+ *   {chain, step, gas, fee, estimated}, estimated is false when the gas is a typical
+ *   default value, ethFeeEstimated and aergoFeeEstimated are true when the gas of all
+ *   steps of the chain is estimated. ethFee is in wei and aergoFee in aer, the bridge
+ *   unfreezeFee (aer) is deducted from the amount of unfreezes to give the received amount
+ */
+export async function quoteTransfer(bridge, {direction, token, amount, sender, receiver}) {
+    const { web3, hera, bridgeAergoAddr, aergoErc20Addr, fees } = bridge.config;
+    const { operation, deposit } = await getOperation(bridge, direction, token);
+    const ethFees = await getEthFees(web3, fees);
+    const ethGasPrice = new BigNumber(ethFees.maxFeePerGas !== undefined
+        ? ethFees.maxFeePerGas : await web3.eth.getGasPrice());
+    const chainInfo = await hera.getChainInfo();
+    const aergoGasPrice = new BigNumber(chainInfo.gasprice.value.toString());
+    const ethToken = token === undefined ? aergoErc20Addr : token;
+
+    const steps = [];
+    let ethFee = new BigNumber(0);
+    let aergoFee = new BigNumber(0);
+    const feeEstimated = {ethereum: true, aergo: true};
+    for (const {chain, step} of transferSteps(direction, operation, deposit)) {
+        let gas = null;
+        if (chain === 'ethereum' && direction === 'ethToAergo') {
+            gas = await estimateDepositGas(
+                bridge, step, ethToken, amount, sender, receiver);
+        } else if (chain === 'aergo') {
+            gas = await estimateAergoStepGas(bridge, step);
+        }
+        const estimated = gas !== null;
+        if (!estimated) {
+            gas = typicalGas[chain][step];
+            feeEstimated[chain] = false;
+        }
+        const fee = new BigNumber(gas).times(chain === 'ethereum' ? ethGasPrice : aergoGasPrice);
+        if (chain === 'ethereum') {
+            ethFee = ethFee.plus(fee);
+        } else {
+            aergoFee = aergoFee.plus(fee);
+        }
+        steps.push({chain, step, gas, fee: fee.toString(10), estimated});
+    }
+
+    let unfreezeFee = new BigNumber(0);
+    if (operation === 'unfreeze') {
+        unfreezeFee = new BigNumber(await getAergoUnfreezeFee(hera, bridgeAergoAddr));
+    }
+    const received = BigNumber.max(new BigNumber(amount).minus(unfreezeFee), 0);
+    return {
+        direction,
+        operation,
+        steps,
+        ethFee: ethFee.toString(10),
+        aergoFee: aergoFee.toString(10),
+        ethFeeEstimated: feeEstimated.ethereum,
+        aergoFeeEstimated: feeEstimated.aergo,
+        unfreezeFee: unfreezeFee.toString(10),
+        amount: new BigNumber(amount).toString(10),
+        received: received.toString(10),
+        feeExceedsAmount: unfreezeFee.gt(0) && unfreezeFee.gte(amount),
+    };
+}
@@ -0,0 +1,238 @@
+import { ContractRevertError } from './errors';
+
+/**
+ * Wait for the receipts of sent txs.
+ * Options of the wait functions :
+ * confirmations : blocks mined on top of the tx block (Ethereum default 1
+ *   i.e. included, Aergo default 0)
+ * finality : Aergo only, wait until the tx block is irreversible (default true)
+ * droppedAfter : time in ms the tx can be missing from the node before it is
+ *   considered dropped (default 60000)
+ * interval : polling interval in ms (default 1000)
+ * timeout : maximum wait in ms (default 600000)
+ * signal : AbortSignal cancelling the wait
+ */
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error("Wait for receipt aborted"));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error("Wait for receipt aborted"));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+function txError(message, txHash, receipt) {
+    const error = new Error(message);
+    error.txHash = txHash;
+    if (receipt !== undefined) {
+        error.receipt = receipt;
+    }
+    return error;
+}
+
+// track how long a tx has been missing from the node
+function droppedTracker({droppedAfter=60000}={}) {
+    let missingSince = null;
+    return {
+        found() {
+            missingSince = null;
+        },
+        // returns true if the tx has been missing for too long
+        missing() {
+            if (missingSince === null) {
+                missingSince = Date.now();
+            }
+            return Date.now() - missingSince >= droppedAfter;
+        },
+    };
+}
+
+// poll until check returns a result, with timeout and cancellation
+async function poll(check, txHash, {interval=1000, timeout=600000, signal}={}) {
+    const start = Date.now();
+    for (;;) {
+        if (signal && signal.aborted) {
+            throw txError("Wait for receipt of tx " + txHash + " aborted", txHash);
+        }
+        const result = await check();
+        if (result !== null) {
+            return result;
+        }
+        if (Date.now() - start + interval > timeout) {
+            throw txError("Timeout waiting for receipt of tx " + txHash, txHash);
+        }
+        try {
+            await sleep(interval, signal);
+        } catch (err) {
+            throw txError("Wait for receipt of tx " + txHash + " aborted", txHash);
+        }
+    }
+}
+
+function isNotFound(err) {
+    return /not found/.test(err.message);
+}
+
+/**
+ * Decode the error message of a failed Aergo contract call from the receipt result
+ * (removes the lua chunk and line prefix like [string "..."]:12: )
+ * @param {string} result Receipt result
+ * @return {string} Error message raised by the contract
+ */
+export function decodeAergoError(result) {
+    if (typeof result !== 'string') {
+        return String(result);
+    }
+    const match = /^(?:.*\]:\d+: )?([\s\S]*?)$/.exec(result);
+    return match[1].trim();
+}
+
+/**
+ * Last irreversible block of an Aergo chain
+ * @param {object} chainInfo Herajs blockchain() status
+ * @return {number} Height of the last irreversible block, the best height for
+ *   consensus without a LIB (raft, sbp) where included blocks are final
+ */
+export function getAergoFinalHeight(chainInfo) {
+    const { bestHeight, consensusInfo } = chainInfo;
+    const status = consensusInfo && consensusInfo.Status;
+    if (status && status.LibNo !== undefined) {
+        return Number(status.LibNo);
+    }
+    return bestHeight;
+}
+
+/**
+ * Wait until an Aergo tx is included in an irreversible block
+ * @param {object} hera Herajs client
+ * @param {string} txHash Hash of the tx
+ * @param {object} options {confirmations, finality, droppedAfter, interval, timeout, signal}
+ * @return {object} Herajs receipt with the tx hash, throws if the tx was
+ *   dropped or failed (ContractRevertError)
+ */
+export async function waitForAergoReceipt(hera, txHash, options={}) {
+    const confirmations = options.confirmations === undefined ? 0 : options.confirmations;
+    const finality = options.finality === undefined ? true : options.finality;
+    const dropped = droppedTracker(options);
+    const receipt = await poll(async () => {
+        let receipt;
+        try {
+            receipt = await hera.getTransactionReceipt(txHash);
+        } catch (err) {
+            if (!isNotFound(err)) {
+                throw err;
+            }
+            // not mined yet : check the tx is still in the mempool
+            try {
+                await hera.getTransaction(txHash);
+                dropped.found();
+            } catch (err) {
+                if (!isNotFound(err)) {
+                    throw err;
+                }
+                if (dropped.missing()) {
+                    throw txError("Aergo tx " + txHash + " was dropped", txHash);
+                }
+            }
+            return null;
+        }
+        if (confirmations > 0 || finality) {
+            const chainInfo = await hera.blockchain();
+            if (chainInfo.bestHeight - receipt.blockno < confirmations) {
+                return null;
+            }
+            if (finality && receipt.blockno > getAergoFinalHeight(chainInfo)) {
+                return null;
+            }
+        }
+        return receipt;
+    }, txHash, options);
+    const result = Object.assign({hash: txHash}, receipt);
+    if (result.status !== 'SUCCESS' && result.status !== 'CREATED') {
+        const reason = decodeAergoError(result.result);
+        throw new ContractRevertError(
+            "Aergo tx " + txHash + " failed : " + reason,
+            {txHash, receipt: result, reason});
+    }
+    return result;
+}
+
+/**
+ * Wait until an Ethereum tx is mined with enough confirmations
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {string} txHash 0x Hash of the tx
+ * @param {object} options {confirmations, droppedAfter, interval, timeout, signal}
+ * @return {object} web3js receipt with its confirmations, throws if the tx
+ *   reverted (ContractRevertError), was dropped or was replaced by another tx
+ *   of the same nonce
+ */
+export async function waitForEthReceipt(web3, txHash, options={}) {
+    const confirmations = options.confirmations === undefined ? 1 : options.confirmations;
+    let sentTx = null;
+    const dropped = droppedTracker(options);
+    const receipt = await poll(async () => {
+        const receipt = await web3.eth.getTransactionReceipt(txHash);
+        if (receipt === null) {
+            const tx = await web3.eth.getTransaction(txHash);
+            let isDropped = false;
+            if (tx !== null) {
+                sentTx = tx;
+                dropped.found();
+            } else {
+                isDropped = dropped.missing();
+            }
+            if (sentTx !== null) {
+                // another tx with the same nonce was mined
+                const nonce = await web3.eth.getTransactionCount(sentTx.from, 'latest');
+                if (nonce > sentTx.nonce
+                    && await web3.eth.getTransactionReceipt(txHash) === null) {
+                    throw txError("Ethereum tx " + txHash + " was replaced", txHash);
+                }
+            }
+            if (isDropped) {
+                throw txError("Ethereum tx " + txHash + " was dropped", txHash);
+            }
+            return null;
+        }
+        const blockNumber = await web3.eth.getBlockNumber();
+        receipt.confirmations = blockNumber - receipt.blockNumber + 1;
+        return receipt.confirmations >= confirmations ? receipt : null;
+    }, txHash, options);
+    if (!receipt.status) {
+        throw new ContractRevertError(
+            "Ethereum tx " + txHash + " reverted", {txHash, receipt});
+    }
+    return receipt;
+}
+
+/**
+ * Wait for more confirmations of a tx sent with web3 (which resolves when included)
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {Promise} sent Promise of the web3js receipt (send helpers of the sdk)
+ * @param {object} options {confirmations, interval, timeout, signal}, the
+ *   receipt is returned as sent if not given
+ * @return {object} web3js receipt
+ */
+export async function confirmEthTx(web3, sent, options) {
+    const receipt = await sent;
+    if (options === undefined || receipt === null) {
+        return receipt;
+    }
+    const confirmed = await waitForEthReceipt(web3, receipt.transactionHash, options);
+    receipt.confirmations = confirmed.confirmations;
+    return receipt;
+}
@@ -0,0 +1,281 @@
+import { waitForAergoReceipt } from './receipts';
+import { getEthTxOptions } from './gas';
+
+/**
+ * Signers sign and broadcast the transactions built by the sdk.
+ * An AergoSigner implements async getAddress() and sendTransaction(tx)
+ * returning the tx hash.
+ * An EthSigner implements async getAddress() and sendTransaction(tx)
+ * ({to, data, gas, maxFeePerGas, maxPriorityFeePerGas}) returning the web3js receipt,
+ * and optionally signTypedData(typedData) to sign permits (see approval).
+ */
+
+
+/* Aergo signers */
+/* ============= */
+
+/**
+ * Sign with the Aergo Connect browser extension
+ */
+export class AergoConnectSigner {
+    /**
+     * @param {object} target Window receiving the Aergo Connect events (defaults to window)
+     */
+    constructor(target) {
+        this.target = target === undefined ? window : target;
+        this.nextId = 1;
+        // pending requests by response type, oldest first
+        this.pending = {};
+    }
+
+    // settle the request answered by a response event
+    onResponse(responseType, event) {
+        const queue = this.pending[responseType];
+        const detail = event.detail || {};
+        // responses echo the request id, versions without ids answer in order
+        const index = detail.id === undefined ? 0 : queue.findIndex(r => r.id === detail.id);
+        if (index === -1) {
+            return;
+        }
+        const [request] = queue.splice(index, 1);
+        if (queue.length === 0) {
+            this.target.removeEventListener(responseType, request.listener);
+            delete this.pending[responseType];
+        }
+        if (detail.error) {
+            request.reject(new Error("Aergo Connect " + request.action + " : " + detail.error));
+        } else {
+            request.resolve(event.detail);
+        }
+    }
+
+    // request an action with the aergoConnectCall postMessage protocol
+    call(action, responseType, data) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            let queue = this.pending[responseType];
+            let listener;
+            if (queue === undefined) {
+                queue = this.pending[responseType] = [];
+                listener = (event) => this.onResponse(responseType, event);
+                this.target.addEventListener(responseType, listener);
+            } else {
+                listener = queue[0].listener;
+            }
+            queue.push({id, action, resolve, reject, listener});
+            this.target.postMessage({
+                type: 'AERGO_REQUEST',
+                id: id,
+                action: action,
+                data: data,
+            });
+        });
+    }
+
+    async getAddress() {
+        const result = await this.call('ACTIVE_ACCOUNT', 'AERGO_ACTIVE_ACCOUNT', {});
+        return result.account.address;
+    }
+
+    async sendTransaction(tx) {
+        // Aergo Connect takes the contract call as json and the address as a string
+        const connectTx = Object.assign({}, tx, {
+            from: tx.from.toString(),
+            to: tx.to.toString(),
+        });
+        if (typeof tx.payload === 'string') {
+            connectTx.payload_json = JSON.parse(tx.payload);
+            delete connectTx.payload;
+        }
+        delete connectTx.anchorHeight;
+        const result = await this.call('SEND_TX', 'AERGO_SEND_TX_RESULT', connectTx);
+        return result.hash;
+    }
+}
+
+/**
+ * Sign with a @herajs/wallet Wallet (the wallet fills the nonce and chain id)
+ */
+export class HeraWalletSigner {
+    /**
+     * @param {object} wallet @herajs/wallet Wallet using the chain of the bridge
+     * @param {object} account Wallet account ({address, chainId}) holding an imported key
+     */
+    constructor(wallet, account) {
+        this.wallet = wallet;
+        this.account = account;
+    }
+
+    /**
+     * Create a signer from a raw or encrypted Aergo private key (requires @herajs/wallet,
+     * an optional peer dependency of the sdk)
+     * @param {object} options {chainId, nodeUrl, address, privateKey, encryptedKey, password}
+     *   chainId : base58 chain id hash (hera.getChainIdHash('base58')), nodeUrl :
+     *   node used by the wallet, privateKey : raw key bytes, or encryptedKey :
+     *   base58 encrypted key with its password
+     * @return {HeraWalletSigner} Signer
+     */
+    static async fromPrivateKey({chainId, nodeUrl, address, privateKey, encryptedKey, password}) {
+        // required here so the wallet is only needed by raw key signers
+        let Wallet;
+        try {
+            ({ Wallet } = require('@herajs/wallet'));
+        } catch (err) {
+            const error = new Error(
+                "HeraWalletSigner.fromPrivateKey requires the optional peer dependency "
+                + "@herajs/wallet : npm install @herajs/wallet@0.17.0");
+            error.cause = err;
+            throw error;
+        }
+        const wallet = new Wallet();
+        wallet.useChain({chainId, nodeUrl});
+        const account = await wallet.accountManager.addAccount({chainId, address});
+        if (encryptedKey !== undefined) {
+            await wallet.keyManager.importKey({account, b58encrypted: encryptedKey, password});
+        } else {
+            await wallet.keyManager.importKey({account, privateKey});
+        }
+        return new HeraWalletSigner(wallet, account);
+    }
+
+    async getAddress() {
+        return this.account.address.toString();
+    }
+
+    async sendTransaction(tx) {
+        const txBody = Object.assign({}, tx);
+        delete txBody.anchorHeight;
+        const txTracker = await this.wallet.sendTransaction(this.account, txBody);
+        return txTracker.hash;
+    }
+}
+
+/**
+ * Sign and broadcast an Aergo tx, then wait for its receipt
+ * @param {object} hera Herajs client
+ * @param {object} aergoSigner AergoSigner
+ * @param {object} builtTx Herajs tx object
+ * @param {object} wait Options of waitForAergoReceipt (see receipts)
+ * @return {object} Herajs receipt with the tx hash, throws if the tx failed
+ */
+export async function sendAergoTx(hera, aergoSigner, builtTx, wait) {
+    const hash = await aergoSigner.sendTransaction(builtTx);
+    return waitForAergoReceipt(hera, hash, wait);
+}
+
+
+/* Ethereum signers */
+/* ================ */
+
+/**
+ * Sign with an account of the web3 provider (metamask or web3.eth.accounts.wallet)
+ */
+export class Web3Signer {
+    /**
+     * @param {object} web3 Provider (metamask or other web3 compatible)
+     * @param {string} address 0x Address of the account (defaults to web3.eth.defaultAccount)
+     */
+    constructor(web3, address) {
+        this.web3 = web3;
+        this.address = address;
+    }
+
+    async getAddress() {
+        if (this.address !== undefined) {
+            return this.address;
+        }
+        if (this.web3.eth.defaultAccount) {
+            return this.web3.eth.defaultAccount;
+        }
+        const accounts = await this.web3.eth.getAccounts();
+        return accounts[0];
+    }
+
+    async sendTransaction(tx) {
+        const from = await this.getAddress();
+        return this.web3.eth.sendTransaction(Object.assign({from}, tx));
+    }
+
+    /**
+     * Sign EIP-712 typed data with eth_signTypedData_v4 (used by permits)
+     * @param {object} typedData {types, primaryType, domain, message}
+     * @return {string} 0x Signature
+     */
+    async signTypedData(typedData) {
+        const from = await this.getAddress();
+        const provider = this.web3.currentProvider;
+        const params = [from, JSON.stringify(typedData)];
+        if (typeof provider.request === 'function') {
+            return provider.request({method: 'eth_signTypedData_v4', params});
+        }
+        return new Promise((resolve, reject) => {
+            provider.send({
+                jsonrpc: '2.0', id: Date.now(), method: 'eth_signTypedData_v4', params,
+            }, (err, response) => {
+                if (err || response.error) {
+                    reject(err || new Error(response.error.message));
+                } else {
+                    resolve(response.result);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Sign with a raw Ethereum private key, the provider only broadcasts
+ */
+export class EthKeySigner {
+    /**
+     * @param {object} web3 Provider (metamask or other web3 compatible)
+     * @param {string} privateKey 0x Private key
+     */
+    constructor(web3, privateKey) {
+        this.web3 = web3;
+        this.account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    }
+
+    async getAddress() {
+        return this.account.address;
+    }
+
+    async sendTransaction(tx) {
+        // web3 fills the nonce, gas price and chain id from the provider
+        const signed = await this.account.signTransaction(
+            Object.assign({from: this.account.address}, tx));
+        return this.web3.eth.sendSignedTransaction(signed.rawTransaction);
+    }
+}
+
+/**
+ * Send a web3 contract method call with a signer, or with the default
+ * account of the provider when no signer is given
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} method web3js contract method (contract.methods.x(...args))
+ * @param {string} to 0x Address of the contract
+ * @param {number|object} gasLimit Gas limit or tx options (see gas), estimated if not given
+ * @param {object} ethSigner EthSigner (optional)
+ * @return {object} web3js receipt
+ */
+export async function sendEthMethod(web3, method, to, gasLimit, ethSigner) {
+    const from = await getEthSender(web3, ethSigner);
+    const txOptions = await getEthTxOptions(web3, method, from, gasLimit);
+    if (ethSigner === undefined || ethSigner === null) {
+        return method.send(Object.assign({from}, txOptions));
+    }
+    return ethSigner.sendTransaction(
+        Object.assign({to, data: method.encodeABI()}, txOptions));
+}
+
+/**
+ * Address sending the eth txs : the signer address or the default account
+ * @param {object} web3 Provider (metamask or other web3 compatible)
+ * @param {object} ethSigner EthSigner (optional)
+ * @return {string} 0x Address
+ */
+export async function getEthSender(web3, ethSigner) {
+    if (ethSigner === undefined || ethSigner === null) {
+        return web3.eth.defaultAccount;
+    }
+    return ethSigner.getAddress();
+}
@@ -0,0 +1,410 @@
+import { keccak256 } from 'web3-utils';
+
+/**
+ * Storage layout of each version of the bridge contracts.
+ * eth : storage slot of the EthMerkleBridge state variables
+ * aergo : state variable key prefixes of the Aergo bridge lua contract
+ * When a contract upgrade moves a variable, add a new version here.
+ */
+const layouts = {
+    // ERC20 and ARC1 transfers
+    v1: {
+        eth: {
+            anchorRoot: 0,
+            anchorHeight: 1,
+            tAnchor: 2,
+            tFinal: 3,
+            locks: 5,
+            unlocks: 6,
+            burns: 7,
+            mints: 8,
+        },
+        aergo: {
+            anchorRoot: '_sv__anchorRoot',
+            anchorHeight: '_sv__anchorHeight',
+            tAnchor: '_sv__tAnchor',
+            tFinal: '_sv__tFinal',
+            unfreezeFee: '_sv__unfreezeFee',
+            locks: '_sv__locks-',
+            unlocks: '_sv__unlocks-',
+            mints: '_sv__mints-',
+            burns: '_sv__burns-',
+            unfreezes: '_sv__unfreezes-',
+            mintedTokens: '_sv__mintedTokens-',
+            bridgeTokens: '_sv__bridgeTokens-',
+        },
+    },
+    // v1 + ERC721 and ARC2 transfers
+    v2: {
+        eth: {
+            anchorRoot: 0,
+            anchorHeight: 1,
+            tAnchor: 2,
+            tFinal: 3,
+            locks: 5,
+            unlocks: 6,
+            burns: 7,
+            mints: 8,
+            locksERC721: 9,
+            unlocksERC721: 10,
+        },
+        aergo: {
+            anchorRoot: '_sv__anchorRoot',
+            anchorHeight: '_sv__anchorHeight',
+            tAnchor: '_sv__tAnchor',
+            tFinal: '_sv__tFinal',
+            unfreezeFee: '_sv__unfreezeFee',
+            locks: '_sv__locks-',
+            unlocks: '_sv__unlocks-',
+            mints: '_sv__mints-',
+            burns: '_sv__burns-',
+            unfreezes: '_sv__unfreezes-',
+            mintedTokens: '_sv__mintedTokens-',
+            bridgeTokens: '_sv__bridgeTokens-',
+            mintsARC2: '_sv__mintsARC2-',
+            burnsARC2: '_sv__burnsARC2-',
+            bridgeTokensARC2: '_sv__bridgeTokensARC2-',
+        },
+    },
+};
+
+/**
+ * State variable key prefixes of the Aergo <-> Aergo bridge lua contract
+ */
+export const aergoToAergoLayout = {
+    anchorRoot: '_sv__anchorRoot',
+    anchorHeight: '_sv__anchorHeight',
+    tAnchor: '_sv__tAnchor',
+    tFinal: '_sv__tFinal',
+    locks: '_sv__locks-',
+    unlocks: '_sv__unlocks-',
+    mints: '_sv__mints-',
+    burns: '_sv__burns-',
+    freezes: '_sv__freezes-',
+    unfreezes: '_sv__unfreezes-',
+};
+
+export const latestVersion = 'v2';
+
+/**
+ * Get the storage layout of a bridge contract version
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {object} Layout with eth slots and aergo prefixes
+ */
+export function getLayout(version=latestVersion) {
+    if (!Object.prototype.hasOwnProperty.call(layouts, version)) {
+        throw new Error("Unknown bridge storage layout version " + version);
+    }
+    return layouts[version];
+}
+
+/**
+ * List the known layout versions
+ * @return {Array} Layout versions
+ */
+export function listVersions() {
+    return Object.keys(layouts);
+}
+
+function ethSlot(layout, name) {
+    const slot = layout.eth[name];
+    if (slot === undefined) {
+        throw new Error("Variable " + name + " is not in this bridge storage layout");
+    }
+    return slot;
+}
+
+function aergoPrefix(layout, name) {
+    const prefix = layout.aergo[name];
+    if (prefix === undefined) {
+        throw new Error("Variable " + name + " is not in this bridge storage layout");
+    }
+    return prefix;
+}
+
+/**
+ * Storage key of a mapping entry in the Ethereum bridge contract
+ * @param {number} slot Storage slot of the mapping
+ * @param {Buffer} accountRef Key of the mapping entry
+ * @return {string} 0x Hash of accountRef and the 32 bytes slot
+ */
+export function ethMappingKey(slot, accountRef) {
+    const position = Buffer.alloc(32);
+    position.writeUInt32BE(slot, 28);
+    return keccak256(Buffer.concat([accountRef, position]));
+}
+
+function ethRef(ethAddr) {
+    return Buffer.from(ethAddr.slice(2).toLowerCase(), 'hex');
+}
+
+// receiver of a deposit to Aergo and the 0x address of the ethereum token
+function aergoReceiverRef(receiverAergoAddr, ethTokenAddr) {
+    return Buffer.concat([
+        Buffer.from(receiverAergoAddr, 'utf-8'),
+        ethRef(ethTokenAddr)
+    ]);
+}
+
+// receiver of a deposit to Aergo and the aergo address of the origin token
+function aergoReceiverArc1Ref(receiverAergoAddr, arc1Addr) {
+    return Buffer.from(receiverAergoAddr.concat(arc1Addr), 'utf-8');
+}
+
+// receiver of a deposit to Ethereum and the 0x address of the ethereum token
+function ethReceiverRef(receiverEthAddr, ethTokenAddr) {
+    return Buffer.concat([ethRef(receiverEthAddr), ethRef(ethTokenAddr)]);
+}
+
+// receiver of a deposit to Ethereum and the aergo address of the origin token
+function ethReceiverArc1Ref(receiverEthAddr, arc1Addr) {
+    return Buffer.concat([
+        ethRef(receiverEthAddr),
+        Buffer.from(arc1Addr, 'utf-8')
+    ]);
+}
+
+function aergoReceiverERC721Ref(receiverAergoAddr, tokenId, erc721Addr) {
+    return Buffer.concat([
+        Buffer.from(receiverAergoAddr, 'utf-8'),
+        Buffer.from(tokenId, 'utf-8'),
+        ethRef(erc721Addr)
+    ]);
+}
+
+function ethReceiverERC721Ref(receiverEthAddr, tokenId, erc721Addr) {
+    return Buffer.concat([
+        ethRef(receiverEthAddr),
+        Buffer.from(tokenId, 'utf-8'),
+        ethRef(erc721Addr)
+    ]);
+}
+
+
+/* Ethereum bridge storage keys */
+/* ============================ */
+
+/**
+ * Storage key of the total amount of an ERC20 locked for an Aergo receiver
+ * @param {string} receiverAergoAddr Aergo address of receiver
+ * @param {string} erc20Addr 0x Address of erc20 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} 0x Storage key
+ */
+export function ethLocksKey(receiverAergoAddr, erc20Addr, version=latestVersion) {
+    return ethMappingKey(
+        ethSlot(getLayout(version), 'locks'),
+        aergoReceiverRef(receiverAergoAddr, erc20Addr));
+}
+
+/**
+ * Storage key of the total amount of an ERC20 unlocked to an Ethereum receiver
+ * @param {string} receiverEthAddr 0x Address of receiver
+ * @param {string} erc20Addr 0x Address of erc20 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} 0x Storage key
+ */
+export function ethUnlocksKey(receiverEthAddr, erc20Addr, version=latestVersion) {
+    return ethMappingKey(
+        ethSlot(getLayout(version), 'unlocks'),
+        ethReceiverRef(receiverEthAddr, erc20Addr));
+}
+
+/**
+ * Storage key of the total amount of a pegged ARC1 burnt for an Aergo receiver
+ * @param {string} receiverAergoAddr Aergo address of receiver
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} 0x Storage key
+ */
+export function ethBurnsKey(receiverAergoAddr, arc1Addr, version=latestVersion) {
+    return ethMappingKey(
+        ethSlot(getLayout(version), 'burns'),
+        aergoReceiverArc1Ref(receiverAergoAddr, arc1Addr));
+}
+
+/**
+ * Storage key of the total amount of a pegged ARC1 minted to an Ethereum receiver
+ * @param {string} receiverEthAddr 0x Address of receiver
+ * @param {string} arc1Addr Aergo address of the origin ARC1 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} 0x Storage key
+ */
+export function ethMintsKey(receiverEthAddr, arc1Addr, version=latestVersion) {
+    return ethMappingKey(
+        ethSlot(getLayout(version), 'mints'),
+        ethReceiverArc1Ref(receiverEthAddr, arc1Addr));
+}
+
+/**
+ * Storage key of the lock block number of an ERC721 token locked for an Aergo receiver
+ * @param {string} receiverAergoAddr Aergo address of receiver
+ * @param {string} tokenId ERC721 tokenId
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} 0x Storage key
+ */
+export function ethLocksERC721Key(
+    receiverAergoAddr, tokenId, erc721Addr, version=latestVersion
+) {
+    return ethMappingKey(
+        ethSlot(getLayout(version), 'locksERC721'),
+        aergoReceiverERC721Ref(receiverAergoAddr, tokenId, erc721Addr));
+}
+
+/**
+ * Storage key of the burn block number of an ERC721 token unlocked to an Ethereum receiver
+ * @param {string} receiverEthAddr 0x Address of receiver
+ * @param {string} tokenId ERC721 tokenId
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} 0x Storage key
+ */
+export function ethUnlocksERC721Key(
+    receiverEthAddr, tokenId, erc721Addr, version=latestVersion
+) {
+    return ethMappingKey(
+        ethSlot(getLayout(version), 'unlocksERC721'),
+        ethReceiverERC721Ref(receiverEthAddr, tokenId, erc721Addr));
+}
+
+
+/* Aergo bridge storage keys */
+/* ========================= */
+
+/**
+ * Storage key of the total amount of an ERC20 minted to an Aergo receiver
+ * @param {string} receiverAergoAddr Aergo address of receiver
+ * @param {string} erc20Addr 0x Address of erc20 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {Buffer} Storage key bytes (before hashing)
+ */
+export function aergoMintsKey(receiverAergoAddr, erc20Addr, version=latestVersion) {
+    return Buffer.concat([
+        Buffer.from(aergoPrefix(getLayout(version), 'mints'), 'utf-8'),
+        aergoReceiverRef(receiverAergoAddr, erc20Addr)
+    ]);
+}
+
+/**
+ * Storage key of the total amount of aergo unfreezed to an Aergo receiver
+ * @param {string} receiverAergoAddr Aergo address of receiver
+ * @param {string} aergoErc20Addr 0x Address of aergo erc20
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {Buffer} Storage key bytes (before hashing)
+ */
+export function aergoUnfreezesKey(receiverAergoAddr, aergoErc20Addr, version=latestVersion) {
+    return Buffer.concat([
+        Buffer.from(aergoPrefix(getLayout(version), 'unfreezes'), 'utf-8'),
+        aergoReceiverRef(receiverAergoAddr, aergoErc20Addr)
+    ]);
+}
+
+/**
+ * Storage key of the total amount of an ARC1 unlocked to an Aergo receiver
+ * @param {string} receiverAergoAddr Aergo address of receiver
+ * @param {string} arc1Addr Aergo address of the ARC1 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {Buffer} Storage key bytes (before hashing)
+ */
+export function aergoUnlocksKey(receiverAergoAddr, arc1Addr, version=latestVersion) {
+    return Buffer.concat([
+        Buffer.from(aergoPrefix(getLayout(version), 'unlocks'), 'utf-8'),
+        aergoReceiverArc1Ref(receiverAergoAddr, arc1Addr)
+    ]);
+}
+
+/**
+ * Storage key of the total amount of an ARC1 locked for an Ethereum receiver
+ * @param {string} receiverEthAddr 0x Address of receiver
+ * @param {string} arc1Addr Aergo address of the ARC1 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {Buffer} Storage key bytes (before hashing)
+ */
+export function aergoLocksKey(receiverEthAddr, arc1Addr, version=latestVersion) {
+    return Buffer.concat([
+        Buffer.from(aergoPrefix(getLayout(version), 'locks'), 'utf-8'),
+        ethReceiverArc1Ref(receiverEthAddr, arc1Addr)
+    ]);
+}
+
+/**
+ * Storage key of the total amount of a minted token (or aergo) burnt (or freezed)
+ * for an Ethereum receiver
+ * @param {string} receiverEthAddr 0x Address of receiver
+ * @param {string} erc20Addr 0x Address of the origin erc20 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {Buffer} Storage key bytes (before hashing)
+ */
+export function aergoBurnsKey(receiverEthAddr, erc20Addr, version=latestVersion) {
+    return Buffer.concat([
+        Buffer.from(aergoPrefix(getLayout(version), 'burns'), 'utf-8'),
+        ethReceiverRef(receiverEthAddr, erc20Addr)
+    ]);
+}
+
+/**
+ * Storage key of the lock block number of an ERC721 token minted as ARC2 to an Aergo receiver
+ * @param {string} receiverAergoAddr Aergo address of receiver
+ * @param {string} tokenId ERC721 tokenId
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {Buffer} Storage key bytes (before hashing)
+ */
+export function aergoMintsARC2Key(
+    receiverAergoAddr, tokenId, erc721Addr, version=latestVersion
+) {
+    return Buffer.concat([
+        Buffer.from(aergoPrefix(getLayout(version), 'mintsARC2'), 'utf-8'),
+        aergoReceiverERC721Ref(receiverAergoAddr, tokenId, erc721Addr)
+    ]);
+}
+
+/**
+ * Storage key of the burn block number of an ARC2 token burnt for an Ethereum receiver
+ * @param {string} receiverEthAddr 0x Address of receiver
+ * @param {string} tokenId ERC721 tokenId
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {Buffer} Storage key bytes (before hashing)
+ */
+export function aergoBurnsARC2Key(
+    receiverEthAddr, tokenId, erc721Addr, version=latestVersion
+) {
+    return Buffer.concat([
+        Buffer.from(aergoPrefix(getLayout(version), 'burnsARC2'), 'utf-8'),
+        ethReceiverERC721Ref(receiverEthAddr, tokenId, erc721Addr)
+    ]);
+}
+
+/**
+ * Storage key of the origin of a token minted by the Aergo bridge
+ * @param {string} mintedAddr Aergo address of the minted token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} Storage key
+ */
+export function aergoMintedTokensKey(mintedAddr, version=latestVersion) {
+    return aergoPrefix(getLayout(version), 'mintedTokens').concat(mintedAddr);
+}
+
+/**
+ * Storage key of the token minted by the Aergo bridge for an ERC20 origin
+ * @param {string} erc20Addr 0x Address of erc20 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} Storage key
+ */
+export function aergoBridgeTokensKey(erc20Addr, version=latestVersion) {
+    return aergoPrefix(getLayout(version), 'bridgeTokens').concat(
+        erc20Addr.slice(2).toLowerCase());
+}
+
+/**
+ * Storage key of the ARC2 contract minted for an ERC721 origin
+ * @param {string} erc721Addr 0x Address of erc721 token
+ * @param {string} version Layout version (defaults to the latest)
+ * @return {string} Storage key
+ */
+export function aergoBridgeTokensARC2Key(erc721Addr, version=latestVersion) {
+    return aergoPrefix(getLayout(version), 'bridgeTokensARC2').concat(
+        erc721Addr.slice(2).toLowerCase());
+}
@@ -0,0 +1,199 @@
+import { Contract } from '@herajs/client';
+import { checkAergoAddress, checkEthereumAddress } from './utils';
+import { normalizeAddress } from './history';
+import { isStateNotFound } from './errors';
+import { aergoMintedTokensKey, aergoBridgeTokensKey } from './storageLayout';
+
+/**
+ * Pairs of origin tokens and the pegged tokens minted for them by the bridges :
+ * ERC20 origins have a pegged ARC1 minted by the Aergo bridge, and ARC1 origins
+ * have a pegged ERC20 minted by the Ethereum bridge.
+ * A pair is {originChain, origin, peggedChain, pegged}, Ethereum addresses are
+ * lower case 0x addresses.
+ * Registered pairs never change, so they are cached once found.
+ */
+
+const zeroAddress = '0x0000000000000000000000000000000000000000';
+
+function isEthereumAddress(addr) {
+    return /^0x[0-9a-fA-F]{40}$/.test(addr);
+}
+
+export class TokenRegistry {
+    /**
+     * @param {object} config {web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr}
+     *   (bridge.config of createBridge)
+     */
+    constructor({web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr}) {
+        checkEthereumAddress(bridgeEthAddr);
+        checkAergoAddress(bridgeAergoAddr);
+        this.web3 = web3;
+        this.hera = hera;
+        this.bridgeEthAddr = bridgeEthAddr;
+        this.bridgeEthAbi = bridgeEthAbi;
+        this.bridgeAergoAddr = bridgeAergoAddr;
+        // pairs by origin and by pegged token address
+        this.byOrigin = new Map();
+        this.byPegged = new Map();
+    }
+
+    cache(originChain, origin, peggedChain, pegged) {
+        const pair = {
+            originChain,
+            origin: normalizeAddress(origin),
+            peggedChain,
+            pegged: normalizeAddress(pegged),
+        };
+        this.byOrigin.set(pair.origin, pair);
+        this.byPegged.set(pair.pegged, pair);
+        return pair;
+    }
+
+    ethBridge() {
+        return new this.web3.eth.Contract(this.bridgeEthAbi, this.bridgeEthAddr);
+    }
+
+    async queryAergoBridge(key) {
+        const aergoBridge = Contract.atAddress(this.bridgeAergoAddr);
+        try {
+            const value = await this.hera.queryContractState(aergoBridge.queryState(key));
+            return value === undefined || value === '' ? null : value;
+        } catch (err) {
+            if (isStateNotFound(err)) {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Get the ARC1 minted on Aergo for an ERC20 (to burn it with aergoToEth.buildBurnTx)
+     * @param {string} erc20Addr 0x Address of the origin erc20
+     * @return {string} Aergo address of the pegged ARC1, null if never minted
+     */
+    async getAergoPegged(erc20Addr) {
+        checkEthereumAddress(erc20Addr);
+        const cached = this.byOrigin.get(normalizeAddress(erc20Addr));
+        if (cached !== undefined) {
+            return cached.pegged;
+        }
+        const pegged = await this.queryAergoBridge(aergoBridgeTokensKey(erc20Addr));
+        if (pegged === null) {
+            return null;
+        }
+        return this.cache('ethereum', erc20Addr, 'aergo', pegged).pegged;
+    }
+
+    /**
+     * Get the ERC20 origin of an ARC1 minted by the Aergo bridge
+     * @param {string} mintedArc1Addr Aergo address of the pegged ARC1
+     * @return {string} 0x Address of the origin erc20, null if not minted by the bridge
+     */
+    async getEthOrigin(mintedArc1Addr) {
+        checkAergoAddress(mintedArc1Addr);
+        const cached = this.byPegged.get(mintedArc1Addr);
+        if (cached !== undefined) {
+            return cached.origin;
+        }
+        const origin = await this.queryAergoBridge(aergoMintedTokensKey(mintedArc1Addr));
+        if (origin === null) {
+            return null;
+        }
+        return this.cache('ethereum', origin, 'aergo', mintedArc1Addr).origin;
+    }
+
+    /**
+     * Get the ERC20 minted on Ethereum for an ARC1 (to burn it with ethToAergo.burn)
+     * @param {string} arc1Addr Aergo address of the origin ARC1
+     * @return {string} 0x Address of the pegged erc20, null if never minted
+     */
+    async getEthPegged(arc1Addr) {
+        checkAergoAddress(arc1Addr);
+        const cached = this.byOrigin.get(arc1Addr);
+        if (cached !== undefined) {
+            return cached.pegged;
+        }
+        const pegged = await this.ethBridge().methods._bridgeTokens(arc1Addr).call();
+        if (!pegged || normalizeAddress(pegged) === zeroAddress) {
+            return null;
+        }
+        return this.cache('aergo', arc1Addr, 'ethereum', pegged).pegged;
+    }
+
+    /**
+     * Get the ARC1 origin of an ERC20 minted by the Ethereum bridge
+     * @param {string} mintedErc20Addr 0x Address of the pegged erc20
+     * @return {string} Aergo address of the origin ARC1, null if not minted by the bridge
+     */
+    async getAergoOrigin(mintedErc20Addr) {
+        checkEthereumAddress(mintedErc20Addr);
+        const cached = this.byPegged.get(normalizeAddress(mintedErc20Addr));
+        if (cached !== undefined) {
+            return cached.origin;
+        }
+        const origin = await this.ethBridge().methods._mintedTokens(mintedErc20Addr).call();
+        if (!origin) {
+            return null;
+        }
+        return this.cache('aergo', origin, 'ethereum', mintedErc20Addr).origin;
+    }
+
+    /**
+     * Find the pair of a token, given its origin or pegged address on either chain
+     * @param {string} token 0x or Aergo address of a token
+     * @return {object} {originChain, origin, peggedChain, pegged}, null if the token isn't bridged
+     */
+    async resolve(token) {
+        const key = normalizeAddress(token);
+        const cached = this.byOrigin.get(key) || this.byPegged.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+        if (isEthereumAddress(token)) {
+            if (await this.getAergoOrigin(token) === null
+                && await this.getAergoPegged(token) === null) {
+                return null;
+            }
+        } else if (await this.getEthOrigin(token) === null
+            && await this.getEthPegged(token) === null) {
+            return null;
+        }
+        return this.byOrigin.get(key) || this.byPegged.get(key);
+    }
+
+    /**
+     * List every registered pair from the token creation events of both bridges
+     * @param {object} options {fromBlock, toBlock} Ethereum blocks of the
+     *   newMintedERC20 events, the Aergo mint events are all queried
+     * @return {Array} Pairs {originChain, origin, peggedChain, pegged}
+     */
+    async listBridgedTokens({fromBlock, toBlock}={}) {
+        const abiItem = this.bridgeEthAbi.find(
+            item => item.type === 'event' && item.name === 'newMintedERC20');
+        const logs = await this.web3.eth.getPastLogs({
+            address: this.bridgeEthAddr,
+            fromBlock: fromBlock || 0,
+            toBlock: toBlock || 'latest',
+            topics: [this.web3.eth.abi.encodeEventSignature(abiItem)],
+        });
+        const pairs = new Map();
+        // the origin is indexed as a hash : read it from the bridge
+        for (const log of logs) {
+            const pegged = '0x'.concat(log.topics[2].slice(-40).toLowerCase());
+            await this.getAergoOrigin(pegged);
+            pairs.set(pegged, this.byPegged.get(pegged));
+        }
+        // the aergo bridge mint events give the minted ARC1
+        const mintEvents = await this.hera.getEvents(
+            {address: this.bridgeAergoAddr, eventName: 'mint'});
+        for (const mintEvent of mintEvents) {
+            const pegged = mintEvent.args[3];
+            if (pairs.has(pegged)) {
+                continue;
+            }
+            await this.getEthOrigin(pegged);
+            pairs.set(pegged, this.byPegged.get(pegged));
+        }
+        return Array.from(pairs.values()).filter(pair => pair !== undefined);
+    }
+}
@@ -0,0 +1,322 @@
+import { BigNumber } from "bignumber.js";
+import { MemoryStorage } from './transferStorage';
+import { NftTransferState } from './utils';
+
+/**
+ * Steps of a transfer :
+ * created -> deposited -> withdrawable -> withdrawing -> completed
+ * deposited : deposit tx sent, waiting for finality and a new anchor
+ * withdrawable : the deposit is anchored, the withdraw proof can be built
+ * withdrawing : withdraw tx sent, waiting for its receipt
+ * failed : the deposit tx failed, or the withdraw tx failed (the withdraw can
+ * be tried again)
+ */
+export const TransferStatus = Object.freeze({
+    created: 'created',
+    deposited: 'deposited',
+    withdrawable: 'withdrawable',
+    withdrawing: 'withdrawing',
+    completed: 'completed',
+    failed: 'failed',
+});
+
+/**
+ * Bridge client methods used by each withdraw operation.
+ * balances : method returning [withdrawable, pending] of fungible tokens
+ * validate : method returning the status of a non fungible token transfer
+ * withdraw : method building (to Aergo) or sending (to Ethereum) the withdraw tx
+ * send : method sending the withdraw tx to Aergo with the aergoSigner of the bridge
+ */
+const transferTypes = {
+    ethToAergo: {
+        unfreeze: {balances: 'unfreezable', withdraw: 'buildUnfreezeTx', send: 'sendUnfreezeTx'},
+        mint: {balances: 'mintable', withdraw: 'buildMintTx', send: 'sendMintTx'},
+        unlock: {balances: 'unlockable', withdraw: 'buildUnlockTx', send: 'sendUnlockTx'},
+        mintARC2: {
+            validate: 'validateARC2Mintable',
+            withdraw: 'buildUnlockERC721Tx',
+            send: 'sendUnlockERC721Tx',
+        },
+    },
+    aergoToEth: {
+        mint: {balances: 'mintable', withdraw: 'mint'},
+        unlock: {balances: 'unlockable', withdraw: 'unlock'},
+        unlockERC721: {validate: 'validateERC721Unlockable', withdraw: 'unlockERC721'},
+    },
+};
+
+const fields = [
+    'direction', 'operation', 'receiver', 'token', 'amount', 'tokenId',
+    'status', 'depositTxHash', 'withdrawTxHash', 'error', 'createdAt', 'updatedAt'
+];
+
+// providers return the receipt status as a boolean or a hex string
+function isEthSuccess(receipt) {
+    return receipt.status === true || Number(receipt.status) === 1;
+}
+
+async function getEthReceipt(web3, txHash) {
+    const receipt = await web3.eth.getTransactionReceipt(txHash);
+    if (receipt === null) {
+        return null;
+    }
+    return {success: isEthSuccess(receipt), receipt};
+}
+
+async function getAergoReceipt(hera, txHash) {
+    let receipt;
+    try {
+        receipt = await hera.getTransactionReceipt(txHash);
+    } catch (err) {
+        // tx not mined yet
+        if (/not found/.test(err.message)) {
+            return null;
+        }
+        throw err;
+    }
+    return {success: receipt.status === 'SUCCESS', receipt};
+}
+
+/**
+ * Cross chain transfer tracking the deposit and withdraw steps.
+ * The transfer is saved in a storage adapter each time its status changes
+ * and can be resumed from its deposit tx hash.
+ * As the bridge records cumulative totals per receiver and token, the status
+ * of a fungible transfer reflects all the deposits of its receiver and token.
+ */
+export class Transfer {
+    /**
+     * @param {object} bridge Bridge client from createBridge()
+     * @param {object} params Transfer parameters
+     * @param {string} params.direction ethToAergo or aergoToEth
+     * @param {string} params.operation Withdraw operation (ethToAergo : unfreeze,
+     *   mint, unlock, mintARC2, aergoToEth : mint, unlock, unlockERC721)
+     * @param {string} params.receiver Address receiving the withdrawn tokens
+     * @param {string} params.token Address of the token given to the bridge client methods
+     * @param {string} params.amount Deposited amount (informative)
+     * @param {string} params.tokenId Token id of ERC721 and ARC2 transfers
+     * @param {object} storage Storage adapter (defaults to MemoryStorage)
+     */
+    constructor(bridge, params, storage=new MemoryStorage()) {
+        const directionTypes = transferTypes[params.direction];
+        if (directionTypes === undefined
+            || !Object.prototype.hasOwnProperty.call(directionTypes, params.operation)) {
+            throw new Error(
+                "Unknown transfer operation " + params.direction + " " + params.operation);
+        }
+        this.bridge = bridge;
+        this.storage = storage;
+        this.type = directionTypes[params.operation];
+        for (const field of fields) {
+            this[field] = params[field] === undefined ? null : params[field];
+        }
+        if (this.status === null) {
+            this.status = TransferStatus.created;
+        }
+        if (this.createdAt === null) {
+            this.createdAt = Date.now();
+        }
+    }
+
+    /**
+     * Id of the transfer in storage (the deposit tx hash)
+     */
+    get id() {
+        return this.depositTxHash;
+    }
+
+    toJSON() {
+        const json = {};
+        for (const field of fields) {
+            json[field] = this[field];
+        }
+        return json;
+    }
+
+    async save() {
+        if (this.id === null) {
+            throw new Error("Transfer can be saved only after the deposit tx hash is recorded");
+        }
+        this.updatedAt = Date.now();
+        await this.storage.set(this.id, JSON.stringify(this));
+    }
+
+    async setStatus(status, error=null) {
+        this.status = status;
+        this.error = error;
+        await this.save();
+        return status;
+    }
+
+    /**
+     * Record the hash of the deposit tx (lock, burn, freeze, lockERC721, burnARC2)
+     * @param {string} txHash Hash of the deposit tx
+     * @return {string} Transfer status
+     */
+    async recordDeposit(txHash) {
+        this.depositTxHash = txHash;
+        return this.setStatus(TransferStatus.deposited);
+    }
+
+    /**
+     * Record the hash of the withdraw tx
+     * @param {string} txHash Hash of the withdraw tx
+     * @return {string} Transfer status
+     */
+    async recordWithdraw(txHash) {
+        this.withdrawTxHash = txHash;
+        return this.setStatus(TransferStatus.withdrawing);
+    }
+
+    depositReceipt() {
+        const { web3, hera } = this.bridge.config;
+        return this.direction === 'ethToAergo'
+            ? getEthReceipt(web3, this.depositTxHash)
+            : getAergoReceipt(hera, this.depositTxHash);
+    }
+
+    withdrawReceipt() {
+        const { web3, hera } = this.bridge.config;
+        return this.direction === 'ethToAergo'
+            ? getAergoReceipt(hera, this.withdrawTxHash)
+            : getEthReceipt(web3, this.withdrawTxHash);
+    }
+
+    // status of an included deposit from the bridge balances
+    async depositStatus() {
+        const methods = this.bridge[this.direction];
+        const options = {receiver: this.receiver, token: this.token, tokenId: this.tokenId};
+        if (this.type.validate !== undefined) {
+            const { state } = await methods[this.type.validate](options);
+            if (state === NftTransferState.alreadyMinted) {
+                return TransferStatus.completed;
+            }
+            if (state === NftTransferState.mintable) {
+                return TransferStatus.withdrawable;
+            }
+            return TransferStatus.deposited;
+        }
+        const [withdrawable, pending] = await methods[this.type.balances](options);
+        if (new BigNumber(withdrawable).gt(0)) {
+            return TransferStatus.withdrawable;
+        }
+        if (new BigNumber(pending).gt(0)) {
+            return TransferStatus.deposited;
+        }
+        // anchored deposits equal the withdrawn total : already withdrawn
+        return TransferStatus.completed;
+    }
+
+    /**
+     * Update the transfer status from the chains and save it.
+     * Steps that were already done (by this transfer or another one of the
+     * same receiver and token) are detected from the bridge totals.
+     * @return {string} Transfer status
+     */
+    async sync() {
+        if (this.status === TransferStatus.withdrawing) {
+            const result = await this.withdrawReceipt();
+            if (result === null) {
+                return this.status;
+            }
+            if (result.success) {
+                return this.setStatus(TransferStatus.completed);
+            }
+            return this.setStatus(TransferStatus.failed, "Withdraw tx failed");
+        }
+        // after a failed withdraw, the deposit can be withdrawn again
+        const withdrawFailed = this.status === TransferStatus.failed
+            && this.withdrawTxHash !== null;
+        if (this.status !== TransferStatus.deposited
+            && this.status !== TransferStatus.withdrawable && !withdrawFailed) {
+            return this.status;
+        }
+        const result = await this.depositReceipt();
+        if (result === null) {
+            return this.status;
+        }
+        if (!result.success) {
+            return this.setStatus(TransferStatus.failed, "Deposit tx failed");
+        }
+        const status = await this.depositStatus();
+        if (status !== this.status) {
+            return this.setStatus(status);
+        }
+        return status;
+    }
+
+    /**
+     * Withdraw the transfer.
+     * To Aergo : return the built tx to be signed and sent (with Aergo Connect),
+     * then record its hash with recordWithdraw(). If the bridge config has an
+     * aergoSigner, the tx is sent with it and recorded.
+     * To Ethereum : send the withdraw tx with web3 and record it.
+     * @param {object} options {txSender, gasLimit, retries, guard, wait} (retries,
+     *   guard and wait : see the bridge client withdraw methods)
+     * @return {object} Herajs tx object, herajs receipt or web3js receipt
+     */
+    async withdraw({txSender, gasLimit, retries, guard, wait}={}) {
+        if (await this.sync() !== TransferStatus.withdrawable) {
+            throw new Error("Transfer is not withdrawable, status : " + this.status);
+        }
+        const sendToAergo = this.direction === 'ethToAergo'
+            && this.bridge.config.aergoSigner !== undefined;
+        const method = sendToAergo ? this.type.send : this.type.withdraw;
+        const result = await this.bridge[this.direction][method]({
+            txSender,
+            receiver: this.receiver,
+            token: this.token,
+            tokenId: this.tokenId,
+            gasLimit,
+            retries,
+            guard,
+            wait,
+        });
+        if (sendToAergo) {
+            // failed txs are thrown by the send method
+            this.withdrawTxHash = result.hash;
+            await this.setStatus(TransferStatus.completed);
+        }
+        if (this.direction === 'aergoToEth') {
+            this.withdrawTxHash = result.transactionHash;
+            if (isEthSuccess(result)) {
+                await this.setStatus(TransferStatus.completed);
+            } else {
+                await this.setStatus(TransferStatus.failed, "Withdraw tx failed");
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Resume a saved transfer and update its status
+     * @param {object} bridge Bridge client from createBridge()
+     * @param {object} storage Storage adapter
+     * @param {string} depositTxHash Hash of the deposit tx
+     * @return {Transfer} Transfer
+     */
+    static async resume(bridge, storage, depositTxHash) {
+        const json = await storage.get(depositTxHash);
+        if (json === null) {
+            throw new Error("No saved transfer with deposit tx " + depositTxHash);
+        }
+        const transfer = new Transfer(bridge, JSON.parse(json), storage);
+        await transfer.sync();
+        return transfer;
+    }
+
+    /**
+     * Resume all the saved transfers (after a browser refresh or process restart)
+     * @param {object} bridge Bridge client from createBridge()
+     * @param {object} storage Storage adapter
+     * @return {Array} Transfers
+     */
+    static async resumeAll(bridge, storage) {
+        const ids = await storage.ids();
+        const transfers = [];
+        for (const id of ids) {
+            transfers.push(await Transfer.resume(bridge, storage, id));
+        }
+        return transfers;
+    }
+}
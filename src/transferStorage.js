@@ -0,0 +1,127 @@
+/**
+ * Storage adapters saving transfers as json strings.
+ * An adapter implements async get(id), set(id, json), remove(id) and ids().
+ */
+
+
+/**
+ * Keep transfers in memory (lost when the process exits)
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    async get(id) {
+        return this.items.has(id) ? this.items.get(id) : null;
+    }
+
+    async set(id, json) {
+        this.items.set(id, json);
+    }
+
+    async remove(id) {
+        this.items.delete(id);
+    }
+
+    async ids() {
+        return Array.from(this.items.keys());
+    }
+}
+
+/**
+ * Save transfers in a json file per transfer (nodejs only)
+ */
+export class FileStorage {
+    /**
+     * @param {string} dir Directory of the transfer files (created if missing)
+     */
+    constructor(dir) {
+        // required here so browser bundles don't need fs
+        this.fs = require('fs').promises;
+        this.path = require('path');
+        this.dir = dir;
+    }
+
+    file(id) {
+        return this.path.join(this.dir, id + '.json');
+    }
+
+    async get(id) {
+        try {
+            return await this.fs.readFile(this.file(id), 'utf-8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    async set(id, json) {
+        await this.fs.mkdir(this.dir, {recursive: true});
+        await this.fs.writeFile(this.file(id), json, 'utf-8');
+    }
+
+    async remove(id) {
+        try {
+            await this.fs.unlink(this.file(id));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+
+    async ids() {
+        let files;
+        try {
+            files = await this.fs.readdir(this.dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    }
+}
+
+/**
+ * Save transfers in the browser localStorage
+ */
+export class LocalStorage {
+    /**
+     * @param {object} storage Web Storage (defaults to window.localStorage)
+     * @param {string} prefix Prefix of the storage keys
+     */
+    constructor(storage, prefix='eth-merkle-bridge-transfer-') {
+        this.storage = storage || window.localStorage;
+        this.prefix = prefix;
+    }
+
+    async get(id) {
+        return this.storage.getItem(this.prefix + id);
+    }
+
+    async set(id, json) {
+        this.storage.setItem(this.prefix + id, json);
+    }
+
+    async remove(id) {
+        this.storage.removeItem(this.prefix + id);
+    }
+
+    async ids() {
+        const ids = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(this.prefix)) {
+                ids.push(key.slice(this.prefix.length));
+            }
+        }
+        return ids;
+    }
+}
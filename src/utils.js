@@ -1,31 +1,33 @@
 import bs58check from "bs58check";
 import { Contract } from '@herajs/client';
 import BigNumber from "bignumber.js";
+import { getLayout } from './storageLayout';
+import { InvalidAddressError, isStateNotFound } from './errors';
 
 export function checkEthereumAddress(addr) {
     if (addr.substring(0,2) !== "0x") {
-        throw new Error("Invalid Ethereum address");
+        throw new InvalidAddressError("Invalid Ethereum address");
     }
     if (addr.length !== 42) {
-        throw new Error("Invalid Ethereum address");
+        throw new InvalidAddressError("Invalid Ethereum address");
     }
     const match = addr.slice(2).match('^[a-fA-F0-9]*$')
     if (match === null) {
-        throw new Error("Invalid Ethereum address");
+        throw new InvalidAddressError("Invalid Ethereum address");
     }
 }
 
 export function checkAergoAddress(addr) {
     if (addr.substring(0,1) !== "A") {
-        throw new Error("Invalid Aergo address");
+        throw new InvalidAddressError("Invalid Aergo address");
     }
     if (addr.length !== 52) {
-        throw new Error("Invalid Aergo address");
+        throw new InvalidAddressError("Invalid Aergo address");
     }
     try {
         bs58check.decode(addr);
     } catch (error) {
-        throw new Error("Invalid Aergo address");
+        throw new InvalidAddressError("Invalid Aergo address");
     }
 }
 
@@ -48,9 +50,10 @@ export async function getEthAnchorStatus(
     bridgeAergoAddr
 ) {
     checkAergoAddress(bridgeAergoAddr);
+    const layout = getLayout().aergo;
     const aergoBridge = Contract.atAddress(bridgeAergoAddr);
     const query = aergoBridge.queryState(
-        ["_sv__anchorHeight", "_sv__tAnchor", "_sv__tFinal"]);
+        [layout.anchorHeight, layout.tAnchor, layout.tFinal]);
     const [lastAnchorHeight, tAnchor, tFinal] = await hera.queryContractState(query);
     const bestHeight = await web3.eth.getBlockNumber()
     return {
@@ -75,14 +78,15 @@ export async function getAergoAnchorStatus(
     bridgeEthAddr
 ) {
     checkEthereumAddress(bridgeEthAddr);
+    const layout = getLayout().eth;
     const lastAnchorHeightStorage = await web3.eth.getStorageAt(
-        bridgeEthAddr, 1, 'latest');
+        bridgeEthAddr, layout.anchorHeight, 'latest');
     const lastAnchorHeight = new BigNumber(lastAnchorHeightStorage).toNumber()
     const tAnchorStorage = await web3.eth.getStorageAt(
-        bridgeEthAddr, 2, 'latest');
+        bridgeEthAddr, layout.tAnchor, 'latest');
     const tAnchor = new BigNumber(tAnchorStorage).toNumber()
     const tFinalStorage = await web3.eth.getStorageAt(
-        bridgeEthAddr, 3, 'latest');
+        bridgeEthAddr, layout.tFinal, 'latest');
     const tFinal = new BigNumber(tFinalStorage).toNumber()
     const head = await hera.blockchain()
     const bestHeight = head.bestHeight
@@ -106,7 +110,79 @@ export async function getAergoUnfreezeFee(
 ) {
     checkAergoAddress(bridgeAergoAddr);
     const aergoBridge = Contract.atAddress(bridgeAergoAddr);
-    const query = aergoBridge.queryState(["_sv__unfreezeFee"]);
+    const query = aergoBridge.queryState([getLayout().aergo.unfreezeFee]);
     const unfreezeFeeBignum = await hera.queryContractState(query);
     return unfreezeFeeBignum._bignum;
-}
\ No newline at end of file
+}
+
+/**
+ * Query a number stored in the Aergo bridge state
+ * @param {object} hera Herajs client
+ * @param {string} bridgeAergoAddr Aergo address of bridge contract
+ * @param {Buffer|string} key State variable key
+ * @param {Buffer} root Blocks root hash of the queried state (latest if not given)
+ * @return {BigNumber} Stored number, null if the state doesn't exist
+ */
+export async function queryAergoNumber(hera, bridgeAergoAddr, key, root) {
+    const aergoBridge = Contract.atAddress(bridgeAergoAddr);
+    const query = root === undefined
+        ? aergoBridge.queryState(key) : aergoBridge.queryState(key, false, root);
+    let value;
+    try {
+        value = await hera.queryContractState(query);
+    } catch (err) {
+        if (isStateNotFound(err)) {
+            return null;
+        }
+        throw err;
+    }
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return new BigNumber(value._bignum === undefined ? value : value._bignum);
+}
+
+// states of a non fungible token transfer
+export const NftTransferState = {
+    notLocked: 'not_locked',
+    pendingAnchor: 'pending_anchor',
+    mintable: 'mintable',
+    alreadyMinted: 'already_minted',
+};
+
+/**
+ * Status of a non fungible token transfer
+ * @param {BigNumber} blockNum Block number of the lock/burn (0 if not deposited)
+ * @param {BigNumber} anchoredBlockNum Block number of the lock/burn in the anchored state
+ * @param {BigNumber} withdrawnBlockNum Block number of the deposit already withdrawn
+ * @param {object} anchorStatus {lastAnchorHeight, tAnchor, tFinal, bestHeight} of the deposit chain
+ * @return {object} {state, message, blockNum, anchorHeight, blocksRemaining}
+ *   state : not_locked, pending_anchor, mintable or already_minted,
+ *   blocksRemaining : blocks before an anchor covers the deposit (pending_anchor)
+ */
+export function nftTransferStatus(blockNum, anchoredBlockNum, withdrawnBlockNum, anchorStatus) {
+    const anchorHeight = Number(anchorStatus.lastAnchorHeight);
+    const status = {
+        state: NftTransferState.mintable,
+        message: 'The token can be withdrawn',
+        blockNum: blockNum.toNumber(),
+        anchorHeight: anchorHeight,
+        blocksRemaining: 0,
+    };
+    if (blockNum.eq(0)) {
+        status.state = NftTransferState.notLocked;
+        status.message = 'The token is not deposited for this receiver';
+    } else if (withdrawnBlockNum !== null && blockNum.eq(withdrawnBlockNum)) {
+        status.state = NftTransferState.alreadyMinted;
+        status.message = 'The token is already withdrawn';
+    } else if (anchoredBlockNum === null || !blockNum.eq(anchoredBlockNum)) {
+        // the deposit is anchored once a final height after it is anchored
+        status.state = NftTransferState.pendingAnchor;
+        status.message = 'The deposit is waiting for a new anchor';
+        const nextAnchorHeight = Math.max(
+            blockNum.toNumber(), anchorHeight + Number(anchorStatus.tAnchor));
+        status.blocksRemaining = Math.max(0,
+            nextAnchorHeight + Number(anchorStatus.tFinal) - Number(anchorStatus.bestHeight));
+    }
+    return status;
+}
@@ -0,0 +1,108 @@
+import {
+    verifyAergoProof, queryContractStateProof, stateHash, hash, bitIsSet
+} from '../src/aergoMerkleProof';
+import { Amount, Contract } from '@herajs/client';
+import bs58check from "bs58check";
+import { proofHera } from './fixtures/aergoProof';
+
+var assert = require('assert').strict;
+
+const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
+
+function leaf(trieKey, value, height) {
+    return hash(trieKey, hash(Buffer.from(value)), Buffer.from([256 - height]));
+}
+
+// find a storage key whose trie key has the wanted first bits
+function storageKeyWithBits(prefix, bits) {
+    for (let i = 0; ; i++) {
+        const storageKey = prefix + i;
+        const trieKey = hash(Buffer.from(storageKey));
+        if (bits.every((bit, index) => bitIsSet(trieKey, index) === bit)) {
+            return [storageKey, trieKey];
+        }
+    }
+}
+
+// contract storage with 2 vars sharing the first key bit :
+// the var proof contains a default node at the root level
+function buildProof(valueRaw, storedRaw=JSON.stringify("1000")) {
+    const [storageKey, trieKey] = storageKeyWithBits("_sv__burns-", [false, false]);
+    const [, otherTrieKey] = storageKeyWithBits("_sv__burns-", [false, true]);
+    const varLeaf = leaf(trieKey, storedRaw, 2);
+    const otherLeaf = leaf(otherTrieKey, JSON.stringify("5"), 2);
+    const storageRoot = hash(hash(varLeaf, otherLeaf), Buffer.from([0]));
+
+    const state = {
+        nonce: 1,
+        balance: new Amount("0 aer"),
+        codehash: hash(Buffer.from("code")).toString('base64'),
+        storageroot: storageRoot.toString('base64'),
+        sqlrecoverypoint: 0
+    };
+    // only one account in the state trie
+    const accountKey = hash(bs58check.decode(bridgeAergoAddr).slice(1));
+    const root = hash(accountKey, stateHash(state), Buffer.from([0]));
+    const proof = {
+        contractProof: {
+            state: state,
+            inclusion: true,
+            bitmap: new Uint8Array(0),
+            height: 0,
+            auditPath: []
+        },
+        varProofs: [{
+            inclusion: true,
+            value: JSON.parse(valueRaw),
+            valueRaw: Buffer.from(valueRaw),
+            bitmap: Uint8Array.from([0x80]),
+            height: 2,
+            auditPath: [otherLeaf]
+        }]
+    };
+    return { proof, root, storageKey };
+}
+
+describe('Test aergo merkle proof verification', function() {
+    it('Should verify a valid compressed proof', function() {
+        const { proof, root, storageKey } = buildProof(JSON.stringify("1000"));
+        assert.deepStrictEqual(
+            verifyAergoProof(proof, bridgeAergoAddr, [storageKey], root, true),
+            proof);
+    });
+    it('Should reject a var value not matching the proof', function() {
+        const { proof, root, storageKey } = buildProof(JSON.stringify("1001"));
+        assert.throws(
+            () => verifyAergoProof(proof, bridgeAergoAddr, [storageKey], root, true),
+            /variable not in contract storage root/);
+    });
+    it('Should reject a contract state not in the blocks root', function() {
+        const { proof, storageKey } = buildProof(JSON.stringify("1000"));
+        assert.throws(
+            () => verifyAergoProof(
+                proof, bridgeAergoAddr, [storageKey], Buffer.alloc(32), true),
+            /contract state not in blocks root/);
+    });
+    it('Should reject a proof of exclusion', function() {
+        const { proof, root, storageKey } = buildProof(JSON.stringify("1000"));
+        proof.varProofs[0].inclusion = false;
+        assert.throws(
+            () => verifyAergoProof(proof, bridgeAergoAddr, [storageKey], root, true),
+            /state not included/);
+    });
+    it('Should hash the raw value bytes stored by the contract', async function() {
+        // the lua json encoder writes big numbers in exponent notation,
+        // JSON.stringify of the parsed value doesn't give back the stored bytes
+        const { proof, root, storageKey } = buildProof("1e+20", "1e+20");
+        assert.equal(JSON.stringify(proof.varProofs[0].value), "100000000000000000000");
+        const hera = proofHera(proof);
+        const query = Contract.atAddress(bridgeAergoAddr).queryState(storageKey, true, root);
+        const queried = await queryContractStateProof(hera, query);
+        assert.equal(queried.varProofs[0].value, 1e20);
+        verifyAergoProof(queried, bridgeAergoAddr, [storageKey], root, true);
+        delete queried.varProofs[0].valueRaw;
+        assert.throws(
+            () => verifyAergoProof(queried, bridgeAergoAddr, [storageKey], root, true),
+            /raw variable value missing/);
+    });
+});
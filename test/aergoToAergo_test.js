@@ -0,0 +1,114 @@
+import {
+    buildUnfreezeToAergoTx, buildMintToAergoTx, buildUnlockToAergoTx, unfreezable,
+    isProofStillValid, defaultStoragePrefixes
+} from '../src/aergoToAergo';
+import { retryOnStaleProof } from '../src/anchorGuard';
+import { defaultAergoGasLimit } from '../src/gas';
+import { buildVarProof, proofHera } from './fixtures/aergoProof';
+
+var assert = require('assert').strict;
+
+const fromBridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const toBridgeAergoAddr = 'AmLZKWeA49ba82XiHQdm4Bz61RaUJ3wGVzHwQRbeyfjF9wgqebiE';
+const receiver = 'AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp';
+const arc1Addr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const toBridgeAergoAbi = {functions: ['unfreeze', 'mint', 'unlock'].map(
+    name => ({name, arguments: []}))};
+
+// total deposit of 1000 at depositKey, its root anchored on the to chain bridge
+function stubChains(depositKey, prefixes=defaultStoragePrefixes) {
+    const { proof, root } = buildVarProof(fromBridgeAergoAddr, depositKey, '"1000"');
+    const toHerajs = {queryContractState: async (query) => {
+        if (query.storageKeys.length === 1) {
+            assert.deepEqual(query.storageKeys, [prefixes.anchorHeight]);
+            return toHerajs.anchorHeight;
+        }
+        assert.deepEqual(query.storageKeys, [prefixes.anchorHeight, prefixes.anchorRoot]);
+        return [toHerajs.anchorHeight, '0x' + root.toString('hex')];
+    }, anchorHeight: 500};
+    return {fromHerajs: proofHera(proof), toHerajs, ap: proof.varProofs[0].auditPath};
+}
+
+function payload(builtTx) {
+    return JSON.parse(builtTx.payload);
+}
+
+describe('Test aergo to aergo bridge', function() {
+    it('Should build withdraw txs from the deposit keys and proofs', async function() {
+        let chains = stubChains(defaultStoragePrefixes.freezes.concat(receiver));
+        const hexAp = chains.ap.map(node => node.toString('hex'));
+        let builtTx = await buildUnfreezeToAergoTx(
+            receiver, chains.fromHerajs, chains.toHerajs, fromBridgeAergoAddr,
+            toBridgeAergoAddr, toBridgeAergoAbi, receiver);
+        assert.deepEqual(payload(builtTx), {
+            Name: 'unfreeze', Args: [receiver, {_bignum: '1000'}, hexAp]});
+        // standalone builders charge the gas used
+        assert.equal(builtTx.limit, defaultAergoGasLimit);
+        assert.equal(builtTx.anchorHeight, 500);
+        chains = stubChains(defaultStoragePrefixes.locks.concat(receiver, arc1Addr));
+        builtTx = await buildMintToAergoTx(
+            receiver, chains.fromHerajs, chains.toHerajs, fromBridgeAergoAddr,
+            toBridgeAergoAddr, toBridgeAergoAbi, receiver, arc1Addr, 1000);
+        assert.deepEqual(payload(builtTx), {
+            Name: 'mint', Args: [receiver, {_bignum: '1000'}, arc1Addr, hexAp]});
+        assert.equal(builtTx.limit, 1000);
+        chains = stubChains(defaultStoragePrefixes.burns.concat(receiver, arc1Addr));
+        builtTx = await buildUnlockToAergoTx(
+            receiver, chains.fromHerajs, chains.toHerajs, fromBridgeAergoAddr,
+            toBridgeAergoAddr, toBridgeAergoAbi, receiver, arc1Addr);
+        assert.deepEqual(payload(builtTx), {
+            Name: 'unlock', Args: [receiver, {_bignum: '1000'}, arc1Addr, hexAp]});
+        assert.equal(builtTx.anchorHeight, 500);
+    });
+    it('Should rebuild txs made stale by a new anchor', async function() {
+        const chains = stubChains(defaultStoragePrefixes.freezes.concat(receiver));
+        const build = () => buildUnfreezeToAergoTx(
+            receiver, chains.fromHerajs, chains.toHerajs, fromBridgeAergoAddr,
+            toBridgeAergoAddr, toBridgeAergoAbi, receiver);
+        const isValid = (builtTx) => isProofStillValid(
+            chains.toHerajs, toBridgeAergoAddr, builtTx.anchorHeight);
+        const sent = [];
+        const send = async (builtTx) => {
+            if (sent.push(builtTx.anchorHeight) === 1) {
+                // anchor landed before the tx was mined
+                chains.toHerajs.anchorHeight = 525;
+                throw new Error("Aergo tx failed : stale proof");
+            }
+            return builtTx;
+        };
+        const builtTx = await retryOnStaleProof(build, send, isValid);
+        assert.deepEqual(sent, [500, 525]);
+        assert.equal(builtTx.anchorHeight, 525);
+    });
+    it('Should use custom storage prefixes', async function() {
+        const prefixes = Object.assign({}, defaultStoragePrefixes, {
+            anchorHeight: '_sv__height', anchorRoot: '_sv__root', freezes: '_sv__frozen-'});
+        const chains = stubChains('_sv__frozen-'.concat(receiver), prefixes);
+        const builtTx = await buildUnfreezeToAergoTx(
+            receiver, chains.fromHerajs, chains.toHerajs, fromBridgeAergoAddr,
+            toBridgeAergoAddr, toBridgeAergoAbi, receiver, 0, prefixes);
+        assert.equal(payload(builtTx).Args[1]._bignum, '1000');
+    });
+    it('Should split withdrawable and pending deposits', async function() {
+        const root = Buffer.alloc(32, 1);
+        const fromHerajs = {queryContractState: async (query) => {
+            assert.deepEqual(query.storageKeys, ['_sv__freezes-'.concat(receiver)]);
+            // 100 frozen in total, 60 before the anchored root
+            if (query.root === undefined) {
+                return '100';
+            }
+            assert.ok(Buffer.from(query.root).equals(root));
+            return '60';
+        }};
+        let withdrawn;
+        const toHerajs = {queryContractState: async (query) => {
+            assert.deepEqual(query.storageKeys, ['_sv__anchorRoot', '_sv__unfreezes-'.concat(receiver)]);
+            return [root.toString('hex'), withdrawn];
+        }};
+        const status = () => unfreezable(
+            fromHerajs, toHerajs, fromBridgeAergoAddr, toBridgeAergoAddr, receiver);
+        assert.deepEqual(await status(), ['60', '40']);
+        withdrawn = '10';
+        assert.deepEqual(await status(), ['50', '40']);
+    });
+});
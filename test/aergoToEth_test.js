@@ -0,0 +1,38 @@
+import { buildLockProof } from '../src/aergoToEth';
+import { aergoLocksKey, getLayout } from '../src/storageLayout';
+import { buildVarProof, proofHera } from './fixtures/aergoProof';
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = '0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374';
+const bridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const arc1Addr = 'AmLZKWeA49ba82XiHQdm4Bz61RaUJ3wGVzHwQRbeyfjF9wgqebiE';
+const receiverEthAddr = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+
+describe('Test aergo to ethereum deposit proofs', function() {
+    it('Should read the anchor height and root at the same block', async function() {
+        const { proof, root } = buildVarProof(
+            bridgeAergoAddr, aergoLocksKey(receiverEthAddr, arc1Addr), '"1000"');
+        // the bridge contract verifies compressed proofs : the sibling is not a default node
+        proof.varProofs[0].bitmap = Uint8Array.from([0x80]);
+        const layout = getLayout().eth;
+        // a new anchor lands at block 11 : reads at block 10 must not mix both
+        const storage = {
+            10: {[layout.anchorHeight]: '0x64', [layout.anchorRoot]: '0x' + root.toString('hex')},
+            11: {[layout.anchorHeight]: '0x7d', [layout.anchorRoot]: '0x' + '00'.repeat(32)},
+        };
+        let blockNumber = 10;
+        const web3 = {eth: {
+            getBlockNumber: async () => blockNumber,
+            getStorageAt: async (addr, key, block) => {
+                const value = storage[block][key];
+                blockNumber = 11;
+                return value;
+            },
+        }};
+        const lockProof = await buildLockProof(
+            web3, proofHera(proof), bridgeEthAddr, bridgeAergoAddr, receiverEthAddr, arc1Addr);
+        assert.equal(lockProof.anchorHeight, 100);
+        assert.equal(lockProof.varProofs[0].value, '1000');
+    });
+});
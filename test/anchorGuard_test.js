@@ -0,0 +1,61 @@
+import { blocksToNextAnchor, waitForAnchorWindow, retryOnStaleProof } from '../src/anchorGuard';
+
+var assert = require('assert').strict;
+
+const anchorStatus = {lastAnchorHeight: 100, tAnchor: 25, tFinal: 5, bestHeight: 110};
+
+describe('Test proof race protection', function() {
+    it('Should count the blocks before the next anchor', function() {
+        assert.equal(blocksToNextAnchor(anchorStatus), 20);
+        const late = Object.assign({}, anchorStatus, {bestHeight: 200});
+        assert.equal(blocksToNextAnchor(late), 0);
+    });
+    it('Should wait for an imminent anchor to land', async function() {
+        const statuses = [
+            Object.assign({}, anchorStatus, {bestHeight: 129}),
+            Object.assign({}, anchorStatus, {bestHeight: 130}),
+            Object.assign({}, anchorStatus, {lastAnchorHeight: 125, bestHeight: 131}),
+        ];
+        let calls = 0;
+        const getAnchorStatus = async () => statuses[Math.min(calls++, 2)];
+        const status = await waitForAnchorWindow(getAnchorStatus, {interval: 1});
+        assert.equal(status.lastAnchorHeight, 125);
+        assert.equal(calls, 3);
+        calls = 0;
+        await waitForAnchorWindow(async () => { calls++; return anchorStatus; });
+        assert.equal(calls, 1);
+    });
+    it('Should rebuild a proof made stale by a new anchor', async function() {
+        let anchorHeight = 100;
+        let builds = 0;
+        const build = async () => { builds++; return {anchorHeight}; };
+        const isValid = async (built) => built.anchorHeight === anchorHeight;
+        const send = async (built) => {
+            if (builds === 1) {
+                // anchor landed before the tx was mined
+                anchorHeight = 125;
+                throw new Error("Transaction has been reverted by the EVM");
+            }
+            return built;
+        };
+        const result = await retryOnStaleProof(build, send, isValid);
+        assert.equal(result.anchorHeight, 125);
+        assert.equal(builds, 2);
+        // other failures are not retried
+        await assert.rejects(
+            retryOnStaleProof(build, async () => { throw new Error("out of gas"); }, isValid),
+            /out of gas/);
+    });
+    it('Should not send a proof already stale after the last rebuild', async function() {
+        let builds = 0;
+        let sent = 0;
+        const build = async () => ({anchorHeight: 100 + 25 * builds++});
+        const send = async () => { sent++; };
+        // a new anchor lands after every build
+        const isValid = async (built) => built.anchorHeight === 100 + 25 * builds;
+        await assert.rejects(retryOnStaleProof(build, send, isValid, 1), (err) =>
+            err.code === 'anchor_stale' && err.anchorHeight === 125 && err.cause === undefined);
+        assert.equal(builds, 2);
+        assert.equal(sent, 0);
+    });
+});
@@ -0,0 +1,51 @@
+import { watchEthToAergo, watchAergoToEth } from '../src/anchorWatcher';
+import { bridgeEthAbi } from "../src/abi";
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = "0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374";
+const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
+
+// returns the next value of a list at each call, then repeats the last one
+function sequence(values) {
+    let i = 0;
+    return () => Promise.resolve(values[Math.min(i++, values.length - 1)]);
+}
+
+describe('Test anchor watcher', function() {
+    it('Should emit pending, anchored and withdrawable events', function(done) {
+        const hera = {queryContractState: sequence([10, 10, 20])};
+        const balances = sequence([['0', '100'], ['0', '100'], ['100', '0']]);
+        const watcher = watchEthToAergo(hera, bridgeAergoAddr, balances, {interval: 1});
+        const events = [];
+        watcher.on('pending', (status) => events.push(['pending', status.pending]));
+        watcher.on('anchored', (status) => events.push(['anchored', status.anchorHeight]));
+        watcher.on('withdrawable', (status) => {
+            events.push(['withdrawable', status.withdrawable]);
+            watcher.stop();
+            assert.deepStrictEqual(events, [
+                ['pending', '100'], ['anchored', 20], ['withdrawable', '100']]);
+            done();
+        });
+    });
+    it('Should report polling errors and keep polling', function(done) {
+        const web3 = {eth: {getStorageAt: sequence(['0x0a'])}};
+        let calls = 0;
+        const balances = () => {
+            calls += 1;
+            return calls === 1
+                ? Promise.reject(new Error("node down"))
+                : Promise.resolve(['5', '0']);
+        };
+        const watcher = watchAergoToEth(
+            web3, bridgeEthAddr, bridgeEthAbi, balances, {interval: 1});
+        let error;
+        watcher.on('error', (err) => { error = err; });
+        watcher.on('withdrawable', (status) => {
+            watcher.stop();
+            assert.equal(error.message, "node down");
+            assert.deepStrictEqual(status, {withdrawable: '5', pending: '0', anchorHeight: 10});
+            done();
+        });
+    });
+});
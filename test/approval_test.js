@@ -0,0 +1,103 @@
+import { approvalMethod, supportsPermit, ensureAllowance, signPermit } from '../src/approval';
+import { erc20Abi, erc20PermitAbi } from '../src/abi';
+import { keccak256, padLeft } from 'web3-utils';
+
+var assert = require('assert').strict;
+
+const owner = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+const bridgeEthAddr = '0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374';
+const erc20Addr = '0xd898383a12cde0ed2a5e4be4b2ef9a6ecac6a5c8';
+
+// web3 stub recording the sent methods of a token with an allowance
+function tokenWeb3(allowance, sent, domainSeparator) {
+    const call = (value) => ({call: async () => value});
+    const send = (name, args) => ({
+        estimateGas: async () => 50000,
+        encodeABI: () => '0x1234',
+        send: async () => {
+            sent.push([name].concat(args));
+            return {status: true};
+        },
+    });
+    const methods = {
+        allowance: () => call(allowance),
+        name: () => call('Token'),
+        nonces: () => call('3'),
+        DOMAIN_SEPARATOR: () => call(domainSeparator),
+    };
+    for (const name of ['increaseAllowance', 'approve', 'permit']) {
+        methods[name] = (...args) => send(name, args);
+    }
+    return {eth: {
+        defaultAccount: owner,
+        getBlock: async () => ({}),
+        getChainId: async () => 1,
+        Contract: function() { this.methods = methods; },
+    }};
+}
+
+describe('Test approval manager', function() {
+    it('Should detect the approval method and permit support', function() {
+        assert.equal(approvalMethod(erc20Abi), 'increaseAllowance');
+        const approveOnly = erc20Abi.filter(
+            entry => !['increaseAllowance', 'decreaseAllowance'].includes(entry.name));
+        assert.equal(approvalMethod(approveOnly), 'approve');
+        assert.equal(supportsPermit(erc20Abi), false);
+        assert.equal(supportsPermit(erc20Abi.concat(erc20PermitAbi)), true);
+    });
+    it('Should skip or top up the allowance', async function() {
+        const sent = [];
+        assert.equal(await ensureAllowance(
+            tokenWeb3('100', sent), bridgeEthAddr, '100', erc20Addr, erc20Abi), null);
+        assert.equal(sent.length, 0);
+        await ensureAllowance(tokenWeb3('40', sent), bridgeEthAddr, '100', erc20Addr, erc20Abi);
+        assert.deepEqual(sent, [['increaseAllowance', bridgeEthAddr, '60']]);
+        const approveOnly = erc20Abi.filter(entry => entry.name !== 'increaseAllowance');
+        sent.length = 0;
+        await ensureAllowance(tokenWeb3('40', sent), bridgeEthAddr, '100', erc20Addr, approveOnly);
+        assert.deepEqual(sent, [
+            ['approve', bridgeEthAddr, 0],
+            ['approve', bridgeEthAddr, '100'],
+        ]);
+    });
+    it('Should approve with a permit signed for the token domain', async function() {
+        const domainSeparator = keccak256('0x' + [
+            keccak256('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'),
+            keccak256('Token'),
+            keccak256('1'),
+            '0x1',
+            erc20Addr,
+        ].map(word => padLeft(word.slice(2), 64)).join(''));
+        const signed = [];
+        const ethSigner = {
+            getAddress: async () => owner,
+            signTypedData: async (typedData) => {
+                signed.push(typedData);
+                return '0x' + '11'.repeat(32) + '22'.repeat(32) + '1b';
+            },
+        };
+        const permitAbi = erc20Abi.concat(erc20PermitAbi);
+        const sent = [];
+        const web3 = tokenWeb3('0', sent, domainSeparator);
+        const signedPermit = await signPermit(
+            web3, bridgeEthAddr, '100', erc20Addr, permitAbi, 1000, ethSigner);
+        assert.deepEqual(signedPermit, {
+            owner, spender: bridgeEthAddr, value: '100', deadline: '1000',
+            v: 27, r: '0x' + '11'.repeat(32), s: '0x' + '22'.repeat(32),
+        });
+        assert.equal(signed[0].message.nonce, '3');
+        const relayer = {getAddress: async () => owner, sendTransaction: async (tx) => tx};
+        const tx = await ensureAllowance(
+            web3, bridgeEthAddr, '100', erc20Addr, permitAbi, 60000, ethSigner, {relayer});
+        assert.equal(tx.to, erc20Addr);
+        // a domain mismatch falls back to an approval tx
+        const fallback = tokenWeb3('0', sent, '0x00');
+        await ensureAllowance(
+            fallback, bridgeEthAddr, '100', erc20Addr, permitAbi, undefined, undefined, {relayer});
+        assert.deepEqual(sent[sent.length - 1], ['increaseAllowance', bridgeEthAddr, '100']);
+        // without a relayer, the owner approves instead of sending a permit
+        sent.length = 0;
+        await ensureAllowance(web3, bridgeEthAddr, '100', erc20Addr, permitAbi, 60000);
+        assert.deepEqual(sent, [['increaseAllowance', bridgeEthAddr, '100']]);
+    });
+});
@@ -0,0 +1,63 @@
+import { createBridge } from '../src/bridge';
+import { bridgeEthAbi } from "../src/abi";
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = "0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374";
+const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
+const aergoErc20Addr = "0xd898383A12CDE0eDF7642F7dD4D7006FdE5c433e";
+const aergoAddress = "AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp";
+
+// web3 stub recording contract method calls
+function recordingWeb3(calls) {
+    function Contract(abi, address) {
+        this.methods = new Proxy({}, {
+            get: (target, name) => (...args) => ({
+                send: (options) => {
+                    calls.push({address, name, args, options});
+                    return Promise.resolve({status: true});
+                },
+                estimateGas: () => Promise.resolve(100000),
+            })
+        });
+    }
+    return {eth: {Contract, defaultAccount: "0xfec3c905bcd3d9a5471452e53f82106844cb1e76"}};
+}
+
+describe('Test bridge client', function() {
+    it('Should require providers', function() {
+        assert.throws(
+            () => createBridge({bridgeEthAddr, bridgeAergoAddr}),
+            /requires web3 and hera/);
+    });
+    it('Should check bridge addresses', function() {
+        assert.throws(
+            () => createBridge({web3: {}, hera: {}, bridgeEthAddr: "0x12", bridgeAergoAddr}),
+            /Invalid Ethereum address/);
+    });
+    it('Should pass named options to the bridge contract', async function() {
+        const calls = [];
+        const bridge = createBridge({
+            web3: recordingWeb3(calls), hera: {}, bridgeEthAddr, bridgeEthAbi,
+            bridgeAergoAddr, aergoErc20Addr
+        });
+        await bridge.ethToAergo.lock(
+            {token: aergoErc20Addr, amount: "10", receiver: aergoAddress});
+        assert.deepStrictEqual(calls.length, 1);
+        assert.deepStrictEqual(calls[0].address, bridgeEthAddr);
+        assert.deepStrictEqual(calls[0].name, "lock");
+        assert.deepStrictEqual(calls[0].args, [aergoErc20Addr, "10", aergoAddress]);
+        // estimated gas with the default margin
+        assert.deepStrictEqual(calls[0].options.gas, 120000);
+    });
+    it('Should default to the bundled erc20 abi', async function() {
+        const calls = [];
+        const bridge = createBridge({
+            web3: recordingWeb3(calls), hera: {}, bridgeEthAddr, bridgeAergoAddr, aergoErc20Addr
+        });
+        await bridge.ethToAergo.increaseApproval({amount: "10"});
+        assert.deepStrictEqual(calls[0].address, aergoErc20Addr);
+        assert.deepStrictEqual(calls[0].name, "increaseAllowance");
+        assert.deepStrictEqual(calls[0].args, [bridgeEthAddr, "10"]);
+    });
+});
@@ -0,0 +1,51 @@
+import {
+    ErrorCode, BridgeError, InvalidAddressError, AnchorStaleError, ContractRevertError
+} from '../src/errors';
+import { checkEthereumAddress } from '../src/utils';
+import { retryOnStaleProof } from '../src/anchorGuard';
+import { unlockable } from '../src/aergoToEth';
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = '0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374';
+const bridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const erc20Addr = '0xd898383a12cde0ed2a5e4be4b2ef9a6ecac6a5c8';
+
+describe('Test typed errors', function() {
+    it('Should throw errors with stable codes', async function() {
+        assert.throws(() => checkEthereumAddress('0x12'), (err) =>
+            err instanceof InvalidAddressError && err instanceof BridgeError
+            && err.code === ErrorCode.invalidAddress);
+        // the proof is made stale by an anchor landing before the tx was mined
+        let valid = true;
+        const build = async () => ({anchorHeight: 100});
+        const send = async () => {
+            valid = false;
+            throw new ContractRevertError("reverted");
+        };
+        await assert.rejects(retryOnStaleProof(build, send, async () => valid, 0), (err) =>
+            err instanceof AnchorStaleError && err.code === ErrorCode.anchorStale
+            && err.anchorHeight === 100 && err.cause.code === ErrorCode.revert);
+    });
+    it('Should only treat missing state as zero', async function() {
+        let queryError = new Error("queried variable 0x5f73765f does not exist in state");
+        const hera = {
+            queryContractState: async () => { throw queryError; },
+            getBlockHeaders: async () => [{header: {blocksroothash: ''}}],
+        };
+        const web3 = {eth: {getStorageAt: async () => '0x0'}};
+        const receiver = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+        assert.deepEqual(
+            await unlockable(web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, erc20Addr),
+            ['0', '0']);
+        queryError = new Error("connection refused");
+        await assert.rejects(
+            unlockable(web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, erc20Addr),
+            /connection refused/);
+        // a wrong bridge address is not an empty state
+        queryError = new Error("contract does not exist at address " + bridgeAergoAddr);
+        await assert.rejects(
+            unlockable(web3, hera, bridgeEthAddr, bridgeAergoAddr, receiver, erc20Addr),
+            /contract does not exist/);
+    });
+});
@@ -0,0 +1,33 @@
+import { estimateAnchor, getEthBlockTime, getAergoBlockTime } from '../src/estimator';
+
+var assert = require('assert').strict;
+
+const anchorStatus = {lastAnchorHeight: 100, tAnchor: 25, tFinal: 5, bestHeight: 110};
+
+describe('Test withdrawable time estimation', function() {
+    it('Should find the anchor covering a deposit', function() {
+        assert.equal(estimateAnchor(90, anchorStatus, 15).anchored, true);
+        const next = estimateAnchor(105, anchorStatus, 15);
+        assert.equal(next.anchorHeight, 125);
+        assert.equal(next.blocks, 20);
+        assert.equal(next.seconds, 300);
+        assert.equal(estimateAnchor(126, anchorStatus, 15).anchorHeight, 150);
+    });
+    it('Should expect a late anchor to anchor the last final height', function() {
+        const late = Object.assign({}, anchorStatus, {bestHeight: 200});
+        const estimation = estimateAnchor(180, late, 1);
+        assert.equal(estimation.anchorHeight, 195);
+        assert.equal(estimation.blocks, 0);
+    });
+    it('Should average the block times of both chains', async function() {
+        const web3 = {eth: {getBlock: async (number) => number === 'latest'
+            ? {number: 1000, timestamp: 15000}
+            : {number: number, timestamp: 15 * number}}};
+        assert.equal(await getEthBlockTime(web3), 15);
+        const hera = {
+            blockchain: async () => ({bestHeight: 50}),
+            getBlockMetadata: async (height) => ({header: {timestamp: height * 2e9}}),
+        };
+        assert.equal(await getAergoBlockTime(hera), 2);
+    });
+});
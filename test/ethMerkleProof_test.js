@@ -0,0 +1,76 @@
+import {
+    verifyEthProof, verifyEthStorageProof, verifyMerkleProof, rlpDecode
+} from '../src/ethMerkleProof';
+import { buildLockProof } from '../src/ethToAergo';
+import { ProofUnavailableError } from '../src/errors';
+import { address, hash, hex, buildStorage, buildProof } from './fixtures/ethProof';
+
+var assert = require('assert').strict;
+
+describe('Test ethereum merkle proof verification', function() {
+    it('Should decode rlp lists', function() {
+        const decoded = rlpDecode(Buffer.from("c88363617483646f67", 'hex'));
+        assert.deepStrictEqual(decoded.map(item => item.toString()), ["cat", "dog"]);
+    });
+    it('Should verify a valid proof', function() {
+        const { stateRoot, proof } = buildProof("8ac7230489e80000");
+        assert.deepStrictEqual(verifyEthProof(proof, stateRoot), proof);
+    });
+    it('Should reject a proof with a wrong state root', function() {
+        const { proof } = buildProof("8ac7230489e80000");
+        assert.throws(
+            () => verifyEthProof(proof, "0x" + "00".repeat(32)),
+            /node hash mismatch/);
+    });
+    it('Should reject a storage value not matching the proof', function() {
+        const { stateRoot, proof } = buildProof("8ac7230489e80000");
+        proof.storageProof[0].value = "0x8ac7230489e80001";
+        assert.throws(
+            () => verifyEthProof(proof, stateRoot), /storage value mismatch/);
+    });
+    it('Should reject a storage hash not in the account', function() {
+        const { stateRoot, proof } = buildProof("8ac7230489e80000");
+        proof.storageHash = "0x" + "00".repeat(32);
+        assert.throws(
+            () => verifyEthProof(proof, stateRoot), /storage hash mismatch/);
+    });
+    it('Should verify storage proofs against a storage root', function() {
+        const { storageRoot, proof } = buildProof("8ac7230489e80000");
+        assert.deepStrictEqual(verifyEthStorageProof(proof, storageRoot), proof);
+        assert.throws(
+            () => verifyEthStorageProof(proof, "0x" + "00".repeat(32)),
+            /storage hash mismatch/);
+        proof.storageProof[0].value = "0x8ac7230489e80001";
+        assert.throws(
+            () => verifyEthStorageProof(proof, storageRoot), /storage value mismatch/);
+    });
+    it('Should prove a key is not in the trie', function() {
+        const storage = buildStorage("01", "02");
+        const missingKey = hash(Buffer.from("33".repeat(32), 'hex'));
+        const value = verifyMerkleProof(
+            hash(storage.root), missingKey, [hex(storage.root)]);
+        assert.deepStrictEqual(value, null);
+    });
+    it('Should verify a deposit proof against the storage root anchored on aergo', async function() {
+        const anchored = buildProof("8ac7230489e80000");
+        // the provider serves a forged proof and a block root matching it
+        const forged = buildProof("8ac7230489e80001");
+        let served = forged;
+        const web3 = {eth: {
+            getProof: async () => served.proof,
+            getBlock: async () => ({stateRoot: served.stateRoot}),
+        }};
+        // the aergo bridge anchors the storage root of the ethereum bridge
+        const hera = {queryContractState: async () => [1000, anchored.storageRoot.slice(2)]};
+        const receiver = "AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp";
+        const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
+        const lockProof = () => buildLockProof(
+            web3, hera, receiver, address, address, bridgeAergoAddr);
+        await assert.rejects(lockProof(), (err) =>
+            err instanceof ProofUnavailableError && /storage hash mismatch/.test(err.message));
+        served = anchored;
+        const proof = await lockProof();
+        assert.equal(proof.anchorHeight, 1000);
+        assert.equal(proof.storageProof[0].value, "0x8ac7230489e80000");
+    });
+});
@@ -0,0 +1,139 @@
+import {
+    burn, unlockable, buildUnlockTx, isERC721Approved, approveERC721,
+    setApprovalForAllERC721, lockERC721
+} from '../src/ethToAergo';
+import { ethBurnsKey, aergoUnlocksKey, ethLocksERC721Key } from '../src/storageLayout';
+import { bridgeEthAbi, erc721Abi } from '../src/abi';
+import { address as bridgeEthAddr, buildProof } from './fixtures/ethProof';
+import { keccak256 } from 'web3-utils';
+
+var assert = require('assert').strict;
+
+const bridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const receiverAergoAddr = 'AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp';
+const arc1Addr = 'AmLZKWeA49ba82XiHQdm4Bz61RaUJ3wGVzHwQRbeyfjF9wgqebiE';
+const mintedErc20Addr = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+const owner = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+const erc721Addr = '0xd898383a12cde0ed2a5e4be4b2ef9a6ecac6a5c8';
+const bridgeAergoAbi = {functions: [{name: 'unlock', arguments: []}]};
+
+describe('Test ethereum to aergo pegged ERC20 return', function() {
+    it('Should burn to the aergo receiver and read the burns key', async function() {
+        // burns mapping at slot 7, keyed by the receiver and the origin ARC1
+        const burnsKey = ethBurnsKey(receiverAergoAddr, arc1Addr);
+        assert.equal(burnsKey, keccak256(Buffer.concat([
+            Buffer.from(receiverAergoAddr.concat(arc1Addr), 'utf-8'),
+            Buffer.alloc(31), Buffer.from('07', 'hex')
+        ])));
+        const sent = [];
+        const web3 = {eth: {
+            defaultAccount: mintedErc20Addr,
+            Contract: function() {
+                this.methods = {burn: (...args) => ({
+                    estimateGas: async () => 50000,
+                    send: async () => sent.push(args),
+                })};
+            },
+            // 100 burnt in total, 60 before the last anchor
+            getStorageAt: async (addr, key, block) => {
+                assert.equal(key, burnsKey);
+                return block === 'latest' ? '0x64' : '0x3c';
+            },
+        }};
+        await burn(web3, receiverAergoAddr, mintedErc20Addr, '100', bridgeEthAddr,
+            bridgeEthAbi, 60000);
+        assert.deepEqual(sent, [[receiverAergoAddr, '100', mintedErc20Addr]]);
+        const hera = {queryContractState: async (query) => {
+            assert.ok(Buffer.from(query.storageKeys[1]).equals(
+                aergoUnlocksKey(receiverAergoAddr, arc1Addr)));
+            return [1000, '10'];
+        }};
+        assert.deepEqual(
+            await unlockable(web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverAergoAddr, arc1Addr),
+            ['50', '40']);
+    });
+    it('Should build the unlock tx arguments from the burn proof', async function() {
+        const burnsKey = ethBurnsKey(receiverAergoAddr, arc1Addr);
+        const { storageRoot, proof } = buildProof('8ac7230489e80000', burnsKey);
+        const web3 = {eth: {getProof: async (addr, keys, block) => {
+            assert.deepEqual([addr, keys, block], [bridgeEthAddr, [burnsKey], 1000]);
+            return proof;
+        }}};
+        const hera = {queryContractState: async () => [1000, storageRoot]};
+        const builtTx = await buildUnlockTx(
+            web3, hera, receiverAergoAddr, bridgeEthAddr, bridgeAergoAddr, bridgeAergoAbi,
+            receiverAergoAddr, arc1Addr);
+        assert.equal(builtTx.anchorHeight, 1000);
+        assert.deepEqual(JSON.parse(builtTx.payload), {
+            Name: 'unlock',
+            Args: [
+                receiverAergoAddr,
+                {_bignum: '0x8ac7230489e80000'},
+                arc1Addr,
+                proof.storageProof[0].proof,
+            ],
+        });
+    });
+});
+
+// web3 stub of an ERC721 token and the bridge recording the sent methods
+function erc721Web3(approvals, sent, storage) {
+    const send = (name, args) => ({
+        estimateGas: async () => 80000,
+        send: async () => {
+            sent.push([name].concat(args));
+            return {status: true, blockNumber: 1234};
+        },
+    });
+    const methods = {
+        isApprovedForAll: () => ({call: async () => approvals.forAll}),
+        getApproved: () => ({call: async () => approvals.token}),
+    };
+    for (const name of ['approve', 'setApprovalForAll', 'lockERC721']) {
+        methods[name] = (...args) => send(name, args);
+    }
+    return {eth: {
+        defaultAccount: owner,
+        Contract: function() { this.methods = methods; },
+        getStorageAt: async (addr, key, block) => storage[key + '@' + block],
+    }};
+}
+
+describe('Test ethereum to aergo ERC721 transfer', function() {
+    it('Should skip approvals already given', async function() {
+        const zero = '0x0000000000000000000000000000000000000000';
+        const approvals = {forAll: false, token: zero};
+        const sent = [];
+        const web3 = erc721Web3(approvals, sent, {});
+        assert.equal(await isERC721Approved(
+            web3, owner, bridgeEthAddr, '7', erc721Addr, erc721Abi), false);
+        await approveERC721(web3, bridgeEthAddr, '7', erc721Addr, erc721Abi);
+        assert.deepEqual(sent, [['approve', bridgeEthAddr, '7']]);
+        // approved for the token (any address case) or for all tokens
+        approvals.token = bridgeEthAddr.toLowerCase();
+        assert.equal(await approveERC721(web3, bridgeEthAddr, '7', erc721Addr, erc721Abi), null);
+        approvals.token = zero;
+        approvals.forAll = true;
+        assert.equal(await approveERC721(web3, bridgeEthAddr, '7', erc721Addr, erc721Abi), null);
+        assert.equal(await setApprovalForAllERC721(
+            web3, bridgeEthAddr, true, erc721Addr, erc721Abi), null);
+        await setApprovalForAllERC721(web3, bridgeEthAddr, false, erc721Addr, erc721Abi);
+        assert.deepEqual(sent[1], ['setApprovalForAll', bridgeEthAddr, false]);
+        assert.equal(sent.length, 2);
+    });
+    it('Should read the lock block number at the lock tx block', async function() {
+        // locksERC721 mapping at slot 9, keyed by the receiver, tokenId and erc721
+        const locksKey = ethLocksERC721Key(receiverAergoAddr, '7', erc721Addr);
+        assert.equal(locksKey, keccak256(Buffer.concat([
+            Buffer.from(receiverAergoAddr.concat('7'), 'utf-8'),
+            Buffer.from(erc721Addr.slice(2), 'hex'),
+            Buffer.alloc(31), Buffer.from('09', 'hex')
+        ])));
+        const sent = [];
+        const web3 = erc721Web3({}, sent, {[locksKey + '@1234']: '0x4d2'});
+        const receipt = await lockERC721(
+            web3, receiverAergoAddr, '7', erc721Addr, bridgeEthAddr, bridgeEthAbi);
+        assert.deepEqual(sent, [['lockERC721', erc721Addr, '7', receiverAergoAddr]]);
+        assert.equal(receipt.lockBlockNumber, 1234);
+    });
+});
@@ -0,0 +1,88 @@
+import { Amount } from '@herajs/client';
+import bs58check from "bs58check";
+import { hash, bitIsSet, stateHash } from '../../src/aergoMerkleProof';
+
+function getters(fields) {
+    const grpcObject = {};
+    for (const [name, value] of Object.entries(fields)) {
+        grpcObject['get' + name] = () => value;
+    }
+    return grpcObject;
+}
+
+// herajs grpc response of a contract state proof query
+export function grpcStateProof(proof) {
+    const state = proof.contractProof.state;
+    return getters({
+        Contractproof: getters({
+            State: getters({
+                Nonce: state.nonce,
+                Balance_asU8: new Uint8Array(0),
+                Codehash_asB64: state.codehash,
+                Storageroot_asB64: state.storageroot,
+                Sqlrecoverypoint: 0,
+            }),
+            Inclusion: proof.contractProof.inclusion,
+            Key_asU8: new Uint8Array(0),
+            Bitmap_asU8: Uint8Array.from(proof.contractProof.bitmap),
+            Height: proof.contractProof.height,
+            AuditpathList_asU8: proof.contractProof.auditPath,
+        }),
+        VarproofsList: proof.varProofs.map(varProof => getters({
+            Inclusion: varProof.inclusion,
+            Key_asU8: new Uint8Array(0),
+            Value_asU8: Uint8Array.from(varProof.valueRaw),
+            Bitmap_asU8: Uint8Array.from(varProof.bitmap),
+            Height: varProof.height,
+            AuditpathList_asU8: varProof.auditPath,
+        })),
+    });
+}
+
+// herajs client stub answering state proof queries with proof
+export function proofHera(proof) {
+    return {
+        client: {client: {queryContractState: 'queryContractState'}},
+        grpcMethod: (method) => async () => {
+            if (method !== 'queryContractState') {
+                throw new Error("unexpected grpc method " + method);
+            }
+            return grpcStateProof(proof);
+        },
+    };
+}
+
+// non compressed proof of a contract variable in a storage trie of height 1,
+// the contract being the only account of the state trie
+export function buildVarProof(contractAddr, storageKey, valueRaw) {
+    const trieKey = hash(Buffer.from(storageKey));
+    const sibling = hash(Buffer.from("other variable"));
+    const varLeaf = hash(trieKey, hash(Buffer.from(valueRaw)), Buffer.from([255]));
+    const storageRoot = bitIsSet(trieKey, 0) ? hash(sibling, varLeaf) : hash(varLeaf, sibling);
+    const state = {
+        nonce: 1,
+        balance: new Amount("0 aer"),
+        codehash: hash(Buffer.from("code")).toString('base64'),
+        storageroot: storageRoot.toString('base64'),
+        sqlrecoverypoint: 0
+    };
+    const accountKey = hash(bs58check.decode(contractAddr).slice(1));
+    const root = hash(accountKey, stateHash(state), Buffer.from([0]));
+    const proof = {
+        contractProof: {
+            state: state,
+            inclusion: true,
+            bitmap: new Uint8Array(0),
+            height: 0,
+            auditPath: []
+        },
+        varProofs: [{
+            inclusion: true,
+            valueRaw: Buffer.from(valueRaw),
+            bitmap: new Uint8Array(0),
+            height: 1,
+            auditPath: [sibling]
+        }]
+    };
+    return { proof, root };
+}
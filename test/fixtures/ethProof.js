@@ -0,0 +1,109 @@
+import { keccak256 } from 'web3-utils';
+
+// minimal rlp encoder to build test tries
+function rlpEncode(input) {
+    if (Array.isArray(input)) {
+        const payload = Buffer.concat(input.map(rlpEncode));
+        return Buffer.concat([encodeLength(payload.length, 0xc0), payload]);
+    }
+    if (input.length === 1 && input[0] < 0x80) {
+        return input;
+    }
+    return Buffer.concat([encodeLength(input.length, 0x80), input]);
+}
+
+function encodeLength(length, offset) {
+    if (length < 56) {
+        return Buffer.from([offset + length]);
+    }
+    let hex = length.toString(16);
+    if (hex.length % 2 === 1) {
+        hex = "0" + hex;
+    }
+    return Buffer.concat([
+        Buffer.from([offset + 55 + hex.length / 2]), Buffer.from(hex, 'hex')]);
+}
+
+export function hash(bytes) {
+    return Buffer.from(keccak256(bytes).slice(2), 'hex');
+}
+
+function leafNode(nibbles, value) {
+    // hex prefix encoding of a leaf path
+    const prefixed = nibbles.length % 2 === 1 ? [3, ...nibbles] : [2, 0, ...nibbles];
+    const path = Buffer.alloc(prefixed.length / 2);
+    for (let i = 0; i < path.length; i++) {
+        path[i] = (prefixed[2 * i] << 4) | prefixed[2 * i + 1];
+    }
+    return rlpEncode([path, value]);
+}
+
+function nibblesOf(bytes) {
+    const nibbles = [];
+    for (const byte of bytes) {
+        nibbles.push(byte >> 4, byte & 0x0f);
+    }
+    return nibbles;
+}
+
+export function hex(bytes) {
+    return "0x" + bytes.toString('hex');
+}
+
+export const address = "0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374";
+const defaultSlot = "0x" + "11".repeat(32);
+
+function firstNibble(key) {
+    return hash(Buffer.from(key.slice(2), 'hex'))[0] >> 4;
+}
+
+// storage trie : a branch at the root with one leaf per slot
+export function buildStorage(slotValue, otherValue, slot=defaultSlot) {
+    // the other slot must be in another branch of the root
+    let otherByte = 0x22;
+    while (firstNibble("0x" + otherByte.toString(16).repeat(32)) === firstNibble(slot)) {
+        otherByte += 0x11;
+    }
+    const otherSlot = "0x" + otherByte.toString(16).repeat(32);
+    const leaves = {};
+    for (const [key, value] of [[slot, slotValue], [otherSlot, otherValue]]) {
+        const path = nibblesOf(hash(Buffer.from(key.slice(2), 'hex')));
+        leaves[path[0]] = leafNode(path.slice(1), rlpEncode(Buffer.from(value, 'hex')));
+    }
+    const branch = [];
+    for (let i = 0; i < 16; i++) {
+        branch.push(leaves[i] === undefined ? Buffer.alloc(0) : hash(leaves[i]));
+    }
+    branch.push(Buffer.alloc(0));
+    const root = rlpEncode(branch);
+    return { root, leaves };
+}
+
+// proof of a storage slot of the contract at address, the only account of the state
+export function buildProof(slotValue, slot=defaultSlot) {
+    const storage = buildStorage(slotValue, "0a", slot);
+    const storageHash = hash(storage.root);
+    const codeHash = hash(Buffer.from("code"));
+    const account = rlpEncode(
+        [Buffer.from([1]), Buffer.alloc(0), storageHash, codeHash]);
+    const accountLeaf = leafNode(
+        nibblesOf(hash(Buffer.from(address.slice(2), 'hex'))), account);
+    const slotPath = nibblesOf(hash(Buffer.from(slot.slice(2), 'hex')));
+    return {
+        stateRoot: hex(hash(accountLeaf)),
+        storageRoot: hex(storageHash),
+        proof: {
+            address: address,
+            accountProof: [hex(accountLeaf)],
+            balance: "0",
+            codeHash: hex(codeHash),
+            nonce: "1",
+            storageHash: hex(storageHash),
+            storageProof: [{
+                key: slot,
+                value: "0x" + slotValue,
+                proof: [hex(storage.root), hex(storage.leaves[slotPath[0]])]
+            }]
+        }
+    };
+}
@@ -0,0 +1,62 @@
+import {
+    getEthFees, estimateEthGas, getEthTxOptions, estimateAergoGas, getAergoGasLimit
+} from '../src/gas';
+
+var assert = require('assert').strict;
+
+const method = {estimateGas: async ({from}) => (from === undefined ? 0 : 100000)};
+const from = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+
+describe('Test gas estimation and fees', function() {
+    it('Should estimate gas with a margin', async function() {
+        assert.equal(await estimateEthGas(method, from), 120000);
+        assert.equal(await estimateEthGas(method, from, 1.5), 150000);
+    });
+    it('Should compute fees from a strategy or given values', async function() {
+        const web3 = {eth: {getBlock: async () => ({baseFeePerGas: '10000000000'})}};
+        assert.deepEqual(await getEthFees(web3, 'standard'), {
+            maxFeePerGas: '21500000000',
+            maxPriorityFeePerGas: '1500000000',
+        });
+        assert.deepEqual(await getEthFees(web3), {});
+        assert.deepEqual(
+            await getEthFees(web3, {maxFeePerGas: '3', maxPriorityFeePerGas: '1', gas: 1}),
+            {maxFeePerGas: '3', maxPriorityFeePerGas: '1'});
+        await assert.rejects(getEthFees(web3, 'instant'), /Unknown fee strategy/);
+        const legacy = {eth: {getBlock: async () => ({})}};
+        assert.deepEqual(await getEthFees(legacy, 'fast'), {});
+    });
+    it('Should keep a given gas limit', async function() {
+        const web3 = {eth: {getBlock: async () => ({baseFeePerGas: '0'})}};
+        assert.deepEqual(await getEthTxOptions(web3, method, from, 50000), {gas: 50000});
+        assert.deepEqual(
+            await getEthTxOptions(web3, method, from, {gasMargin: 2, fees: {maxFeePerGas: '5'}}),
+            {gas: 200000, maxFeePerGas: '5'});
+    });
+    it('Should estimate aergo gas from the last txs of the same call', async function() {
+        const bridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+        const gasUsed = {tx1: 90000, tx2: 100000, tx3: 70000};
+        let queried;
+        const hera = {
+            blockchain: async () => ({bestHeight: 15000}),
+            getEvents: async (filter) => {
+                queried = filter;
+                // two events of the same tx count once
+                return ['tx1', 'tx1', 'tx2', 'tx3'].map(txhash => ({txhash}));
+            },
+            getTransactionReceipt: async (txHash) => ({gasused: gasUsed[txHash]}),
+        };
+        assert.equal(await estimateAergoGas(hera, bridgeAergoAddr, 'mint'), 120000);
+        assert.deepEqual(queried, {
+            address: bridgeAergoAddr, eventName: 'mint', blockfrom: 5000, blockto: 15000,
+            desc: true});
+        assert.equal(
+            await estimateAergoGas(hera, bridgeAergoAddr, 'mint', {sampleSize: 1}), 108000);
+        assert.equal(await getAergoGasLimit(hera, bridgeAergoAddr, 'mint', 50000), 50000);
+        assert.equal(
+            await getAergoGasLimit(hera, bridgeAergoAddr, 'mint', {gasMargin: 1.5}), 150000);
+        // without recent calls the gas used is charged
+        hera.getEvents = async () => [];
+        assert.equal(await estimateAergoGas(hera, bridgeAergoAddr, 'mint'), 0);
+    });
+});
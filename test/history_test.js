@@ -0,0 +1,185 @@
+import { getEthBridgeEvents, getAergoBridgeEvents, joinTransfers } from '../src/history';
+import { bridgeEthAbi } from "../src/abi";
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = "0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374";
+const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
+const aergoAddress = "AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp";
+const ethAddress = "0xfec3c905bcd3d9a5471452e53f82106844cb1e76";
+const erc20Addr = "0xd898383a12cde0edf7642f7dd4d7006fde5c433e";
+
+// web3 stub : logs data holds the decoded event
+function stubWeb3(logs, txs, calls=[]) {
+    return {eth: {
+        abi: {
+            encodeEventSignature: (item) => item.name,
+            encodeParameter: (type, value) => value,
+            decodeLog: (inputs, data) => data,
+            encodeFunctionSignature: (item) => item.name.padEnd(10, '_'),
+            decodeParameters: () => ({receiver: aergoAddress}),
+        },
+        getPastLogs: async ({topics}) => logs.filter(log =>
+            log.topics[0] === topics[0]
+            && (topics[2] === undefined || log.topics[2] === topics[2])),
+        getTransaction: async (hash) => {
+            calls.push(hash);
+            return txs[hash];
+        },
+        Contract: function() {
+            this.methods = {_mintedTokens: () => ({call: async () => "origin"})};
+        },
+    }};
+}
+
+describe('Test transfer history', function() {
+    it('Should decode ethereum deposits with their sender', async function() {
+        const logs = [{
+            topics: ['lockEvent', erc20Addr, 'receiverHash'],
+            data: {tokenAddress: erc20Addr, amount: '100'},
+            transactionHash: '0x01', blockNumber: 10,
+        }, {
+            topics: ['unlockEvent', erc20Addr, ethAddress],
+            data: {tokenAddress: erc20Addr, receiver: ethAddress, amount: '7'},
+            transactionHash: '0x02', blockNumber: 11,
+        }];
+        const web3 = stubWeb3(logs, {'0x01': {from: ethAddress, input: 'lock______'}});
+        const events = await getEthBridgeEvents(
+            web3, bridgeEthAddr, bridgeEthAbi, {receiver: ethAddress, fromBlock: 10});
+        assert.equal(events.length, 1);
+        assert.equal(events[0].event, 'unlock');
+        assert.equal(events[0].sender, null);
+        const deposits = await getEthBridgeEvents(
+            web3, bridgeEthAddr, bridgeEthAbi,
+            {events: ['lock'], sender: ethAddress, fromBlock: 10});
+        assert.equal(deposits[0].sender, ethAddress);
+        // aergo receiver decoded from the lock tx input
+        assert.equal(deposits[0].receiver, aergoAddress);
+        assert.equal(deposits[0].origin, erc20Addr);
+        assert.equal(deposits[0].amount, '100');
+    });
+    it('Should record the token created by a mint', async function() {
+        const pegged = "0x89ed1d1c145f6bf3a7e62d2b8eb0e1bf15cb2374";
+        const logs = [{
+            topics: ['mintEvent', pegged, ethAddress],
+            data: {tokenAddress: pegged, receiver: ethAddress, amount: '5'},
+            transactionHash: '0x01', blockNumber: 10,
+        }, {
+            topics: ['newMintedERC20', 'originHash', pegged],
+            data: {addr: pegged},
+            transactionHash: '0x01', blockNumber: 10,
+        }, {
+            // token created by the mint of another receiver
+            topics: ['newMintedERC20', 'originHash', erc20Addr],
+            data: {addr: erc20Addr},
+            transactionHash: '0x02', blockNumber: 11,
+        }];
+        const web3 = stubWeb3(logs, {});
+        const events = await getEthBridgeEvents(
+            web3, bridgeEthAddr, bridgeEthAbi,
+            {events: ['mint', 'newMintedERC20'], receiver: ethAddress, fromBlock: 10});
+        assert.deepEqual(events.map(event => event.event), ['mint', 'newMintedERC20']);
+        assert.equal(events[1].deposit, null);
+        assert.equal(events[1].token, pegged);
+        assert.equal(events[1].origin, 'origin');
+        const transfers = joinTransfers(events);
+        assert.equal(transfers.length, 1);
+        assert.equal(transfers[0].withdraw.txHash, '0x01');
+        assert.equal(transfers[0].tokenCreation, events[1]);
+    });
+    it('Should require a bounded block range', async function() {
+        const web3 = stubWeb3([], {});
+        await assert.rejects(
+            getEthBridgeEvents(web3, bridgeEthAddr, bridgeEthAbi, {receiver: ethAddress}),
+            /requires a fromBlock/);
+    });
+    it('Should look up each deposit tx once', async function() {
+        // two deposits in the same tx and one in another
+        const lock = (transactionHash, blockNumber) => ({
+            topics: ['lockEvent', erc20Addr, 'receiverHash'],
+            data: {tokenAddress: erc20Addr, amount: '1'},
+            transactionHash, blockNumber,
+        });
+        const logs = [lock('0x01', 10), lock('0x01', 10), lock('0x02', 12)];
+        const txs = {
+            '0x01': {from: ethAddress, input: 'lock______'},
+            '0x02': {from: ethAddress, input: 'lock______'},
+        };
+        const calls = [];
+        const web3 = stubWeb3(logs, txs, calls);
+        let events = await getEthBridgeEvents(
+            web3, bridgeEthAddr, bridgeEthAbi, {events: ['lock'], fromBlock: 0});
+        assert.equal(events.length, 3);
+        assert.deepEqual(calls, ['0x01', '0x02']);
+        // with a json-rpc batch, the lookups are sent in one request
+        const batches = [];
+        web3.BatchRequest = function() {
+            const requests = [];
+            this.add = (request) => requests.push(request);
+            this.execute = () => {
+                batches.push(requests.map(([hash]) => hash));
+                requests.forEach(([hash, callback]) => callback(null, txs[hash]));
+            };
+        };
+        web3.eth.getTransaction.request = (hash, callback) => [hash, callback];
+        events = await getEthBridgeEvents(
+            web3, bridgeEthAddr, bridgeEthAbi, {events: ['lock'], fromBlock: 0});
+        assert.deepEqual(batches, [['0x01', '0x02']]);
+        assert.deepEqual(events.map(event => event.sender), [ethAddress, ethAddress, ethAddress]);
+    });
+    it('Should decode aergo events arguments', async function() {
+        const hera = {getEvents: async ({eventName}) => eventName !== 'freeze' ? [] : [{
+            eventName: 'freeze', txhash: 'aergoTx', blockno: 5,
+            args: [aergoAddress, ethAddress.slice(2), {_bignum: '50'}],
+        }]};
+        const events = await getAergoBridgeEvents(
+            hera, bridgeAergoAddr, {receiver: ethAddress, aergoErc20Addr: erc20Addr});
+        assert.deepStrictEqual(events, [{
+            chain: 'aergo', event: 'freeze', deposit: true, txHash: 'aergoTx', height: 5,
+            sender: aergoAddress, receiver: ethAddress, token: null, origin: erc20Addr,
+            amount: '50'
+        }]);
+    });
+    it('Should join cumulative withdrawals with the oldest deposits', function() {
+        const deposit = (txHash, height, amount) => ({
+            chain: 'ethereum', event: 'lock', deposit: true, txHash, height,
+            receiver: aergoAddress, origin: erc20Addr, amount});
+        const transfers = joinTransfers([
+            deposit('0x01', 1, '10'), deposit('0x02', 2, '20'), deposit('0x03', 3, '5'),
+            {chain: 'aergo', event: 'mint', deposit: false, txHash: 'mint1', height: 100,
+                receiver: aergoAddress, origin: erc20Addr, amount: '30'},
+        ]);
+        assert.deepStrictEqual(
+            transfers.map(t => [t.deposit.txHash, t.withdraw && t.withdraw.txHash]),
+            [['0x01', 'mint1'], ['0x02', 'mint1'], ['0x03', null]]);
+    });
+    it('Should not order events by the heights of different chains', function() {
+        const event = (chain, name, txHash, height, deposit) => ({
+            chain, event: name, deposit, txHash, height,
+            receiver: aergoAddress, origin: erc20Addr, amount: '10'});
+        // ethereum heights are higher than aergo ones : keep each chain's order
+        const transfers = joinTransfers([
+            event('aergo', 'freeze', 'freeze2', 2000, true),
+            event('ethereum', 'lock', '0x02', 9000001, true),
+            event('ethereum', 'unfreeze', '0x03', 9000002, false),
+            event('aergo', 'freeze', 'freeze1', 1000, true),
+            event('ethereum', 'lock', '0x01', 9000000, true),
+        ]);
+        assert.deepStrictEqual(
+            transfers.map(t => [t.deposit.txHash, t.withdraw && t.withdraw.txHash]),
+            [['0x01', null], ['0x02', null], ['freeze1', '0x03'], ['freeze2', null]]);
+    });
+    it('Should merge the events of both chains by block timestamp', function() {
+        const event = (chain, name, txHash, height, timestamp) => ({
+            chain, event: name, deposit: true, txHash, height, timestamp,
+            receiver: aergoAddress, origin: erc20Addr, amount: '10'});
+        const transfers = joinTransfers([
+            event('aergo', 'freeze', 'freeze2', 2000, 4000),
+            event('ethereum', 'lock', '0x02', 9000001, 3000),
+            event('aergo', 'freeze', 'freeze1', 1000, 2000),
+            event('ethereum', 'lock', '0x01', 9000000, 1000),
+        ]);
+        assert.deepStrictEqual(
+            transfers.map(t => t.deposit.txHash), ['0x01', 'freeze1', '0x02', 'freeze2']);
+    });
+});
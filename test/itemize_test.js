@@ -0,0 +1,32 @@
+import { itemizeDeposits } from '../src/itemize';
+
+var assert = require('assert').strict;
+
+const anchorStatus = {lastAnchorHeight: 100, tAnchor: 25, tFinal: 5, bestHeight: 110};
+
+describe('Test deposits itemization', function() {
+    it('Should split balances into the newest deposits', function() {
+        const deposits = [
+            {txHash: '0x01', height: 50, amount: '10'},
+            {txHash: '0x02', height: 90, amount: '20'},
+            {txHash: '0x03', height: 105, amount: '5'},
+        ];
+        // 0x01 was withdrawn, 0x02 is anchored, 0x03 waits for the anchor of height 125
+        const entries = itemizeDeposits(deposits, '20', '5', anchorStatus, 15);
+        assert.deepStrictEqual(entries, [{
+            txHash: '0x02', height: 90, amount: '20', withdrawable: '20', pending: '0',
+            anchored: true, anchorHeight: null, estimatedSeconds: 0
+        }, {
+            txHash: '0x03', height: 105, amount: '5', withdrawable: '0', pending: '5',
+            anchored: false, anchorHeight: 125, estimatedSeconds: 20 * 15
+        }]);
+    });
+    it('Should report balances of deposits older than the events', function() {
+        const deposits = [{txHash: '0x03', height: 140, amount: '5'}];
+        const entries = itemizeDeposits(deposits, '7', '5', anchorStatus, 1);
+        assert.equal(entries[0].txHash, null);
+        assert.equal(entries[0].withdrawable, '7');
+        assert.equal(entries[1].anchorHeight, 150);
+        assert.equal(entries[1].estimatedSeconds, 45);
+    });
+});
@@ -0,0 +1,47 @@
+import { getNetwork, listNetworks, loadNetworks, verifyNetwork } from '../src/networks';
+import { createBridge } from '../src/bridge';
+import { bridgeEthAbi } from "../src/abi";
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = "0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374";
+const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
+
+describe('Test bridge networks', function() {
+    it('Should reject unknown networks and networks without deployment', function() {
+        assert.throws(() => getNetwork("unknown"), /Unknown bridge network/);
+        assert.throws(() => getNetwork("mainnet"), /mainnet deployment is not bundled/);
+        assert.throws(
+            () => loadNetworks({nodeploy: {ethChainId: 1}}),
+            /needs bridgeEthAddr and bridgeAergoAddr/);
+    });
+    it('Should load networks from json', function() {
+        const names = loadNetworks(JSON.stringify(
+            {custom: {bridgeEthAddr, bridgeAergoAddr, ethChainId: 5}}));
+        assert.deepStrictEqual(names, ["custom"]);
+        assert.ok(listNetworks().includes("custom"));
+        assert.equal(getNetwork("custom").ethChainId, 5);
+        assert.throws(
+            () => loadNetworks({bad: {bridgeEthAddr: "0x12", bridgeAergoAddr}}),
+            /Invalid Ethereum address/);
+        assert.ok(!listNetworks().includes("bad"));
+        assert.throws(
+            () => loadNetworks({local: {bridgeEthAddr, bridgeAergoAddr, ethChainId: 5}}),
+            /Built in network local can't be redefined/);
+        assert.equal(getNetwork("local").ethChainId, 1337);
+        assert.equal(getNetwork("local").aergoChainId, "dev.chain");
+    });
+    it('Should create a bridge from a network name with the bundled abi', function() {
+        const bridge = createBridge({web3: {}, hera: {}, network: "local"});
+        assert.equal(bridge.config.bridgeEthAddr, bridgeEthAddr);
+        assert.equal(bridge.config.bridgeEthAbi, bridgeEthAbi);
+    });
+    it('Should check the chain ids of the providers', async function() {
+        const web3 = {eth: {getChainId: () => Promise.resolve(1)}};
+        const hera = {getChainInfo: () => Promise.resolve({chainid: {magic: "aergo.io"}})};
+        await verifyNetwork(web3, hera, {ethChainId: 1, aergoChainId: "aergo.io"});
+        await assert.rejects(
+            verifyNetwork(web3, hera, {ethChainId: 5}),
+            /connected to chain 1, expected 5/);
+    });
+});
@@ -0,0 +1,78 @@
+import { validateARC2Mintable } from '../src/ethToAergo';
+import { validateERC721Unlockable } from '../src/aergoToEth';
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = '0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374';
+const bridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const receiverAergoAddr = 'AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp';
+const receiverEthAddr = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+const erc721Addr = '0xd898383a12cde0ed2a5e4be4b2ef9a6ecac6a5c8';
+
+function notFound() {
+    throw new Error("queried variable 0x5f73765f does not exist in state");
+}
+
+describe('Test non fungible transfer status', function() {
+    it('Should follow an ERC721 lock until it is minted on Aergo', async function() {
+        // lock at eth block 1000, anchors every 10 blocks, 5 blocks deep
+        const state = {lockBlock: '0x0', anchorHeight: 990, minted: undefined};
+        const web3 = {eth: {
+            getStorageAt: async (addr, key, block) =>
+                (block === 'latest' || block >= 1000 ? state.lockBlock : '0x0'),
+            getBlockNumber: async () => 1002,
+        }};
+        const hera = {queryContractState: async (query) => {
+            if (query.storageKeys.length === 3) {
+                return [state.anchorHeight, 10, 5];
+            }
+            return state.minted === undefined ? notFound() : state.minted;
+        }};
+        const status = () => validateARC2Mintable(
+            web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverAergoAddr, '1', erc721Addr);
+        assert.equal((await status()).state, 'not_locked');
+        state.lockBlock = '0x3e8';
+        assert.deepEqual(await status(), {
+            state: 'pending_anchor',
+            message: 'The deposit is waiting for a new anchor',
+            blockNum: 1000,
+            anchorHeight: 990,
+            blocksRemaining: 3,
+        });
+        state.anchorHeight = 1000;
+        assert.equal((await status()).state, 'mintable');
+        state.minted = 1000;
+        assert.equal((await status()).state, 'already_minted');
+    });
+    it('Should check an ARC2 burn is anchored before unlocking', async function() {
+        const state = {burnBlock: 500, anchoredBurn: undefined, unlocked: '0x0'};
+        const web3 = {eth: {getStorageAt: async (addr, key) => {
+            // anchorHeight, tAnchor and tFinal slots of the bridge
+            const slots = {1: '0x1f4', 2: '0xa', 3: '0x1'};
+            return slots[key] !== undefined ? slots[key] : state.unlocked;
+        }}};
+        const hera = {
+            blockchain: async () => ({bestHeight: 505}),
+            getBlockHeaders: async () => [{header: {blocksroothash: 'AAAA'}}],
+            queryContractState: async (query) => {
+                const value = query.root === undefined ? state.burnBlock : state.anchoredBurn;
+                return value === undefined ? notFound() : {_bignum: String(value)};
+            },
+        };
+        const status = () => validateERC721Unlockable(
+            web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr, '1', erc721Addr);
+        let result = await status();
+        assert.deepEqual(
+            [result.state, result.blockNum, result.anchorHeight, result.blocksRemaining],
+            ['pending_anchor', 500, 500, 6]);
+        state.anchoredBurn = 500;
+        assert.equal((await status()).state, 'mintable');
+        state.unlocked = '0x1f4';
+        assert.equal((await status()).state, 'already_minted');
+        // the token id is validated before the storage keys are derived
+        await assert.rejects(
+            validateERC721Unlockable(
+                web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr, 1, erc721Addr),
+            /tokenId must be String/);
+    });
+});
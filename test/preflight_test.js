@@ -0,0 +1,90 @@
+import { decodeRevertReason, simulateEthWithdraw, prevalidateAergoWithdraw } from '../src/preflight';
+import { aergoMintsKey } from '../src/storageLayout';
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = '0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374';
+const bridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const receiver = 'AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp';
+const erc20Addr = '0xd898383a12cde0ed2a5e4be4b2ef9a6ecac6a5c8';
+
+// Error("Proof already used") as returned by the node
+const revertData = '0x08c379a0'
+    + '0000000000000000000000000000000000000000000000000000000000000020'
+    + '0000000000000000000000000000000000000000000000000000000000000012'
+    + '50726f6f6620616c726561647920757365640000000000000000000000000000';
+
+describe('Test pre-flight checks', function() {
+    it('Should decode revert reasons', function() {
+        assert.equal(decodeRevertReason({message: 'reverted', data: revertData}), 'Proof already used');
+        assert.equal(
+            decodeRevertReason({message: 'err', data: {'0xabc': {error: 'revert', return: revertData}}}),
+            'Proof already used');
+        assert.equal(
+            decodeRevertReason(new Error('Returned error: execution reverted: Bad proof')),
+            'Bad proof');
+        assert.equal(decodeRevertReason(new Error('connection lost')), 'connection lost');
+    });
+    it('Should simulate an ethereum withdraw', async function() {
+        let anchorHeight = '0x64';
+        let revert = null;
+        const web3 = {eth: {
+            Contract: function() {
+                this.methods = {unlock: () => ({call: async () => {
+                    if (revert !== null) {
+                        throw revert;
+                    }
+                    return true;
+                }})};
+            },
+            getStorageAt: async () => anchorHeight,
+        }};
+        const args = {receiver: bridgeEthAddr, balance: '10', token: erc20Addr, anchorHeight: 100};
+        const ok = await simulateEthWithdraw(web3, bridgeEthAddr, [], 'unlock', args);
+        assert.equal(ok.ok, true);
+        assert.equal(ok.code, null);
+        revert = {message: 'Returned error: execution reverted', data: revertData};
+        const reverted = await simulateEthWithdraw(web3, bridgeEthAddr, [], 'unlock', args);
+        assert.deepEqual([reverted.ok, reverted.code, reverted.reason], [false, 'revert', 'Proof already used']);
+        anchorHeight = '0x65';
+        const stale = await simulateEthWithdraw(web3, bridgeEthAddr, [], 'unlock', args);
+        assert.equal(stale.code, 'anchor_stale');
+    });
+    it('Should check an aergo mint against the withdrawn total', async function() {
+        let minted;
+        const mintsKey = aergoMintsKey(receiver, erc20Addr).toString();
+        const hera = {
+            queryContractState: async (query) => {
+                const key = query.storageKeys[0].toString();
+                if (key === '_sv__anchorHeight') {
+                    return 100;
+                }
+                assert.equal(key, mintsKey);
+                if (minted === undefined) {
+                    throw new Error("queried variable 0x5f73765f does not exist in state");
+                }
+                return {_bignum: minted};
+            },
+        };
+        const builtTx = {
+            payload: JSON.stringify({
+                Name: 'mint',
+                Args: [receiver, {_bignum: '500'}, erc20Addr.slice(2), []],
+            }),
+            anchorHeight: 100,
+        };
+        const check = () => prevalidateAergoWithdraw(
+            {}, hera, bridgeEthAddr, [], bridgeAergoAddr, builtTx);
+        let result = await check();
+        assert.deepEqual([result.ok, result.amount], [true, '500']);
+        minted = '200';
+        result = await check();
+        assert.equal(result.amount, '300');
+        minted = '500';
+        result = await check();
+        assert.deepEqual([result.ok, result.code], [false, 'nothing_to_withdraw']);
+        builtTx.anchorHeight = 90;
+        result = await check();
+        assert.equal(result.code, 'anchor_stale');
+    });
+});
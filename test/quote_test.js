@@ -0,0 +1,74 @@
+import { quoteTransfer } from '../src/quote';
+import { bridgeEthAbi } from "../src/abi";
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = "0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374";
+const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
+const aergoErc20Addr = "0xd898383A12CDE0eDF7642F7dD4D7006FdE5c433e";
+const testArc1Addr = "AmgnNKadR4gv2ELgqgtyGM9ec5EnpHj5ai14z3juNmo6m6LsdtEU";
+const sender = "0xfec3c905bcd3d9a5471452e53f82106844cb1e76";
+
+function stubBridge(unfreezeFee) {
+    function Contract() {
+        this.methods = new Proxy({}, {
+            get: (target, name) => () => ({
+                estimateGas: async () => {
+                    if (name === 'lock') {
+                        throw new Error("execution reverted");
+                    }
+                    return 40000;
+                },
+                call: async () => "",
+            })
+        });
+    }
+    const web3 = {eth: {Contract, getGasPrice: async () => "10"}};
+    const hera = {
+        getChainInfo: async () => ({gasprice: {value: 2}}),
+        // only unfreeze was called recently
+        blockchain: async () => ({bestHeight: 20000}),
+        getEvents: async ({eventName}) =>
+            eventName === 'unfreeze' ? [{txhash: 'unfreezeTx'}] : [],
+        getTransactionReceipt: async () => ({gasused: 200000}),
+        queryContractState: async () => {
+            if (unfreezeFee === undefined) {
+                throw new Error("queried variable 0x5f73765f does not exist in state");
+            }
+            return {_bignum: unfreezeFee};
+        },
+    };
+    return {config: {web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr, aergoErc20Addr}};
+}
+
+describe('Test transfer quote', function() {
+    it('Should quote an aergo erc20 transfer to Aergo', async function() {
+        const quote = await quoteTransfer(
+            stubBridge("1000"), {direction: 'ethToAergo', amount: "5000", sender});
+        assert.equal(quote.operation, 'unfreeze');
+        assert.deepEqual(quote.steps.map(s => [s.step, s.gas, s.estimated]), [
+            ['approve', 48000, true], ['lock', 100000, false], ['unfreeze', 240000, true]]);
+        assert.equal(quote.ethFee, "1480000");
+        assert.equal(quote.aergoFee, "480000");
+        assert.equal(quote.ethFeeEstimated, false);
+        assert.equal(quote.aergoFeeEstimated, true);
+        assert.equal(quote.received, "4000");
+        assert.equal(quote.feeExceedsAmount, false);
+        const small = await quoteTransfer(
+            stubBridge("1000"), {direction: 'ethToAergo', amount: "900"});
+        assert.equal(small.received, "0");
+        assert.equal(small.feeExceedsAmount, true);
+    });
+    it('Should quote an ARC1 transfer to Ethereum', async function() {
+        const quote = await quoteTransfer(
+            stubBridge(), {direction: 'aergoToEth', token: testArc1Addr, amount: "10"});
+        assert.equal(quote.operation, 'mint');
+        assert.deepEqual(quote.steps.map(s => [s.chain, s.step]), [
+            ['aergo', 'lock'], ['ethereum', 'mint']]);
+        // no recent lock tx : typical gas
+        assert.deepEqual(quote.steps.map(s => s.gas), [100000, 250000]);
+        assert.equal(quote.aergoFeeEstimated, false);
+        assert.equal(quote.unfreezeFee, "0");
+        assert.equal(quote.received, "10");
+    });
+});
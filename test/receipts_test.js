@@ -0,0 +1,101 @@
+import {
+    waitForAergoReceipt, waitForEthReceipt, decodeAergoError, getAergoFinalHeight
+} from '../src/receipts';
+
+var assert = require('assert').strict;
+
+const txHash = '0x' + 'ab'.repeat(32);
+
+describe('Test receipt confirmations', function() {
+    it('Should wait for aergo receipts and decode contract errors', async function() {
+        let calls = 0;
+        const hera = {
+            getTransactionReceipt: async () => {
+                if (++calls < 3) {
+                    throw new Error("tx not found");
+                }
+                return {status: 'ERROR', result: '[string "..."]:120: Already Minted', blockno: 10};
+            },
+            getTransaction: async () => ({}),
+            blockchain: async () => ({bestHeight: 12, consensusInfo: {Status: {LibNo: 10}}}),
+        };
+        await assert.rejects(
+            waitForAergoReceipt(hera, 'hash', {interval: 1}),
+            (err) => err.message === "Aergo tx hash failed : Already Minted"
+                && err.receipt.blockno === 10);
+        assert.equal(decodeAergoError('not a lua error'), 'not a lua error');
+        hera.getTransaction = async () => { throw new Error("tx not found"); };
+        calls = -100;
+        await assert.rejects(
+            waitForAergoReceipt(hera, 'hash', {interval: 1, droppedAfter: 5}), /was dropped/);
+    });
+    it('Should wait for aergo txs to be irreversible', async function() {
+        let lib = 8;
+        const hera = {
+            getTransactionReceipt: async () => ({status: 'SUCCESS', blockno: 10}),
+            blockchain: async () => ({bestHeight: 30, consensusInfo: {Status: {LibNo: lib++}}}),
+        };
+        const receipt = await waitForAergoReceipt(hera, 'hash', {interval: 1});
+        assert.equal(receipt.hash, 'hash');
+        assert.equal(lib, 11);
+        // raft and sbp blocks are final once included
+        assert.equal(getAergoFinalHeight({bestHeight: 30, consensusInfo: {Type: 'raft'}}), 30);
+        lib = 0;
+        await waitForAergoReceipt(hera, 'hash', {interval: 1, finality: false});
+        assert.equal(lib, 0);
+    });
+    it('Should only consider txs missing for droppedAfter ms as dropped', async function() {
+        let polls = 0;
+        const web3 = {eth: {
+            getTransactionReceipt: async () => null,
+            getTransaction: async () => { polls++; return null; },
+        }};
+        await assert.rejects(
+            waitForEthReceipt(web3, txHash, {interval: 1, droppedAfter: 30}), /was dropped/);
+        assert.ok(polls > 1);
+        polls = 0;
+        await assert.rejects(
+            waitForEthReceipt(web3, txHash, {interval: 1, droppedAfter: 0}), /was dropped/);
+        assert.equal(polls, 1);
+    });
+    it('Should wait for eth confirmations and detect replaced txs', async function() {
+        let blockNumber = 100;
+        const web3 = {eth: {
+            getTransactionReceipt: async () => ({status: true, blockNumber: 99, transactionHash: txHash}),
+            getBlockNumber: async () => blockNumber++,
+        }};
+        const receipt = await waitForEthReceipt(web3, txHash, {confirmations: 4, interval: 1});
+        assert.equal(receipt.confirmations, 4);
+        const pending = {eth: {
+            getTransactionReceipt: async () => null,
+            getTransaction: async () => ({from: '0xfec3c905bcd3d9a5471452e53f82106844cb1e76', nonce: 5}),
+            getTransactionCount: async () => 6,
+        }};
+        await assert.rejects(
+            waitForEthReceipt(pending, txHash, {interval: 1}), /was replaced/);
+        web3.eth.getTransactionReceipt = async () => ({status: false, blockNumber: 99});
+        await assert.rejects(waitForEthReceipt(web3, txHash, {interval: 1}), /reverted/);
+    });
+    it('Should time out and abort', async function() {
+        const web3 = {eth: {
+            getTransactionReceipt: async () => null,
+            getTransaction: async () => null,
+        }};
+        await assert.rejects(
+            waitForEthReceipt(web3, txHash, {interval: 1, timeout: 2}), /Timeout/);
+        const hera = {
+            getTransactionReceipt: async () => { throw new Error("tx not found"); },
+            getTransaction: async () => ({}),
+        };
+        const controller = {aborted: false, listeners: [],
+            addEventListener(type, listener) { this.listeners.push(listener); },
+            removeEventListener() {},
+        };
+        const waiting = waitForAergoReceipt(hera, 'hash', {interval: 1000, signal: controller});
+        setTimeout(() => {
+            controller.aborted = true;
+            controller.listeners.forEach(listener => listener());
+        }, 10);
+        await assert.rejects(waiting, /aborted/);
+    });
+});
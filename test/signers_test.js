@@ -0,0 +1,93 @@
+import { AergoConnectSigner, HeraWalletSigner, sendAergoTx, sendEthMethod } from '../src/signers';
+
+var assert = require('assert').strict;
+
+const builtTx = {
+    from: 'AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp',
+    to: 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V',
+    payload: '{"Name":"unfreeze","Args":[]}',
+    limit: 300000,
+    anchorHeight: 100,
+};
+
+describe('Test signers', function() {
+    it('Should send txs with the Aergo Connect protocol', async function() {
+        const listeners = {};
+        const requests = [];
+        const target = {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            removeEventListener: (type) => { delete listeners[type]; },
+            postMessage: (message) => {
+                requests.push(message);
+                const detail = message.action === 'SEND_TX'
+                    ? {hash: 'txhash'}
+                    : {account: {address: builtTx.from}};
+                const type = message.action === 'SEND_TX'
+                    ? 'AERGO_SEND_TX_RESULT' : 'AERGO_ACTIVE_ACCOUNT';
+                listeners[type]({detail});
+            },
+        };
+        const signer = new AergoConnectSigner(target);
+        assert.equal(await signer.getAddress(), builtTx.from);
+        assert.equal(await signer.sendTransaction(builtTx), 'txhash');
+        const sent = requests[1].data;
+        assert.deepEqual(sent.payload_json, {Name: 'unfreeze', Args: []});
+        assert.equal(sent.payload, undefined);
+        assert.equal(sent.anchorHeight, undefined);
+    });
+    it('Should match Aergo Connect responses with their request', async function() {
+        const listeners = {};
+        const requests = [];
+        const target = {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            removeEventListener: (type) => { delete listeners[type]; },
+            postMessage: (message) => requests.push(message),
+        };
+        const signer = new AergoConnectSigner(target);
+        const first = signer.sendTransaction(builtTx);
+        const second = signer.sendTransaction(Object.assign({}, builtTx, {limit: 1}));
+        // the second tx is answered first
+        listeners.AERGO_SEND_TX_RESULT({detail: {id: requests[1].id, hash: 'second'}});
+        listeners.AERGO_SEND_TX_RESULT({detail: {id: requests[0].id, hash: 'first'}});
+        assert.deepEqual([await first, await second], ['first', 'second']);
+        assert.notEqual(requests[0].id, requests[1].id);
+        assert.equal(listeners.AERGO_SEND_TX_RESULT, undefined);
+    });
+    it('Should wait for the receipt of txs sent with a wallet', async function() {
+        const wallet = {sendTransaction: async (account, tx) => ({hash: 'txhash', tx})};
+        const signer = new HeraWalletSigner(wallet, {address: builtTx.from});
+        let calls = 0;
+        const hera = {
+            getTransactionReceipt: async () => {
+                if (++calls < 3) {
+                    throw new Error("tx not found");
+                }
+                return {status: 'SUCCESS', result: 'null', blockno: 10};
+            },
+            getTransaction: async () => ({}),
+            blockchain: async () => ({bestHeight: 10, consensusInfo: {Status: {LibNo: 10}}}),
+        };
+        const receipt = await sendAergoTx(hera, signer, builtTx, {interval: 1});
+        assert.equal(receipt.hash, 'txhash');
+        assert.equal(calls, 3);
+        hera.getTransactionReceipt = async () => ({status: 'ERROR', result: 'invalid proof'});
+        await assert.rejects(
+            sendAergoTx(hera, signer, builtTx, {interval: 1}), /invalid proof/);
+    });
+    it('Should send eth txs with a signer or the default account', async function() {
+        const web3 = {eth: {defaultAccount: '0xfec3c905bcd3d9a5471452e53f82106844cb1e76'}};
+        const method = {
+            send: async (options) => ({from: options.from}),
+            encodeABI: () => '0x1234',
+        };
+        const to = '0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374';
+        assert.equal((await sendEthMethod(web3, method, to, 1000)).from, web3.eth.defaultAccount);
+        const ethSigner = {
+            getAddress: async () => web3.eth.defaultAccount,
+            sendTransaction: async (tx) => tx,
+        };
+        assert.deepEqual(
+            await sendEthMethod(web3, method, to, 1000, ethSigner),
+            {to, data: '0x1234', gas: 1000});
+    });
+});
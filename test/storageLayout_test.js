@@ -0,0 +1,48 @@
+import { keccak256 } from 'web3-utils';
+import {
+    getLayout, ethLocksKey, ethUnlocksERC721Key, aergoBurnsARC2Key,
+    aergoUnfreezesKey
+} from '../src/storageLayout';
+
+var assert = require('assert').strict;
+
+const receiverAergoAddr = "AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp";
+const receiverEthAddr = "0xfec3c905bcd3d9a5471452e53f82106844cb1e76";
+const aergoErc20Addr = "0xd898383A12CDE0eDF7642F7dD4D7006FdE5c433e";
+
+describe('Test bridge storage layout', function() {
+    it('Should derive ethereum mapping keys from the layout slot', function() {
+        const position = Buffer.concat([Buffer.alloc(31), Buffer.from("05", 'hex')]);
+        const accountRef = Buffer.concat([
+            Buffer.from(receiverAergoAddr, 'utf-8'),
+            Buffer.from(aergoErc20Addr.slice(2), 'hex')
+        ]);
+        assert.equal(
+            ethLocksKey(receiverAergoAddr, aergoErc20Addr),
+            keccak256(Buffer.concat([accountRef, position])));
+        const nftRef = Buffer.concat([
+            Buffer.from(receiverEthAddr.slice(2), 'hex'),
+            Buffer.from("7", 'utf-8'),
+            Buffer.from(aergoErc20Addr.slice(2).toLowerCase(), 'hex')
+        ]);
+        assert.equal(
+            ethUnlocksERC721Key(receiverEthAddr, "7", aergoErc20Addr),
+            keccak256(Buffer.concat([nftRef, Buffer.alloc(31), Buffer.from("0a", 'hex')])));
+        assert.ok(aergoBurnsARC2Key(receiverEthAddr, "7", aergoErc20Addr).equals(
+            Buffer.concat([Buffer.from('_sv__burnsARC2-', 'utf-8'), nftRef])));
+    });
+    it('Should derive aergo storage keys from the layout prefix', function() {
+        assert.ok(aergoUnfreezesKey(receiverAergoAddr, aergoErc20Addr).equals(
+            Buffer.concat([
+                Buffer.from('_sv__unfreezes-'.concat(receiverAergoAddr), 'utf-8'),
+                Buffer.from(aergoErc20Addr.slice(2), 'hex')
+            ])));
+    });
+    it('Should reject variables missing from a layout version', function() {
+        assert.equal(getLayout('v1').eth.locks, 5);
+        assert.throws(() => getLayout('v0'), /Unknown bridge storage layout/);
+        assert.throws(
+            () => ethUnlocksERC721Key(receiverEthAddr, "7", aergoErc20Addr, 'v1'),
+            /unlocksERC721 is not in this bridge storage layout/);
+    });
+});
@@ -0,0 +1,74 @@
+import { TokenRegistry } from '../src/tokenRegistry';
+import { bridgeEthAbi } from '../src/abi';
+
+var assert = require('assert').strict;
+
+const bridgeEthAddr = '0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374';
+const bridgeAergoAddr = 'AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V';
+const erc20Addr = '0xd898383a12cde0ed2a5e4be4b2ef9a6ecac6a5c8';
+const mintedArc1Addr = 'AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp';
+const arc1Addr = 'AmLZKWeA49ba82XiHQdm4Bz61RaUJ3wGVzHwQRbeyfjF9wgqebiE';
+const mintedErc20Addr = '0xfec3c905bcd3d9a5471452e53f82106844cb1e76';
+
+function stubRegistry(calls) {
+    const state = {
+        ['_sv__bridgeTokens-' + erc20Addr.slice(2)]: mintedArc1Addr,
+        ['_sv__mintedTokens-' + mintedArc1Addr]: erc20Addr.slice(2),
+    };
+    const hera = {
+        queryContractState: async (query) => {
+            calls.push(query.storageKeys[0]);
+            const value = state[query.storageKeys[0]];
+            if (value === undefined) {
+                throw new Error("queried variable 0x5f73765f does not exist in state");
+            }
+            return value;
+        },
+        getEvents: async () => [{args: ['sender', 'receiver', '10', mintedArc1Addr]}],
+    };
+    const web3 = {eth: {
+        Contract: function() {
+            this.methods = {
+                _bridgeTokens: (origin) => ({call: async () => {
+                    calls.push(origin);
+                    return origin === arc1Addr
+                        ? mintedErc20Addr : '0x0000000000000000000000000000000000000000';
+                }}),
+                _mintedTokens: (addr) => ({call: async () => {
+                    calls.push(addr);
+                    return addr.toLowerCase() === mintedErc20Addr ? arc1Addr : '';
+                }}),
+            };
+        },
+        abi: {encodeEventSignature: () => '0xtopic'},
+        getPastLogs: async () => [{topics: ['0xtopic', '0xorigin',
+            '0x000000000000000000000000' + mintedErc20Addr.slice(2)]}],
+    }};
+    return new TokenRegistry({web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr});
+}
+
+describe('Test token registry', function() {
+    it('Should resolve pegged tokens both ways with a cache', async function() {
+        const calls = [];
+        const registry = stubRegistry(calls);
+        assert.equal(await registry.getAergoPegged(erc20Addr.toUpperCase().replace('0X', '0x')),
+            mintedArc1Addr);
+        assert.equal(await registry.getEthOrigin(mintedArc1Addr), erc20Addr);
+        assert.equal(calls.length, 1);
+        assert.equal(await registry.getEthPegged(arc1Addr), mintedErc20Addr);
+        assert.equal(await registry.getAergoOrigin(mintedErc20Addr), arc1Addr);
+        assert.equal(calls.length, 2);
+        assert.deepEqual(await registry.resolve(mintedArc1Addr), {
+            originChain: 'ethereum', origin: erc20Addr, peggedChain: 'aergo', pegged: mintedArc1Addr,
+        });
+        assert.equal(await registry.getAergoPegged('0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374'), null);
+        assert.equal(await registry.resolve('0x89eD1D1C145F6bF3A7e62d2B8eB0e1Bf15Cb2374'), null);
+    });
+    it('Should list the pairs registered by both bridges', async function() {
+        const registry = stubRegistry([]);
+        assert.deepEqual(await registry.listBridgedTokens(), [
+            {originChain: 'aergo', origin: arc1Addr, peggedChain: 'ethereum', pegged: mintedErc20Addr},
+            {originChain: 'ethereum', origin: erc20Addr, peggedChain: 'aergo', pegged: mintedArc1Addr},
+        ]);
+    });
+});
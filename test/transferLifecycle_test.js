@@ -0,0 +1,105 @@
+import { Transfer, TransferStatus } from '../src/transfer';
+import { MemoryStorage, FileStorage } from '../src/transferStorage';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+
+var assert = require('assert').strict;
+
+const receiverAergoAddr = "AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp";
+const erc20Addr = "0xd898383A12CDE0eDF7642F7dD4D7006FdE5c433e";
+const depositTxHash = "0x5d7a7f2bd3e2dbe0e2b5bd2b1fc3c39b11d31be8c9b75e02a4e0da4a0b4ef1fc";
+
+// bridge client stub with settable balances and receipts
+function stubBridge(state) {
+    return {
+        config: {
+            web3: {eth: {getTransactionReceipt: async () => state.ethReceipt}},
+            hera: {getTransactionReceipt: async () => {
+                if (state.aergoReceipt === null) {
+                    throw new Error("tx not found");
+                }
+                return state.aergoReceipt;
+            }},
+        },
+        ethToAergo: {
+            mintable: async () => state.balances,
+            buildMintTx: async (options) => ({built: options}),
+        },
+        aergoToEth: {
+            unlockable: async () => state.balances,
+            unlock: async () => state.ethReceipt,
+        },
+    };
+}
+
+describe('Test transfer lifecycle', function() {
+    it('Should follow a transfer from deposit to withdraw', async function() {
+        const state = {ethReceipt: null, aergoReceipt: null, balances: ['0', '0']};
+        const storage = new MemoryStorage();
+        const transfer = new Transfer(stubBridge(state), {
+            direction: 'ethToAergo', operation: 'mint',
+            receiver: receiverAergoAddr, token: erc20Addr, amount: '100'
+        }, storage);
+        assert.equal(await transfer.recordDeposit(depositTxHash), TransferStatus.deposited);
+        // deposit tx not mined
+        assert.equal(await transfer.sync(), TransferStatus.deposited);
+        state.ethReceipt = {status: true};
+        state.balances = ['0', '100'];
+        assert.equal(await transfer.sync(), TransferStatus.deposited);
+        state.balances = ['100', '0'];
+        assert.equal(await transfer.sync(), TransferStatus.withdrawable);
+        const builtTx = await transfer.withdraw({txSender: receiverAergoAddr});
+        assert.equal(builtTx.built.receiver, receiverAergoAddr);
+        await transfer.recordWithdraw("8ZQzMWrHdTNixxpdpEFuYXHHeL1SyLXFWHGHzjbTEnEW");
+        assert.equal(await transfer.sync(), TransferStatus.withdrawing);
+        state.aergoReceipt = {status: 'SUCCESS'};
+        assert.equal(await transfer.sync(), TransferStatus.completed);
+        const saved = JSON.parse(await storage.get(depositTxHash));
+        assert.equal(saved.status, TransferStatus.completed);
+    });
+    it('Should resume a transfer already withdrawn by someone else', async function() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfers-'));
+        const storage = new FileStorage(dir);
+        const state = {ethReceipt: {status: true}, aergoReceipt: null, balances: ['0', '100']};
+        const transfer = new Transfer(stubBridge(state), {
+            direction: 'ethToAergo', operation: 'mint',
+            receiver: receiverAergoAddr, token: erc20Addr
+        }, storage);
+        await transfer.recordDeposit(depositTxHash);
+        // after restart the anchored deposit was minted : totals are equal
+        state.balances = ['0', '0'];
+        const [resumed] = await Transfer.resumeAll(stubBridge(state), storage);
+        assert.equal(resumed.status, TransferStatus.completed);
+        assert.equal(resumed.receiver, receiverAergoAddr);
+        fs.rmSync(dir, {recursive: true});
+    });
+    it('Should reject unknown operations and failed deposits', async function() {
+        assert.throws(
+            () => new Transfer(stubBridge({}), {direction: 'ethToAergo', operation: 'burn'}),
+            /Unknown transfer operation/);
+        const transfer = new Transfer(
+            stubBridge({ethReceipt: {status: false}}),
+            {direction: 'ethToAergo', operation: 'mint'});
+        await transfer.recordDeposit(depositTxHash);
+        assert.equal(await transfer.sync(), TransferStatus.failed);
+    });
+    it('Should complete a withdraw to Ethereum only with a successful receipt', async function() {
+        const state = {aergoReceipt: {status: 'SUCCESS'}, balances: ['100', '0']};
+        const transfer = new Transfer(stubBridge(state), {
+            direction: 'aergoToEth', operation: 'unlock',
+            receiver: "0xfec3c905bcd3d9a5471452e53f82106844cb1e76", token: receiverAergoAddr
+        });
+        await transfer.recordDeposit("8ZQzMWrHdTNixxpdpEFuYXHHeL1SyLXFWHGHzjbTEnEW");
+        // reverted unlock : the status of raw json-rpc receipts is a hex string
+        state.ethReceipt = {status: '0x0', transactionHash: '0x01'};
+        await transfer.withdraw();
+        assert.equal(transfer.status, TransferStatus.failed);
+        assert.equal(transfer.error, "Withdraw tx failed");
+        // the deposit can be withdrawn again
+        state.ethReceipt = {status: true, transactionHash: '0x02'};
+        await transfer.withdraw();
+        assert.equal(transfer.status, TransferStatus.completed);
+        assert.equal(transfer.withdrawTxHash, '0x02');
+    });
+});
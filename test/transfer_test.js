@@ -3,8 +3,7 @@ import * as ate from '../src/aergoToEth';
 import { AergoClient } from '@herajs/client';
 import { Wallet } from '@herajs/wallet';
 import Web3 from 'web3';
-import { bridgeEthAbi } from "./fixtures/bridgeEthAbi";
-import { erc20Abi } from "./fixtures/erc20Abi";
+import { bridgeEthAbi, erc20Abi } from "../src/abi";
 import { BigNumber } from "bignumber.js";
 
 var assert = require('assert').strict;
@@ -14,6 +13,7 @@ let aergoWallet;
 let hera;
 let account;
 let bridgeAergoAbi;
+let arc1Abi;
 const aergoPrivKeyEncrypted = "487xqHTkBLr6N31vRpuepjs8bTgUNUqPQgQtc1GqTCRSLpmAZRkEeV87pXEUsQcZHATC1G6PX";
 const ethPrivKey = "0xe4dd7889c679013814dfbda165c6457e18595ab04a5a3b9b1443472fc969e15d";
 const aergoAddress = "AmNPWDJMjU4g98Scm4AikW8JwQMGwWMztM7Qy8ggxNTkhgZMJHFp";
@@ -26,6 +26,7 @@ const bridgeAergoAddr = "AmhAMtqsrf4akxMy89fhiNuyw7u7ooY9TV6Ke5FFctDYpFVAB44V";
 const aergoErc20Addr = "0xd898383A12CDE0eDF7642F7dD4D7006FdE5c433e";
 const testErc20Addr = "0x3f79E699eBb125054E425BD2cce38225CB861664";
 let peggedTestErc20Addr;
+let peggedTestArc1Addr;
 const testArc1Addr = "AmgnNKadR4gv2ELgqgtyGM9ec5EnpHj5ai14z3juNmo6m6LsdtEU";
 
 describe('Test erc20 token transfers', function() {
@@ -34,6 +35,7 @@ describe('Test erc20 token transfers', function() {
         // Provider used by sdk to gather chain state information for building transaction before callin aergo connect
         hera = new AergoClient();
         bridgeAergoAbi = await hera.getABI(bridgeAergoAddr);
+        arc1Abi = await hera.getABI(testArc1Addr);
 
         // Ethereum provider (simulates metamask connection)
         web3 = new Web3("http://localhost:8545");
@@ -276,4 +278,96 @@ describe('Test erc20 token transfers', function() {
             });
         });
     });
-});
\ No newline at end of file
+    describe('ARC1 transfer', function() {
+        describe('Aergo => Ethereum', function() {
+            it('Should lock tokens', async function() {
+                const receiverEthAddr = ethAddress;
+                const txSender = aergoAddress;
+                const builtTx = await ate.buildLockTx(
+                    txSender, amount, testArc1Addr, arc1Abi, bridgeAergoAddr,
+                    receiverEthAddr
+                );
+                const txTracker = await aergoWallet.sendTransaction(account, builtTx);
+                const receipt = await txTracker.getReceipt();
+                assert.deepStrictEqual(receipt.status, 'SUCCESS');
+            });
+            it('Should become mintable after anchor', async function() {
+                const receiverEthAddr = ethAddress;
+                let mintable = "0";
+                let pending;
+                while (mintable === "0") {
+                    [mintable, pending] = await ate.mintable(
+                        web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr,
+                        testArc1Addr
+                    );
+                }
+                assert.deepStrictEqual(mintable, amount);
+                assert.deepStrictEqual(pending, "0");
+            });
+            it('Should build lock proof', async function() {
+                const receiverEthAddr = ethAddress;
+                const proof = await ate.buildLockProof(
+                    web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverEthAddr,
+                    testArc1Addr
+                );
+                assert.notStrictEqual(proof.contractProof.auditPath.length, 0);
+                assert.notStrictEqual(proof.varProofs.length, 0);
+                assert.deepStrictEqual(proof.contractProof.inclusion, true)
+                assert.deepStrictEqual(proof.varProofs[0].inclusion, true)
+            });
+            it('Should mint tokens', async function() {
+                const receiverEthAddr = ethAddress;
+                const receipt = await ate.mint(
+                    web3, hera, bridgeEthAddr, bridgeEthAbi, bridgeAergoAddr, receiverEthAddr,
+                    testArc1Addr
+                );
+                peggedTestArc1Addr = receipt.mintedErc20Addr;
+                assert.deepStrictEqual(receipt.status, true);
+                assert.deepStrictEqual(web3.utils.isAddress(receipt.mintedErc20Addr), true);
+            });
+        });
+        describe('Ethereum => Aergo', function() {
+            it('Should burn tokens', async function() {
+                const receiverAergoAddr = aergoAddress;
+                const receipt = await eta.burn(
+                    web3, receiverAergoAddr, peggedTestArc1Addr, amount, bridgeEthAddr,
+                    bridgeEthAbi
+                );
+                assert.deepStrictEqual(receipt.status, true);
+            });
+            it('Should become unlockable after anchor', async function() {
+                const receiverAergoAddr = aergoAddress;
+                let unlockable = "0";
+                let pending;
+                while (unlockable === "0") {
+                    [unlockable, pending] = await eta.unlockable(
+                        web3, hera, bridgeEthAddr, bridgeAergoAddr, receiverAergoAddr,
+                        testArc1Addr
+                    );
+                }
+                assert.deepStrictEqual(unlockable, amount);
+                assert.deepStrictEqual(pending, "0");
+            });
+            it('Should build burn proof', async function() {
+                const receiverAergoAddr = aergoAddress;
+                let proof = await eta.buildBurnProof(
+                    web3, hera, receiverAergoAddr, testArc1Addr, bridgeEthAddr,
+                    bridgeAergoAddr
+                );
+                assert.notStrictEqual(proof.accountProof.length, 0);
+                assert.notStrictEqual(proof.storageProof.length, 0);
+            });
+            it('Should unlock tokens', async function() {
+                const receiverAergoAddr = aergoAddress;
+                const txSender = aergoAddress;
+                const builtTx = await eta.buildUnlockTx(
+                    web3, hera, txSender, bridgeEthAddr, bridgeAergoAddr, bridgeAergoAbi,
+                    receiverAergoAddr, testArc1Addr
+                );
+                const txTracker = await aergoWallet.sendTransaction(account, builtTx);
+                const receipt = await txTracker.getReceipt();
+                assert.deepStrictEqual(receipt.status, 'SUCCESS');
+            });
+        });
+    });
+});